@@ -3,9 +3,12 @@ const Room = require('../models/Room')
 const Booking = require('../models/Booking')
 const Contact = require('../models/Contact')
 const User = require('../models/User')
+const Refund = require('../models/Refund')
+const Settings = require('../models/Settings')
 const jwt = require('jsonwebtoken')
 const bcrypt = require('bcryptjs')
 const { validationResult } = require('express-validator')
+const { roundCurrency } = require('../utils/money')
 
 // @desc    Admin login
 // @route   POST /api/admin/login
@@ -245,58 +248,96 @@ const getRevenueAnalytics = async (req, res) => {
   try {
     const { period = 'monthly', year = new Date().getFullYear() } = req.query
     
-    let groupBy, dateFormat
+    // Group by period of the given date field
+    let groupBy
     
     if (period === 'daily') {
-      groupBy = {
-        year: { $year: '$createdAt' },
-        month: { $month: '$createdAt' },
-        day: { $dayOfMonth: '$createdAt' }
-      }
-      dateFormat = '%Y-%m-%d'
+      groupBy = (field) => ({
+        year: { $year: field },
+        month: { $month: field },
+        day: { $dayOfMonth: field }
+      })
     } else if (period === 'weekly') {
-      groupBy = {
-        year: { $year: '$createdAt' },
-        week: { $week: '$createdAt' }
-      }
-      dateFormat = '%Y-W%U'
+      groupBy = (field) => ({
+        year: { $year: field },
+        week: { $week: field }
+      })
     } else {
-      groupBy = {
-        year: { $year: '$createdAt' },
-        month: { $month: '$createdAt' }
-      }
-      dateFormat = '%Y-%m'
+      groupBy = (field) => ({
+        year: { $year: field },
+        month: { $month: field }
+      })
     }
 
-    const revenueData = await Booking.aggregate([
-      {
-        $match: {
-          createdAt: {
-            $gte: new Date(year, 0, 1),
-            $lt: new Date(parseInt(year) + 1, 0, 1)
-          },
-          'paymentInfo.status': 'completed'
+    const yearRange = {
+      $gte: new Date(year, 0, 1),
+      $lt: new Date(parseInt(year) + 1, 0, 1)
+    }
+
+    // Refunded bookings were revenue when paid; the refund counts against
+    // the period it was paid out in
+    const [revenueData, refundData, settings] = await Promise.all([
+      Booking.aggregate([
+        {
+          $match: {
+            createdAt: yearRange,
+            'paymentInfo.status': { $in: ['completed', 'refunded'] }
+          }
+        },
+        {
+          $group: {
+            _id: groupBy('$createdAt'),
+            revenue: { $sum: '$pricing.totalAmount' },
+            bookings: { $sum: 1 },
+            averageBookingValue: { $avg: '$pricing.totalAmount' }
+          }
         }
-      },
-      {
-        $group: {
-          _id: groupBy,
-          revenue: { $sum: '$pricing.totalAmount' },
-          bookings: { $sum: 1 },
-          averageBookingValue: { $avg: '$pricing.totalAmount' }
+      ]),
+      Refund.aggregate([
+        {
+          $match: {
+            status: 'processed',
+            processedAt: yearRange
+          }
+        },
+        {
+          $group: {
+            _id: groupBy('$processedAt'),
+            refunds: { $sum: { $multiply: ['$amount', -1] } },
+            refundCount: { $sum: 1 }
+          }
         }
-      },
-      {
-        $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.week': 1 }
-      }
+      ]),
+      Settings.getCurrent()
     ])
 
+    const periods = new Map()
+
+    revenueData.forEach(entry => {
+      periods.set(JSON.stringify(entry._id), { ...entry, refunds: 0, refundCount: 0 })
+    })
+
+    refundData.forEach(entry => {
+      const key = JSON.stringify(entry._id)
+      const current = periods.get(key) || { _id: entry._id, revenue: 0, bookings: 0, averageBookingValue: 0 }
+      periods.set(key, { ...current, refunds: entry.refunds, refundCount: entry.refundCount })
+    })
+
+    const analytics = [...periods.values()]
+      .map(entry => ({ ...entry, netRevenue: roundCurrency(entry.revenue + entry.refunds, settings.currency) }))
+      .sort((a, b) =>
+        a._id.year - b._id.year ||
+        (a._id.month || 0) - (b._id.month || 0) ||
+        (a._id.week || 0) - (b._id.week || 0) ||
+        (a._id.day || 0) - (b._id.day || 0)
+      )
+
     res.status(200).json({
       success: true,
       data: {
         period,
         year: parseInt(year),
-        analytics: revenueData
+        analytics
       }
     })
   } catch (error) {
@@ -403,7 +444,7 @@ const createAdminUser = async (req, res) => {
       })
     }
 
-    const { firstName, lastName, email, password, role = 'admin' } = req.body
+    const { firstName, lastName, email, password, role = 'admin', department } = req.body
 
     // Check if user already exists
     const existingUser = await User.findOne({ email })
@@ -421,6 +462,7 @@ const createAdminUser = async (req, res) => {
       email,
       password,
       role,
+      profile: department ? { department } : undefined,
       isEmailVerified: true // Auto-verify admin users
     })
 
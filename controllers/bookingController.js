@@ -1,7 +1,87 @@
 const Booking = require('../models/Booking')
+const BookingGroup = require('../models/BookingGroup')
 const Room = require('../models/Room')
+const Settings = require('../models/Settings')
 const { validationResult } = require('express-validator')
 const crypto = require('crypto')
+const { reserveRoomNights, releaseRoomNights, getNightAvailability, formatNight } = require('../utils/inventory')
+const { getHoldExpiry } = require('../utils/bookingHolds')
+const { quoteStay } = require('../utils/pricing')
+const { signQuote, verifyQuote } = require('../utils/quotes')
+const { normalizePromoCodes, resolvePromotions, redeemPromotions, releasePromotionRedemptions } = require('../utils/promotions')
+const { getPaymentProvider } = require('../utils/paymentGateway')
+const { PAYMENT_STATUSES, CARD_METHODS, applyPaymentStatus, chargeBookings } = require('../utils/payments')
+const { schedulePayments } = require('../utils/paymentLedger')
+const { priceInCurrency } = require('../utils/currency')
+const { calculateCancellationCharges, buildCancellation } = require('../utils/cancellationPolicy')
+const { modifyBooking } = require('../utils/bookingModifications')
+const { summarizeGroup, reserveGroupNights, saveGroupBookings } = require('../utils/bookingGroups')
+const { BOOKING_STATUSES, canTransition, transitionBooking } = require('../utils/bookingStatus')
+const emailTemplates = require('../utils/emailTemplates')
+const { trySendTemplateEmail } = require('../utils/mailer')
+
+// Booking document fields for one room of a new reservation
+const buildBookingData = ({ room, checkIn, checkOut, numberOfGuests, guestInfo, paymentInfo, specialRequests, quote, autoConfirm, group }) => {
+  // Generate booking ID
+  const bookingId = 'BK' + Date.now() + Math.random().toString(36).substr(2, 9).toUpperCase()
+
+  return {
+    bookingId,
+    room: room,
+    group,
+    checkInDate: checkIn,
+    checkOutDate: checkOut,
+    numberOfGuests,
+    numberOfNights: quote.numberOfNights,
+    guestInfo: {
+      firstName: guestInfo.firstName,
+      lastName: guestInfo.lastName,
+      email: guestInfo.email,
+      phone: guestInfo.phone,
+      address: {
+        street: guestInfo.address?.street || '',
+        city: guestInfo.address?.city || '',
+        state: guestInfo.address?.state || '',
+        zipCode: guestInfo.address?.zipCode || '',
+        country: guestInfo.address?.country || ''
+      },
+      specialRequests: specialRequests || ''
+    },
+    pricing: {
+      pricePerNight: quote.pricePerNight,
+      subtotal: quote.subtotal,
+      discount: quote.discount || 0,
+      discounts: quote.discounts || [],
+      taxes: quote.taxes,
+      fees: quote.fees,
+      totalAmount: quote.totalAmount,
+      currency: quote.currency,
+      ratePlan: quote.ratePlan?.id,
+      nightlyRates: quote.nightlyRates,
+      taxLines: quote.taxLines,
+      display: quote.display
+    },
+    paymentInfo: {
+      method: paymentInfo.method || 'credit_card',
+      status: 'pending',
+      // Filled in by the payment provider; card numbers never reach the server
+      cardLastFour: ''
+    },
+    bookingStatus: autoConfirm ? 'confirmed' : 'pending',
+    holdExpiresAt: autoConfirm ? undefined : getHoldExpiry(),
+    source: 'website'
+  }
+}
+
+// Remove bookings whose payment failed, giving back their nights and promo codes
+const discardBookings = async (bookings) => {
+  for (const booking of bookings) {
+    await releaseRoomNights(booking._id)
+    await releasePromotionRedemptions(booking._id)
+  }
+
+  await Booking.deleteMany({ _id: { $in: bookings.map(booking => booking._id) } })
+}
 
 // @desc    Get all bookings with filtering and pagination
 // @route   GET /api/bookings
@@ -159,6 +239,108 @@ const getBookingByConfirmation = async (req, res) => {
   }
 }
 
+// @desc    Get a signed price quote for a stay
+// @route   POST /api/bookings/quote
+// @access  Public
+const getQuote = async (req, res) => {
+  try {
+    const { room, checkInDate, checkOutDate, numberOfGuests, promoCode, promoCodes } = req.body
+
+    const roomData = await Room.findById(room)
+
+    if (!roomData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      })
+    }
+
+    const checkIn = new Date(checkInDate)
+    const checkOut = new Date(checkOutDate)
+
+    const maxOccupancy = roomData.availability?.maxOccupancy || roomData.maxOccupancy || 2
+    if (numberOfGuests > maxOccupancy) {
+      return res.status(400).json({
+        success: false,
+        message: `Room can accommodate maximum ${maxOccupancy} guests`
+      })
+    }
+
+    const codes = normalizePromoCodes(promoCode, promoCodes)
+    const promotions = await resolvePromotions(codes, {
+      roomType: roomData.type,
+      checkInDate: checkIn,
+      checkOutDate: checkOut
+    })
+
+    if (!promotions.success) {
+      return res.status(400).json({
+        success: false,
+        message: promotions.message
+      })
+    }
+
+    const quote = await quoteStay(roomData, checkIn, checkOut, { promotions: promotions.promotions })
+
+    if (!quote.meetsMinStay) {
+      return res.status(400).json({
+        success: false,
+        message: `Minimum stay for the selected dates is ${quote.minStay} nights`
+      })
+    }
+
+    if (quote.closedToArrival) {
+      return res.status(400).json({
+        success: false,
+        message: `Arrivals are closed on ${formatNight(checkIn)}`
+      })
+    }
+
+    // Prices shown in the guest's currency are signed with the quote
+    const converted = await priceInCurrency(quote, req.query.currency)
+
+    if (!converted.success) {
+      return res.status(converted.status).json({
+        success: false,
+        message: converted.message
+      })
+    }
+
+    quote.display = converted.display
+
+    const availability = await getNightAvailability(room, checkIn, checkOut)
+    const quoteToken = signQuote({ room, checkInDate: checkIn, checkOutDate: checkOut, numberOfGuests, promoCode: codes.join(',') }, quote)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        room: roomData._id,
+        checkInDate: formatNight(checkIn),
+        checkOutDate: formatNight(checkOut),
+        numberOfGuests,
+        isAvailable: availability.availableUnits > 0 && roomData.isAvailable,
+        availableUnits: availability.availableUnits,
+        pricing: quote,
+        quoteToken
+      }
+    })
+  } catch (error) {
+    console.error('Get quote error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while preparing quote'
+    })
+  }
+}
+
 // @desc    Create new booking
 // @route   POST /api/bookings
 // @access  Public
@@ -183,9 +365,33 @@ const createBooking = async (req, res) => {
       numberOfGuests,
       guestInfo,
       paymentInfo,
-      specialRequests
+      specialRequests,
+      promoCode,
+      promoCodes,
+      quoteToken,
+      currency
     } = req.body
 
+    const settings = await Settings.getCurrent()
+
+    if (!settings.paymentSettings.acceptedMethods.includes(paymentInfo.method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment method is not accepted'
+      })
+    }
+
+    // Cards are charged online when a payment provider is configured
+    const provider = getPaymentProvider()
+    const payOnline = Boolean(provider) && CARD_METHODS.includes(paymentInfo.method)
+
+    if (payOnline && !paymentInfo.paymentToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'A payment token is required to pay by card'
+      })
+    }
+
     // Find the room in database
     console.log('Looking for room with ID:', room);
     const roomData = await Room.findById(room);
@@ -224,94 +430,153 @@ const createBooking = async (req, res) => {
       })
     }
 
-    // Check for conflicting bookings
-    const conflictingBookings = await Booking.find({
-      room: room,
-      $or: [
-        {
-          checkInDate: { $lt: checkOut },
-          checkOutDate: { $gt: checkIn }
-        }
-      ],
-      bookingStatus: { $in: ['confirmed', 'checked_in'] }
-    })
+    // Check occupancy
+    const maxOccupancy = roomData.availability?.maxOccupancy || roomData.maxOccupancy || 2;
+    if (numberOfGuests > maxOccupancy) {
+      return res.status(400).json({
+        success: false,
+        message: `Room can accommodate maximum ${maxOccupancy} guests`
+      })
+    }
+
+    // Honour a quoted price if one was presented, otherwise price the stay now
+    const codes = normalizePromoCodes(promoCode, promoCodes)
+    let quote
+
+    if (quoteToken) {
+      const verified = verifyQuote(quoteToken, { room, checkInDate: checkIn, checkOutDate: checkOut, numberOfGuests, promoCode: codes.join(',') })
+
+      if (!verified.valid) {
+        return res.status(400).json({
+          success: false,
+          message: verified.message
+        })
+      }
+
+      quote = verified.pricing
+    } else {
+      const promotions = await resolvePromotions(codes, {
+        roomType: roomData.type,
+        checkInDate: checkIn,
+        checkOutDate: checkOut
+      })
 
-    if (conflictingBookings.length > 0) {
+      if (!promotions.success) {
+        return res.status(400).json({
+          success: false,
+          message: promotions.message
+        })
+      }
+
+      quote = await quoteStay(roomData, checkIn, checkOut, { promotions: promotions.promotions })
+    }
+
+    // Keep the quoted exchange rate unless another currency is asked for
+    if (!quote.display || (currency && currency !== quote.display.currency)) {
+      const converted = await priceInCurrency(quote, currency)
+
+      if (!converted.success) {
+        return res.status(converted.status).json({
+          success: false,
+          message: converted.message
+        })
+      }
+
+      quote.display = converted.display
+    }
+
+    if (!quote.meetsMinStay) {
       return res.status(400).json({
         success: false,
-        message: 'Room is not available for the selected dates'
+        message: `Minimum stay for the selected dates is ${quote.minStay} nights`
       })
     }
 
-    // Check occupancy
-    const maxOccupancy = roomData.availability?.maxOccupancy || roomData.maxOccupancy || 2;
-    if (numberOfGuests > maxOccupancy) {
+    if (quote.closedToArrival) {
       return res.status(400).json({
         success: false,
-        message: `Room can accommodate maximum ${maxOccupancy} guests`
+        message: `Arrivals are closed on ${formatNight(checkIn)}`
       })
     }
 
-    // Calculate pricing
-    const numberOfNights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24))
-    console.log('roomData found:', !!roomData)
-    console.log('roomData structure:', JSON.stringify(roomData, null, 2))
-    
-    // Get price from either pricePerNight or pricing.basePrice
-    const pricePerNight = roomData.pricePerNight || roomData.pricing?.basePrice || 100
-    console.log('Using pricePerNight:', pricePerNight)
-    
-    const subtotal = pricePerNight * numberOfNights
-    const taxRate = 0.12 // 12% tax
-    const serviceFee = 25 // Fixed service fee
-    const taxes = subtotal * taxRate
-    const totalAmount = subtotal + taxes + serviceFee
-
-    // Generate booking ID
-    const bookingId = 'BK' + Date.now() + Math.random().toString(36).substr(2, 9).toUpperCase()
-
-    // Create booking object
-    const bookingData = {
-      bookingId,
-      room: room,
-      checkInDate: checkIn,
-      checkOutDate: checkOut,
+    // Bookings either wait for payment on a hold or are confirmed straight away
+    const autoConfirm = settings.bookingSettings.autoConfirmBookings
+
+    // Create booking document so its id can own the reserved nights
+    const booking = new Booking(buildBookingData({
+      room,
+      checkIn,
+      checkOut,
       numberOfGuests,
-      numberOfNights,
-      guestInfo: {
-        firstName: guestInfo.firstName,
-        lastName: guestInfo.lastName,
-        email: guestInfo.email,
-        phone: guestInfo.phone,
-        address: {
-          street: guestInfo.address?.street || '',
-          city: guestInfo.address?.city || '',
-          state: guestInfo.address?.state || '',
-          zipCode: guestInfo.address?.zipCode || '',
-          country: guestInfo.address?.country || ''
-        },
-        specialRequests: specialRequests || ''
-      },
-      pricing: {
-        pricePerNight: pricePerNight,
-        subtotal,
-        taxes,
-        serviceFee,
-        totalAmount,
-        currency: 'USD'
-      },
-      paymentInfo: {
-        method: paymentInfo.method || 'credit_card',
-        status: 'pending',
-        cardLastFour: paymentInfo.cardNumber ? paymentInfo.cardNumber.slice(-4) : ''
-      },
-      bookingStatus: 'pending',
-      source: 'website'
+      guestInfo,
+      paymentInfo,
+      specialRequests,
+      quote,
+      autoConfirm
+    }));
+
+    // Deposit and balance installments come from the rate plan
+    await schedulePayments(booking)
+
+    // Atomically claim every night of the stay. Concurrent requests for the
+    // same nights lose on the unique room/night index instead of double-booking.
+    const reservation = await reserveRoomNights(room, booking._id, checkIn, checkOut)
+
+    if (!reservation.success) {
+      return res.status(409).json({
+        success: false,
+        message: 'Room is not available for the selected dates',
+        conflictingNights: reservation.conflicts
+      })
+    }
+
+    // Take one use of each promotion; usage caps are enforced atomically,
+    // so a code that ran out since the quote is rejected here
+    const redemption = await redeemPromotions(quote.discounts, { bookingId: booking._id, email: guestInfo.email })
+
+    if (!redemption.success) {
+      await releaseRoomNights(booking._id)
+      return res.status(400).json({
+        success: false,
+        message: redemption.message
+      })
+    }
+
+    try {
+      await booking.save();
+    } catch (error) {
+      await releaseRoomNights(booking._id)
+      await releasePromotionRedemptions(booking._id)
+      throw error
     }
 
-    // Create booking in database
-    const booking = new Booking(bookingData);
-    await booking.save();
+    let payment
+
+    if (payOnline) {
+      try {
+        payment = await chargeBookings(provider, [booking], paymentInfo.paymentToken, {
+          reference: booking.bookingId,
+          description: `Booking ${booking.bookingId}`,
+          io: req.app.get('io')
+        })
+      } catch (error) {
+        console.error('Payment provider error:', error)
+        await discardBookings([booking])
+        return res.status(502).json({
+          success: false,
+          message: 'Payment could not be processed, please try again'
+        })
+      }
+
+      // A declined card leaves no booking behind
+      if (payment.status === 'failed') {
+        await discardBookings([booking])
+        return res.status(402).json({
+          success: false,
+          message: payment.failureMessage || 'Payment was declined'
+        })
+      }
+    }
     
     // Populate room data
     await booking.populate('room', 'name type pricePerNight images amenities');
@@ -331,7 +596,8 @@ const createBooking = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Booking created successfully',
-      data: booking
+      data: booking,
+      payment
     })
   } catch (error) {
     console.error('Create booking error:', error)
@@ -356,16 +622,368 @@ const createBooking = async (req, res) => {
   }
 }
 
+// @desc    Book several rooms together under one reservation
+// @route   POST /api/bookings/group
+// @access  Public
+const createGroupBooking = async (req, res) => {
+  try {
+    const {
+      rooms,
+      checkInDate,
+      checkOutDate,
+      guestInfo,
+      paymentInfo,
+      specialRequests,
+      currency
+    } = req.body
+
+    const settings = await Settings.getCurrent()
+
+    if (!settings.paymentSettings.acceptedMethods.includes(paymentInfo.method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment method is not accepted'
+      })
+    }
+
+    // Cards are charged online when a payment provider is configured
+    const provider = getPaymentProvider()
+    const payOnline = Boolean(provider) && CARD_METHODS.includes(paymentInfo.method)
+
+    if (payOnline && !paymentInfo.paymentToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'A payment token is required to pay by card'
+      })
+    }
+
+    const checkIn = new Date(checkInDate)
+    const checkOut = new Date(checkOutDate)
+    const autoConfirm = settings.bookingSettings.autoConfirmBookings
+
+    const group = new BookingGroup({
+      guestInfo: {
+        firstName: guestInfo.firstName,
+        lastName: guestInfo.lastName,
+        email: guestInfo.email,
+        phone: guestInfo.phone
+      },
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      source: 'website'
+    })
+
+    // Check and price every room before holding any nights
+    const bookings = []
+
+    for (const [index, requested] of rooms.entries()) {
+      const label = `Room ${index + 1}`
+      const roomData = await Room.findById(requested.room)
+
+      if (!roomData) {
+        return res.status(404).json({
+          success: false,
+          message: `${label}: Room not found`,
+          roomIndex: index
+        })
+      }
+
+      if (!roomData.isAvailable) {
+        return res.status(400).json({
+          success: false,
+          message: `${label}: Room is not available`,
+          roomIndex: index
+        })
+      }
+
+      const maxOccupancy = roomData.availability?.maxOccupancy || roomData.maxOccupancy || 2
+      if (requested.numberOfGuests > maxOccupancy) {
+        return res.status(400).json({
+          success: false,
+          message: `${label}: Room can accommodate maximum ${maxOccupancy} guests`,
+          roomIndex: index
+        })
+      }
+
+      const quote = await quoteStay(roomData, checkIn, checkOut)
+
+      if (!quote.meetsMinStay) {
+        return res.status(400).json({
+          success: false,
+          message: `${label}: Minimum stay for the selected dates is ${quote.minStay} nights`,
+          roomIndex: index
+        })
+      }
+
+      if (quote.closedToArrival) {
+        return res.status(400).json({
+          success: false,
+          message: `${label}: Arrivals are closed on ${formatNight(checkIn)}`,
+          roomIndex: index
+        })
+      }
+
+      const converted = await priceInCurrency(quote, currency)
+
+      if (!converted.success) {
+        return res.status(converted.status).json({
+          success: false,
+          message: converted.message
+        })
+      }
+
+      quote.display = converted.display
+
+      bookings.push(new Booking(buildBookingData({
+        room: requested.room,
+        checkIn,
+        checkOut,
+        numberOfGuests: requested.numberOfGuests,
+        guestInfo,
+        paymentInfo,
+        specialRequests,
+        quote,
+        autoConfirm,
+        group: group._id
+      })))
+    }
+
+    for (const booking of bookings) {
+      await schedulePayments(booking)
+    }
+
+    await Promise.all(bookings.map(booking => booking.validate()))
+
+    // Either every room is reserved or none is
+    const reservation = await reserveGroupNights(bookings)
+
+    if (!reservation.success) {
+      return res.status(409).json({
+        success: false,
+        message: `Room ${reservation.index + 1} is not available for the selected dates`,
+        roomIndex: reservation.index,
+        conflictingNights: reservation.conflicts
+      })
+    }
+
+    group.bookings = bookings.map(booking => booking._id)
+    group.set(summarizeGroup(bookings))
+
+    await saveGroupBookings(group, bookings)
+
+    // The whole group is paid with a single charge
+    let payment
+
+    if (payOnline) {
+      try {
+        payment = await chargeBookings(provider, bookings, paymentInfo.paymentToken, {
+          reference: group.groupId,
+          description: `Group booking ${group.groupId}`,
+          io: req.app.get('io')
+        })
+      } catch (error) {
+        console.error('Payment provider error:', error)
+        await discardBookings(bookings)
+        await group.deleteOne()
+        return res.status(502).json({
+          success: false,
+          message: 'Payment could not be processed, please try again'
+        })
+      }
+
+      if (payment.status === 'failed') {
+        await discardBookings(bookings)
+        await group.deleteOne()
+        return res.status(402).json({
+          success: false,
+          message: payment.failureMessage || 'Payment was declined'
+        })
+      }
+    }
+
+    await Booking.populate(bookings, { path: 'room', select: 'name type pricePerNight images amenities' })
+
+    // Emit real-time event to admin dashboard
+    const io = req.app.get('io')
+    if (io) {
+      io.to('admin-room').emit('new-booking', {
+        group,
+        bookings,
+        message: `New group booking for ${bookings.length} rooms created`,
+        timestamp: new Date()
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Group booking created successfully',
+      data: {
+        group,
+        bookings
+      },
+      payment
+    })
+  } catch (error) {
+    console.error('Create group booking error:', error)
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating group booking'
+    })
+  }
+}
+
+// @desc    Get a group booking with its rooms
+// @route   GET /api/bookings/groups/:id
+// @access  Private (Admin)
+const getBookingGroup = async (req, res) => {
+  try {
+    const group = await BookingGroup.findById(req.params.id)
+      .populate({
+        path: 'bookings',
+        select: 'bookingId confirmationNumber room unit numberOfGuests checkInDate checkOutDate bookingStatus pricing paymentInfo.status',
+        populate: { path: 'room', select: 'name type' }
+      })
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group booking not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: group
+    })
+  } catch (error) {
+    console.error('Get group booking error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Group booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching group booking'
+    })
+  }
+}
+
+// @desc    Modify room, dates or number of guests on a booking
+// @route   PATCH /api/bookings/:id
+// @access  Private (Admin)
+const updateBooking = async (req, res) => {
+  try {
+    const { room, checkInDate, checkOutDate, numberOfGuests, reason } = req.body
+
+    const booking = await Booking.findById(req.params.id)
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    const result = await modifyBooking(booking, {
+      room,
+      checkInDate,
+      checkOutDate,
+      numberOfGuests
+    }, {
+      changedBy: req.user._id,
+      source: 'admin',
+      reason
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        conflictingNights: result.conflicts
+      })
+    }
+
+    const { modification, previousTotal, priceDifference } = result
+
+    await booking.populate('room', 'name type pricePerNight images amenities')
+    await trySendTemplateEmail(booking.guestInfo.email, emailTemplates.bookingModification(booking, priceDifference))
+
+    // Emit real-time event
+    const io = req.app.get('io')
+    if (io) {
+      io.to('admin-room').emit('booking-updated', {
+        booking,
+        message: `Booking modified (version ${modification.version})`,
+        timestamp: new Date()
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking modified successfully',
+      data: {
+        booking,
+        modification,
+        previousTotal,
+        priceDifference
+      }
+    })
+  } catch (error) {
+    console.error('Update booking error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while modifying booking'
+    })
+  }
+}
+
 // @desc    Update booking status
 // @route   PUT /api/bookings/:id/status
 // @access  Private (Admin)
 const updateBookingStatus = async (req, res) => {
   try {
-    const { status, notes } = req.body
-    
-    const validStatuses = ['pending', 'confirmed', 'checked_in', 'checked_out', 'cancelled', 'no_show']
+    const { status, notes, overrideReason } = req.body
     
-    if (!validStatuses.includes(status)) {
+    if (!BOOKING_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid booking status'
@@ -381,31 +999,25 @@ const updateBookingStatus = async (req, res) => {
       })
     }
 
-    // Update booking status
-    booking.bookingStatus = status
-    
     if (notes) {
       booking.notes = notes
     }
 
-    // Set check-in/out times
-    if (status === 'checked_in' && !booking.checkInTime) {
-      booking.checkInTime = new Date()
-    }
-    
-    if (status === 'checked_out' && !booking.checkOutTime) {
-      booking.checkOutTime = new Date()
-    }
-
-    await booking.save()
-    await booking.populate('room', 'name type pricePerNight')
+    // Moves through the booking lifecycle, then releases nights, sends
+    // emails and notifies the admin dashboard as the new status requires
+    const result = await transitionBooking(booking, status, {
+      changedBy: req.user._id,
+      actor: 'admin',
+      notes,
+      overrideReason,
+      io: req.app.get('io')
+    })
 
-    // Emit real-time event for booking status update
-    const io = req.app.get('io')
-    if (io) {
-      io.to('admin-room').emit('booking-updated', {
-        booking: booking,
-        message: `Booking ${booking.bookingId} status updated to ${status}`
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        allowedTransitions: result.allowedTransitions
       })
     }
 
@@ -436,45 +1048,42 @@ const updateBookingStatus = async (req, res) => {
 // @access  Private (Admin) or Payment Gateway
 const updatePaymentStatus = async (req, res) => {
   try {
-    const { status, transactionId, paymentDate } = req.body
-    
-    const validStatuses = ['pending', 'processing', 'completed', 'failed', 'refunded']
-    
-    if (!validStatuses.includes(status)) {
+    const { paymentStatus, transactionId, amount, paymentDate } = req.body
+
+    if (!PAYMENT_STATUSES.includes(paymentStatus)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid payment status'
       })
     }
 
-    const booking = await Booking.findById(req.params.id)
-    
-    if (!booking) {
+    const found = await Booking.findById(req.params.id)
+
+    if (!found) {
       return res.status(404).json({
         success: false,
         message: 'Booking not found'
       })
     }
 
-    // Update payment info
-    booking.paymentInfo.status = status
-    
-    if (transactionId) {
-      booking.paymentInfo.transactionId = transactionId
-    }
-    
-    if (paymentDate) {
-      booking.paymentInfo.paymentDate = new Date(paymentDate)
-    } else if (status === 'completed') {
-      booking.paymentInfo.paymentDate = new Date()
-    }
+    const result = await applyPaymentStatus(found, paymentStatus, {
+      amount,
+      transactionId,
+      paymentDate,
+      changedBy: req.user?._id,
+      io: req.app.get('io')
+    })
 
-    // Auto-confirm booking if payment is completed
-    if (status === 'completed' && booking.bookingStatus === 'pending') {
-      booking.bookingStatus = 'confirmed'
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        conflictingNights: result.conflicts
+      })
     }
 
-    await booking.save()
+    const { booking } = result
+
     await booking.populate('room', 'name type pricePerNight')
 
     res.status(200).json({
@@ -499,12 +1108,49 @@ const updatePaymentStatus = async (req, res) => {
   }
 }
 
+// @desc    Preview refund and penalty for cancelling a booking now
+// @route   GET /api/bookings/:id/cancellation
+// @access  Private (Admin)
+const getCancellationQuote = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    const charges = await calculateCancellationCharges(booking)
+
+    res.status(200).json({
+      success: true,
+      data: charges
+    })
+  } catch (error) {
+    console.error('Get cancellation quote error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while calculating cancellation charges'
+    })
+  }
+}
+
 // @desc    Cancel booking
 // @route   PUT /api/bookings/:id/cancel
-// @access  Public (with confirmation number) or Private (Admin)
+// @access  Private (Admin)
 const cancelBooking = async (req, res) => {
   try {
-    const { reason, refundAmount } = req.body
+    const { reason, refundAmount, refundMethod, overrideReason } = req.body
     
     const booking = await Booking.findById(req.params.id)
     
@@ -515,31 +1161,57 @@ const cancelBooking = async (req, res) => {
       })
     }
 
-    if (booking.bookingStatus === 'cancelled') {
+    if (!canTransition(booking.bookingStatus, 'cancelled')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a booking that is ${booking.bookingStatus}`
+      })
+    }
+
+    // Refund and penalty come from the booking's cancellation policy
+    const charges = await calculateCancellationCharges(booking)
+    const isOverride = refundAmount !== undefined && refundAmount !== charges.refundAmount
+
+    if (isOverride && !overrideReason) {
       return res.status(400).json({
         success: false,
-        message: 'Booking is already cancelled'
+        message: `A reason is required to override the calculated refund of ${charges.refundAmount.toFixed(2)}`,
+        data: charges
       })
     }
 
-    if (booking.bookingStatus === 'checked_out') {
+    if (refundAmount > charges.amountPaid) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot cancel completed booking'
+        message: 'Refund cannot exceed the amount paid',
+        data: charges
       })
     }
 
     // Update booking
-    booking.bookingStatus = 'cancelled'
-    booking.cancellation = {
-      cancelledAt: new Date(),
-      reason: reason || 'Cancelled by guest',
-      refundAmount: refundAmount || 0,
-      refundStatus: refundAmount > 0 ? 'pending' : 'not_applicable'
-    }
+    booking.cancellation = buildCancellation(charges, {
+      reason,
+      cancelledBy: 'admin',
+      refundAmount,
+      refundMethod,
+      overrideReason,
+      overriddenBy: req.user._id,
+      currency: booking.pricing.currency
+    })
 
-    await booking.save()
-    await booking.populate('room', 'name type pricePerNight')
+    const result = await transitionBooking(booking, 'cancelled', {
+      changedBy: req.user._id,
+      actor: 'admin',
+      io: req.app.get('io')
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        allowedTransitions: result.allowedTransitions
+      })
+    }
 
     res.status(200).json({
       success: true,
@@ -635,9 +1307,14 @@ module.exports = {
   getBookings,
   getBooking,
   getBookingByConfirmation,
+  getQuote,
   createBooking,
+  createGroupBooking,
+  getBookingGroup,
+  updateBooking,
   updateBookingStatus,
   updatePaymentStatus,
+  getCancellationQuote,
   cancelBooking,
   getBookingStats
 }
\ No newline at end of file
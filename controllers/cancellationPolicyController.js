@@ -0,0 +1,228 @@
+const CancellationPolicy = require('../models/CancellationPolicy')
+const Room = require('../models/Room')
+const RatePlan = require('../models/RatePlan')
+
+// Format mongoose validation errors for the response body
+const formatValidationError = (error) => {
+  return Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+}
+
+// @desc    Get all cancellation policies
+// @route   GET /api/admin/cancellation-policies
+// @access  Private (Admin)
+const getCancellationPolicies = async (req, res) => {
+  try {
+    const { isActive } = req.query
+
+    // Build filter object
+    const filter = {}
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true'
+    }
+
+    const cancellationPolicies = await CancellationPolicy.find(filter)
+      .sort({ code: 1 })
+      .lean()
+
+    res.status(200).json({
+      success: true,
+      count: cancellationPolicies.length,
+      data: cancellationPolicies
+    })
+  } catch (error) {
+    console.error('Get cancellation policies error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching cancellation policies'
+    })
+  }
+}
+
+// @desc    Get single cancellation policy
+// @route   GET /api/admin/cancellation-policies/:id
+// @access  Private (Admin)
+const getCancellationPolicy = async (req, res) => {
+  try {
+    const cancellationPolicy = await CancellationPolicy.findById(req.params.id)
+
+    if (!cancellationPolicy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: cancellationPolicy
+    })
+  } catch (error) {
+    console.error('Get cancellation policy error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching cancellation policy'
+    })
+  }
+}
+
+// @desc    Create cancellation policy
+// @route   POST /api/admin/cancellation-policies
+// @access  Private (Admin)
+const createCancellationPolicy = async (req, res) => {
+  try {
+    const cancellationPolicy = await CancellationPolicy.create(req.body)
+
+    res.status(201).json({
+      success: true,
+      message: 'Cancellation policy created successfully',
+      data: cancellationPolicy
+    })
+  } catch (error) {
+    console.error('Create cancellation policy error:', error)
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A cancellation policy with this code already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating cancellation policy'
+    })
+  }
+}
+
+// @desc    Update cancellation policy
+// @route   PUT /api/admin/cancellation-policies/:id
+// @access  Private (Admin)
+const updateCancellationPolicy = async (req, res) => {
+  try {
+    const cancellationPolicy = await CancellationPolicy.findById(req.params.id)
+
+    if (!cancellationPolicy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      })
+    }
+
+    // Save through the document so penalty validation runs
+    cancellationPolicy.set(req.body)
+    await cancellationPolicy.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      data: cancellationPolicy
+    })
+  } catch (error) {
+    console.error('Update cancellation policy error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A cancellation policy with this code already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating cancellation policy'
+    })
+  }
+}
+
+// @desc    Delete cancellation policy
+// @route   DELETE /api/admin/cancellation-policies/:id
+// @access  Private (Admin)
+const deleteCancellationPolicy = async (req, res) => {
+  try {
+    const cancellationPolicy = await CancellationPolicy.findById(req.params.id)
+
+    if (!cancellationPolicy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      })
+    }
+
+    // Bookings resolve their policy through rooms and rate plans, so keep it while in use
+    const [rooms, ratePlans] = await Promise.all([
+      Room.countDocuments({ cancellationPolicy: cancellationPolicy._id }),
+      RatePlan.countDocuments({ cancellationPolicy: cancellationPolicy._id })
+    ])
+
+    if (rooms > 0 || ratePlans > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cancellation policy is used by ${rooms} room(s) and ${ratePlans} rate plan(s), deactivate it instead`
+      })
+    }
+
+    await cancellationPolicy.deleteOne()
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete cancellation policy error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting cancellation policy'
+    })
+  }
+}
+
+module.exports = {
+  getCancellationPolicies,
+  getCancellationPolicy,
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  deleteCancellationPolicy
+}
\ No newline at end of file
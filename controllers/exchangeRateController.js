@@ -0,0 +1,145 @@
+const ExchangeRateTable = require('../models/ExchangeRateTable')
+const Settings = require('../models/Settings')
+const { getExchangeRate } = require('../utils/currency')
+
+// @desc    Get imported exchange rate tables, newest first
+// @route   GET /api/admin/exchange-rates
+// @access  Private (Admin)
+const getExchangeRateTables = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query
+
+    const pageNum = parseInt(page, 10)
+    const limitNum = parseInt(limit, 10)
+    const skip = (pageNum - 1) * limitNum
+
+    const [tables, total] = await Promise.all([
+      ExchangeRateTable.find()
+        .populate('importedBy', 'firstName lastName email')
+        .sort({ effectiveAt: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      ExchangeRateTable.countDocuments()
+    ])
+
+    res.status(200).json({
+      success: true,
+      count: tables.length,
+      total,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      },
+      data: tables
+    })
+  } catch (error) {
+    console.error('Get exchange rate tables error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rates'
+    })
+  }
+}
+
+// @desc    Get the exchange rates prices are shown with now
+// @route   GET /api/admin/exchange-rates/current
+// @access  Private (Admin)
+const getCurrentExchangeRates = async (req, res) => {
+  try {
+    const [table, settings] = await Promise.all([
+      ExchangeRateTable.getCurrent(),
+      Settings.getCurrent()
+    ])
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: 'No exchange rates have been imported yet'
+      })
+    }
+
+    // Rates from the settlement currency, as they are applied to prices
+    const currencies = [table.baseCurrency, ...table.rates.map(line => line.currency)]
+    const rates = currencies
+      .filter(currency => currency !== settings.currency)
+      .map(currency => ({
+        currency,
+        rate: getExchangeRate(table, settings.currency, currency)
+      }))
+      .filter(line => line.rate)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        table,
+        settlementCurrency: settings.currency,
+        rates
+      }
+    })
+  } catch (error) {
+    console.error('Get current exchange rates error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rates'
+    })
+  }
+}
+
+// @desc    Import a new exchange rate table
+// @route   POST /api/admin/exchange-rates
+// @access  Private (Admin)
+const importExchangeRates = async (req, res) => {
+  try {
+    const { baseCurrency, rates, source, effectiveAt } = req.body
+
+    const table = await ExchangeRateTable.create({
+      baseCurrency,
+      rates: rates.map(line => ({ currency: line.currency, rate: line.rate })),
+      source,
+      effectiveAt: effectiveAt || new Date(),
+      importedBy: req.user._id
+    })
+
+    // Prices pick up the new rates straight away
+    ExchangeRateTable.clearCache()
+
+    const settings = await Settings.getCurrent()
+    const settlementCovered = Boolean(getExchangeRate(table, settings.currency, table.baseCurrency))
+
+    res.status(201).json({
+      success: true,
+      message: settlementCovered
+        ? 'Exchange rates imported successfully'
+        : `Exchange rates imported, but they have no rate for the settlement currency ${settings.currency}`,
+      data: table
+    })
+  } catch (error) {
+    console.error('Import exchange rates error:', error)
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing exchange rates'
+    })
+  }
+}
+
+module.exports = {
+  getExchangeRateTables,
+  getCurrentExchangeRates,
+  importExchangeRates
+}
\ No newline at end of file
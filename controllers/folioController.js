@@ -0,0 +1,308 @@
+const Booking = require('../models/Booking')
+const Invoice = require('../models/Invoice')
+const { postFolioItem, voidFolioItem, summarizeFolio } = require('../utils/folio')
+const { issueInvoice, sendInvoice, renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoices')
+
+// Send a folio change to the admin dashboard
+const emitFolioUpdate = (req, booking, item, message) => {
+  const io = req.app.get('io')
+  if (io) {
+    io.to('admin-room').emit('booking-folio-updated', {
+      bookingId: booking._id,
+      item,
+      folio: summarizeFolio(booking),
+      balanceDue: booking.paymentSummary.balanceDue,
+      message,
+      timestamp: new Date()
+    })
+  }
+}
+
+// @desc    Get a booking's folio
+// @route   GET /api/bookings/:id/folio
+// @access  Private (Admin)
+const getFolio = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    await booking.populate([
+      { path: 'folio.postedBy', select: 'firstName lastName' },
+      { path: 'folio.voided.voidedBy', select: 'firstName lastName' }
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingId: booking.bookingId,
+        currency: booking.pricing.currency,
+        items: booking.folio,
+        summary: summarizeFolio(booking),
+        balanceDue: booking.paymentSummary.balanceDue,
+        invoice: booking.invoice
+      }
+    })
+  } catch (error) {
+    console.error('Get folio error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching folio'
+    })
+  }
+}
+
+// @desc    Post an incidental charge to a booking's folio
+// @route   POST /api/bookings/:id/folio
+// @access  Private (Admin)
+const addFolioItem = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    const result = await postFolioItem(booking, req.body, { postedBy: req.user._id })
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      })
+    }
+
+    await booking.save()
+
+    emitFolioUpdate(req, booking, result.item, `${result.item.description} posted to booking ${booking.bookingId}`)
+
+    res.status(201).json({
+      success: true,
+      message: 'Charge posted successfully',
+      data: {
+        item: result.item,
+        summary: summarizeFolio(booking),
+        balanceDue: booking.paymentSummary.balanceDue
+      }
+    })
+  } catch (error) {
+    console.error('Add folio item error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while posting charge'
+    })
+  }
+}
+
+// @desc    Void a folio charge
+// @route   PATCH /api/bookings/:id/folio/:itemId/void
+// @access  Private (Admin)
+const voidFolioCharge = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    const result = voidFolioItem(booking, req.params.itemId, {
+      reason: req.body.reason,
+      voidedBy: req.user._id
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      })
+    }
+
+    await booking.save()
+
+    emitFolioUpdate(req, booking, result.item, `${result.item.description} voided on booking ${booking.bookingId}`)
+
+    res.status(200).json({
+      success: true,
+      message: 'Charge voided successfully',
+      data: {
+        item: result.item,
+        summary: summarizeFolio(booking),
+        balanceDue: booking.paymentSummary.balanceDue
+      }
+    })
+  } catch (error) {
+    console.error('Void folio item error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while voiding charge'
+    })
+  }
+}
+
+// The booking's invoice; issued on demand for a checked-out booking whose
+// invoice failed at check-out
+const findInvoice = async (booking, user) => {
+  const invoice = await Invoice.findOne({ booking: booking._id })
+
+  if (invoice || booking.bookingStatus !== 'checked_out') {
+    return invoice
+  }
+
+  return issueInvoice(booking, { issuedBy: user._id })
+}
+
+// @desc    Get a booking's final invoice as JSON, HTML or PDF
+// @route   GET /api/bookings/:id/invoice
+// @access  Private (Admin)
+const getInvoice = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    const invoice = await findInvoice(booking, req.user)
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'The invoice is issued when the guest checks out'
+      })
+    }
+
+    switch (req.query.format) {
+      case 'html':
+        return res.type('html').send(renderInvoiceHtml(invoice))
+      case 'pdf':
+        res.set('Content-Disposition', `inline; filename="${invoice.invoiceNumber}.pdf"`)
+        return res.type('pdf').send(renderInvoicePdf(invoice))
+      default:
+        res.status(200).json({
+          success: true,
+          data: invoice
+        })
+    }
+  } catch (error) {
+    console.error('Get invoice error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invoice'
+    })
+  }
+}
+
+// @desc    Email a booking's final invoice
+// @route   POST /api/bookings/:id/invoice/email
+// @access  Private (Admin)
+const emailInvoice = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    const invoice = await findInvoice(booking, req.user)
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'The invoice is issued when the guest checks out'
+      })
+    }
+
+    const sent = await sendInvoice(invoice, req.body.email || invoice.guest.email)
+
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Invoice email could not be sent, please try again'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Invoice sent to ${invoice.emailedTo}`,
+      data: invoice
+    })
+  } catch (error) {
+    console.error('Email invoice error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending invoice'
+    })
+  }
+}
+
+module.exports = {
+  getFolio,
+  addFolioItem,
+  voidFolioCharge,
+  getInvoice,
+  emailInvoice
+}
\ No newline at end of file
@@ -0,0 +1,389 @@
+const Guest = require('../models/Guest')
+const Booking = require('../models/Booking')
+const Settings = require('../models/Settings')
+const { resolveDisplayCurrency } = require('../utils/currency')
+const emailTemplates = require('../utils/emailTemplates')
+const { trySendTemplateEmail } = require('../utils/mailer')
+
+// Profile fields a guest may change themselves. The email is fixed because
+// it is what links the account to its bookings.
+const PROFILE_FIELDS = [
+  'firstName',
+  'lastName',
+  'phone',
+  'address.street',
+  'address.city',
+  'address.state',
+  'address.zipCode',
+  'address.country',
+  'preferences.currency',
+  'preferences.specialRequests',
+  'preferences.newsletter'
+]
+
+// Email a guest a fresh link to confirm their address
+const sendVerificationEmail = async (guest) => {
+  const token = guest.createEmailVerificationToken()
+  await guest.save()
+
+  const link = `${process.env.FRONTEND_URL}/verify-email?token=${token}`
+  return trySendTemplateEmail(guest.email, emailTemplates.guestEmailVerification(guest, link))
+}
+
+// @desc    Create a guest account
+// @route   POST /api/guests/register
+// @access  Public
+const registerGuest = async (req, res) => {
+  try {
+    const { firstName, lastName, email, password, phone } = req.body
+
+    // Newsletter subscribers already have a guest record without an account
+    let guest = await Guest.findOne({ email })
+
+    if (guest?.registeredAt && guest.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account already exists with this email'
+      })
+    }
+
+    if (!guest) {
+      guest = new Guest({ email })
+    } else if (guest.registeredAt) {
+      // Nobody has proven they own an unconfirmed account, so registering
+      // again starts it over: the earlier password, saved details and
+      // sessions stop counting, and only the new link confirms the email
+      guest.address = undefined
+      guest.preferences.currency = undefined
+      guest.preferences.specialRequests = undefined
+      guest.loginAttempts = 0
+      guest.lockUntil = undefined
+    }
+
+    guest.set({
+      firstName,
+      lastName,
+      password,
+      phone,
+      registeredAt: new Date(),
+      emailVerified: false
+    })
+
+    await sendVerificationEmail(guest)
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created. Please check your email to confirm your address',
+      data: {
+        token: guest.generateAuthToken(),
+        guest
+      }
+    })
+  } catch (error) {
+    console.error('Register guest error:', error)
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account already exists with this email'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating account'
+    })
+  }
+}
+
+// @desc    Confirm a guest's email address
+// @route   POST /api/guests/verify-email
+// @access  Public
+const verifyGuestEmail = async (req, res) => {
+  try {
+    const guest = await Guest.findByVerificationToken(req.body.token)
+
+    if (!guest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      })
+    }
+
+    guest.emailVerified = true
+    guest.emailVerificationToken = undefined
+    guest.emailVerificationExpires = undefined
+    await guest.save()
+
+    await trySendTemplateEmail(guest.email, emailTemplates.welcome(guest))
+
+    const linkedBookings = await Booking.countDocuments({ 'guestInfo.email': guest.email })
+
+    res.status(200).json({
+      success: true,
+      message: 'Email confirmed successfully',
+      data: {
+        guest,
+        linkedBookings
+      }
+    })
+  } catch (error) {
+    console.error('Verify guest email error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming email'
+    })
+  }
+}
+
+// @desc    Send a new email confirmation link
+// @route   POST /api/guests/verify-email/resend
+// @access  Private (Guest)
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const guest = req.guest
+
+    if (guest.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already confirmed'
+      })
+    }
+
+    const sent = await sendVerificationEmail(guest)
+
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Confirmation email could not be sent, please try again later'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'A new confirmation link has been sent to your email'
+    })
+  } catch (error) {
+    console.error('Resend verification email error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending confirmation email'
+    })
+  }
+}
+
+// @desc    Sign in to a guest account
+// @route   POST /api/guests/login
+// @access  Public
+const loginGuest = async (req, res) => {
+  try {
+    const { email, password } = req.body
+
+    const guest = await Guest.findOne({ email, registeredAt: { $exists: true } }).select('+password')
+
+    if (!guest || !guest.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      })
+    }
+
+    if (guest.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed login attempts'
+      })
+    }
+
+    const isMatch = await guest.comparePassword(password)
+
+    if (!isMatch) {
+      await guest.incLoginAttempts()
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      })
+    }
+
+    guest.loginAttempts = 0
+    guest.lockUntil = undefined
+    guest.lastLogin = new Date()
+    await guest.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token: guest.generateAuthToken(),
+        guest
+      }
+    })
+  } catch (error) {
+    console.error('Guest login error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    })
+  }
+}
+
+// @desc    Get the signed-in guest's profile
+// @route   GET /api/guests/me
+// @access  Private (Guest)
+const getGuestProfile = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.guest
+  })
+}
+
+// @desc    Update the signed-in guest's saved details
+// @route   PUT /api/guests/me
+// @access  Private (Guest)
+const updateGuestProfile = async (req, res) => {
+  try {
+    const guest = req.guest
+
+    PROFILE_FIELDS.forEach(path => {
+      const value = path.split('.').reduce((source, key) => source?.[key], req.body)
+
+      if (value !== undefined) {
+        guest.set(path, value)
+      }
+    })
+
+    // Only currencies prices can actually be shown in are kept
+    if (guest.isModified('preferences.currency') && guest.preferences.currency) {
+      const settings = await Settings.getCurrent()
+      const rate = await resolveDisplayCurrency(guest.preferences.currency, settings.currency)
+
+      if (!rate.success) {
+        return res.status(rate.status).json({
+          success: false,
+          message: rate.message
+        })
+      }
+    }
+
+    if (guest.isModified('preferences.newsletter') && guest.preferences.newsletter) {
+      guest.preferences.newsletterSubscribedAt = new Date()
+    }
+
+    await guest.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: guest
+    })
+  } catch (error) {
+    console.error('Update guest profile error:', error)
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile'
+    })
+  }
+}
+
+// @desc    Get every booking made under the guest's email
+// @route   GET /api/guests/me/bookings
+// @access  Private (Guest)
+const getGuestBookings = async (req, res) => {
+  try {
+    const guest = req.guest
+
+    // Bookings are matched on email, so it must be proven to be theirs
+    if (!guest.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please confirm your email address to see your bookings'
+      })
+    }
+
+    const { status, when, page = 1, limit = 10 } = req.query
+
+    // Build filter object
+    const filter = { 'guestInfo.email': guest.email }
+
+    if (status) {
+      filter.bookingStatus = status
+    }
+
+    if (when === 'upcoming') {
+      filter.checkOutDate = { $gte: new Date() }
+    } else if (when === 'past') {
+      filter.checkOutDate = { $lt: new Date() }
+    }
+
+    // Pagination
+    const pageNum = parseInt(page, 10)
+    const limitNum = parseInt(limit, 10)
+    const skip = (pageNum - 1) * limitNum
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter)
+        .select('-notes -statusHistory -ledger -roomMoves')
+        .populate('room', 'name type pricePerNight images')
+        .sort({ checkInDate: when === 'upcoming' ? 1 : -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Booking.countDocuments(filter)
+    ])
+
+    res.status(200).json({
+      success: true,
+      count: bookings.length,
+      total,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      },
+      data: bookings
+    })
+  } catch (error) {
+    console.error('Get guest bookings error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bookings'
+    })
+  }
+}
+
+module.exports = {
+  registerGuest,
+  verifyGuestEmail,
+  resendVerificationEmail,
+  loginGuest,
+  getGuestProfile,
+  updateGuestProfile,
+  getGuestBookings
+}
\ No newline at end of file
@@ -0,0 +1,266 @@
+const jwt = require('jsonwebtoken')
+const Booking = require('../models/Booking')
+const emailTemplates = require('../utils/emailTemplates')
+const { trySendTemplateEmail } = require('../utils/mailer')
+const { modifyBooking } = require('../utils/bookingModifications')
+const { transitionBooking } = require('../utils/bookingStatus')
+const {
+  getCancellationTerms,
+  isWithinGuestWindow,
+  calculateCancellationCharges
+} = require('../utils/cancellationPolicy')
+
+const ACCESS_TOKEN_EXPIRY = '2h'
+const MAGIC_LINK_EXPIRY = '24h'
+
+// Bookings a guest may still change or cancel themselves
+const MANAGEABLE_STATUSES = ['pending', 'confirmed']
+
+// Sign a token that grants access to a single booking
+const signGuestBookingToken = (booking, expiresIn) => {
+  return jwt.sign({
+    type: 'guest_booking',
+    booking: booking._id.toString(),
+    email: booking.guestInfo.email
+  }, process.env.JWT_SECRET, { expiresIn })
+}
+
+// Look up a booking by the details printed on the guest's confirmation
+const findGuestBooking = (confirmationNumber, email) => {
+  return Booking.findOne({
+    confirmationNumber: confirmationNumber.toUpperCase(),
+    'guestInfo.email': email
+  })
+}
+
+// @desc    Verify confirmation number and email to manage a booking
+// @route   POST /api/bookings/manage/verify
+// @access  Public
+const verifyGuestBooking = async (req, res) => {
+  try {
+    const { confirmationNumber, email } = req.body
+
+    const booking = await findGuestBooking(confirmationNumber, email)
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'No booking found with these details'
+      })
+    }
+
+    await booking.populate('room', 'name type pricePerNight images amenities')
+    const charges = await calculateCancellationCharges(booking)
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking verified successfully',
+      token: signGuestBookingToken(booking, ACCESS_TOKEN_EXPIRY),
+      data: {
+        booking,
+        cancellation: charges,
+        canManage: MANAGEABLE_STATUSES.includes(booking.bookingStatus) && charges.withinFreePeriod
+      }
+    })
+  } catch (error) {
+    console.error('Verify guest booking error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying booking'
+    })
+  }
+}
+
+// @desc    Email the guest a link to manage their booking
+// @route   POST /api/bookings/manage/magic-link
+// @access  Public
+const requestMagicLink = async (req, res) => {
+  try {
+    const { confirmationNumber, email } = req.body
+
+    const booking = await findGuestBooking(confirmationNumber, email)
+
+    // Only send to the email on the booking, and don't reveal whether it exists
+    if (booking) {
+      await booking.populate('room', 'name type')
+
+      const token = signGuestBookingToken(booking, MAGIC_LINK_EXPIRY)
+      const link = `${process.env.FRONTEND_URL}/manage-booking?token=${token}`
+
+      await trySendTemplateEmail(booking.guestInfo.email, emailTemplates.bookingAccessLink(booking, link))
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If a booking matches these details, a link to manage it has been sent to the email on the booking'
+    })
+  } catch (error) {
+    console.error('Request magic link error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending booking link'
+    })
+  }
+}
+
+// @desc    Get the booking the guest token grants access to
+// @route   GET /api/bookings/manage
+// @access  Public (with booking access token)
+const getGuestBooking = async (req, res) => {
+  try {
+    const booking = req.booking
+    await booking.populate('room', 'name type pricePerNight images amenities')
+
+    const charges = await calculateCancellationCharges(booking)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        booking,
+        cancellation: charges,
+        canManage: MANAGEABLE_STATUSES.includes(booking.bookingStatus) && charges.withinFreePeriod
+      }
+    })
+  } catch (error) {
+    console.error('Get guest booking error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching booking'
+    })
+  }
+}
+
+// @desc    Change dates or number of guests on a booking
+// @route   PATCH /api/bookings/manage
+// @access  Public (with booking access token)
+const modifyGuestBooking = async (req, res) => {
+  try {
+    const booking = req.booking
+
+    if (!MANAGEABLE_STATUSES.includes(booking.bookingStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking can no longer be changed online'
+      })
+    }
+
+    const terms = await getCancellationTerms(booking)
+
+    if (!isWithinGuestWindow(terms)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking can no longer be changed online under the cancellation policy, please contact the hotel'
+      })
+    }
+
+    // Guests may change their dates and party size but not the room
+    const result = await modifyBooking(booking, {
+      checkInDate: req.body.checkInDate,
+      checkOutDate: req.body.checkOutDate,
+      numberOfGuests: req.body.numberOfGuests
+    }, { source: 'guest' })
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        conflictingNights: result.conflicts
+      })
+    }
+
+    const { previousTotal, priceDifference } = result
+
+    await booking.populate('room', 'name type pricePerNight images amenities')
+    await trySendTemplateEmail(booking.guestInfo.email, emailTemplates.bookingModification(booking, priceDifference))
+
+    const io = req.app.get('io')
+    if (io) {
+      io.to('admin-room').emit('booking-updated', {
+        booking,
+        message: 'Booking changed by guest',
+        timestamp: new Date()
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking updated successfully',
+      data: {
+        booking,
+        previousTotal,
+        priceDifference
+      }
+    })
+  } catch (error) {
+    console.error('Modify guest booking error:', error)
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating booking'
+    })
+  }
+}
+
+// @desc    Cancel a booking as the guest
+// @route   POST /api/bookings/manage/cancel
+// @access  Public (with booking access token)
+const cancelGuestBooking = async (req, res) => {
+  try {
+    const booking = req.booking
+
+    if (!MANAGEABLE_STATUSES.includes(booking.bookingStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking can no longer be cancelled online'
+      })
+    }
+
+    // Outside the free period the policy's penalty is kept from the refund;
+    // the transition releases the nights and emails the guest
+    const result = await transitionBooking(booking, 'cancelled', {
+      actor: 'guest',
+      notes: req.body.reason || 'Cancelled by guest',
+      io: req.app.get('io')
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: booking
+    })
+  } catch (error) {
+    console.error('Cancel guest booking error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling booking'
+    })
+  }
+}
+
+module.exports = {
+  verifyGuestBooking,
+  requestMagicLink,
+  getGuestBooking,
+  modifyGuestBooking,
+  cancelGuestBooking
+}
\ No newline at end of file
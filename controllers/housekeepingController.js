@@ -0,0 +1,323 @@
+const RoomUnit = require('../models/RoomUnit')
+const HousekeepingTask = require('../models/HousekeepingTask')
+const {
+  ACTIVE_TASK_STATUSES,
+  emitHousekeepingUpdate,
+  applyHousekeepingStatus,
+  markUnitDirty
+} = require('../utils/housekeeping')
+
+// Roles that may finish or override another housekeeper's work
+const SUPERVISOR_ROLES = ['admin', 'super_admin', 'manager']
+
+// @desc    Get housekeeping status of every room unit
+// @route   GET /api/housekeeping/rooms
+// @access  Private (Housekeeping)
+const getHousekeepingRooms = async (req, res) => {
+  try {
+    const { status, floor, wing } = req.query
+
+    // Build filter object
+    const filter = {}
+
+    if (status) {
+      filter['housekeeping.status'] = status
+    }
+
+    if (floor) {
+      filter.floor = Number(floor)
+    }
+
+    if (wing) {
+      filter.wing = wing
+    }
+
+    const units = await RoomUnit.find(filter)
+      .select('room number floor wing status housekeeping')
+      .populate('room', 'name type')
+      .populate('housekeeping.updatedBy', 'firstName lastName')
+      .sort({ number: 1 })
+      .lean()
+
+    const summary = units.reduce((counts, unit) => {
+      const key = unit.housekeeping?.status || 'clean'
+      counts[key] = (counts[key] || 0) + 1
+      return counts
+    }, {})
+
+    res.status(200).json({
+      success: true,
+      count: units.length,
+      summary,
+      data: units
+    })
+  } catch (error) {
+    console.error('Get housekeeping rooms error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching housekeeping status'
+    })
+  }
+}
+
+// @desc    Set the housekeeping status of a room unit
+// @route   PATCH /api/housekeeping/rooms/:id/status
+// @access  Private (Housekeeping)
+const updateHousekeepingStatus = async (req, res) => {
+  try {
+    const { status, notes } = req.body
+    const io = req.app.get('io')
+
+    const unit = await RoomUnit.findById(req.params.id)
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room unit not found'
+      })
+    }
+
+    // Cleaning starts by claiming the room's task so it is never left unowned
+    if (status === 'cleaning') {
+      return res.status(400).json({
+        success: false,
+        message: 'Claim the cleaning task for this room to start cleaning it'
+      })
+    }
+
+    if (status === 'dirty') {
+      const result = await markUnitDirty(unit._id, {
+        type: 'requested',
+        updatedBy: req.user._id,
+        notes,
+        io
+      })
+
+      return res.status(200).json({
+        success: true,
+        message: `Room ${unit.number} marked dirty`,
+        data: result
+      })
+    }
+
+    const current = unit.housekeeping?.status
+
+    if (status === 'inspected' && current !== 'clean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only clean rooms can be marked inspected'
+      })
+    }
+
+    applyHousekeepingStatus(unit, status, { updatedBy: req.user._id, notes })
+    await unit.save()
+
+    // A room signed off as clean needs no more cleaning
+    if (status === 'clean' || status === 'inspected') {
+      await HousekeepingTask.updateMany(
+        { unit: unit._id, status: { $in: ACTIVE_TASK_STATUSES } },
+        { $set: { status: 'cancelled', notes: `Room marked ${status}` } }
+      )
+    }
+
+    emitHousekeepingUpdate(io, {
+      unit,
+      message: `Room ${unit.number} marked ${status.replace('_', ' ')}`
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `Room ${unit.number} marked ${status.replace('_', ' ')}`,
+      data: { unit }
+    })
+  } catch (error) {
+    console.error('Update housekeeping status error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Room unit not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating housekeeping status'
+    })
+  }
+}
+
+// @desc    Get cleaning tasks
+// @route   GET /api/housekeeping/tasks
+// @access  Private (Housekeeping)
+const getHousekeepingTasks = async (req, res) => {
+  try {
+    const { status, mine } = req.query
+
+    // Build filter object; the board shows outstanding work by default
+    const filter = {
+      status: status || { $in: ACTIVE_TASK_STATUSES }
+    }
+
+    if (mine === 'true') {
+      filter.assignedTo = req.user._id
+    }
+
+    const tasks = await HousekeepingTask.find(filter)
+      .populate('unit', 'number floor wing housekeeping')
+      .populate('room', 'name type')
+      .populate('assignedTo', 'firstName lastName')
+      .sort({ createdAt: 1 })
+      .lean()
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      data: tasks
+    })
+  } catch (error) {
+    console.error('Get housekeeping tasks error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching cleaning tasks'
+    })
+  }
+}
+
+// @desc    Claim an open cleaning task
+// @route   POST /api/housekeeping/tasks/:id/claim
+// @access  Private (Housekeeping)
+const claimHousekeepingTask = async (req, res) => {
+  try {
+    // Only one housekeeper can win the claim
+    const task = await HousekeepingTask.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      { $set: { status: 'in_progress', assignedTo: req.user._id, claimedAt: new Date() } },
+      { new: true }
+    )
+
+    if (!task) {
+      const exists = await HousekeepingTask.exists({ _id: req.params.id })
+
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Cleaning task is no longer open' : 'Cleaning task not found'
+      })
+    }
+
+    const unit = await RoomUnit.findById(task.unit)
+
+    if (unit && unit.housekeeping?.status !== 'out_of_order') {
+      applyHousekeepingStatus(unit, 'cleaning', { updatedBy: req.user._id })
+      await unit.save()
+    }
+
+    await task.populate('assignedTo', 'firstName lastName')
+
+    emitHousekeepingUpdate(req.app.get('io'), {
+      unit,
+      task,
+      message: `Room ${unit?.number} is being cleaned by ${req.user.firstName}`
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Cleaning task claimed',
+      data: { task, unit }
+    })
+  } catch (error) {
+    console.error('Claim housekeeping task error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Cleaning task not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while claiming cleaning task'
+    })
+  }
+}
+
+// @desc    Mark a claimed cleaning task as done
+// @route   POST /api/housekeeping/tasks/:id/complete
+// @access  Private (Housekeeping)
+const completeHousekeepingTask = async (req, res) => {
+  try {
+    const { notes } = req.body
+
+    const task = await HousekeepingTask.findById(req.params.id)
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cleaning task not found'
+      })
+    }
+
+    if (task.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only claimed cleaning tasks can be completed'
+      })
+    }
+
+    if (!task.assignedTo.equals(req.user._id) && !SUPERVISOR_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This cleaning task is claimed by someone else'
+      })
+    }
+
+    task.status = 'completed'
+    task.completedAt = new Date()
+    if (notes) {
+      task.notes = notes
+    }
+    await task.save()
+
+    const unit = await RoomUnit.findById(task.unit)
+
+    if (unit && unit.housekeeping?.status !== 'out_of_order') {
+      applyHousekeepingStatus(unit, 'clean', { updatedBy: req.user._id, notes })
+      await unit.save()
+    }
+
+    emitHousekeepingUpdate(req.app.get('io'), {
+      unit,
+      task,
+      message: `Room ${unit?.number} is clean`
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Cleaning task completed',
+      data: { task, unit }
+    })
+  } catch (error) {
+    console.error('Complete housekeeping task error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Cleaning task not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while completing cleaning task'
+    })
+  }
+}
+
+module.exports = {
+  getHousekeepingRooms,
+  updateHousekeepingStatus,
+  getHousekeepingTasks,
+  claimHousekeepingTask,
+  completeHousekeepingTask
+}
\ No newline at end of file
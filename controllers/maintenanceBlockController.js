@@ -0,0 +1,341 @@
+const MaintenanceBlock = require('../models/MaintenanceBlock')
+const RoomUnit = require('../models/RoomUnit')
+const User = require('../models/User')
+const { releaseBlockNights, toNightDate } = require('../utils/inventory')
+const { getHotelDate } = require('../utils/bookingStatus')
+const {
+  findOverlappingBlock,
+  applyMaintenanceBlock,
+  emitMaintenanceBlockUpdate
+} = require('../utils/maintenanceBlocks')
+
+// Format mongoose validation errors for the response body
+const formatValidationError = (error) => {
+  return Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+}
+
+// Blocks are assigned to an active staff member
+const findAssignee = async (userId) => {
+  return User.findOne({ _id: userId, isActive: true }).select('_id')
+}
+
+// @desc    Get maintenance blocks
+// @route   GET /api/admin/maintenance-blocks
+// @access  Private (Admin)
+const getMaintenanceBlocks = async (req, res) => {
+  try {
+    const { unit, room, status, from, to, hasConflicts } = req.query
+
+    // Build filter object
+    const filter = {}
+
+    if (unit) {
+      filter.unit = unit
+    }
+
+    if (room) {
+      filter.room = room
+    }
+
+    if (status) {
+      filter.status = status
+    }
+
+    // Blocks that share at least one night with the range
+    if (from) {
+      filter.endDate = { $gt: toNightDate(from) }
+    }
+
+    if (to) {
+      filter.startDate = { $lt: toNightDate(to) }
+    }
+
+    if (hasConflicts !== undefined) {
+      filter.hasConflicts = hasConflicts === 'true'
+    }
+
+    const blocks = await MaintenanceBlock.find(filter)
+      .populate('unit', 'number floor wing')
+      .populate('room', 'name type')
+      .populate('assignedTo', 'firstName lastName email')
+      .sort({ startDate: 1 })
+      .lean()
+
+    res.status(200).json({
+      success: true,
+      count: blocks.length,
+      data: blocks
+    })
+  } catch (error) {
+    console.error('Get maintenance blocks error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching maintenance blocks'
+    })
+  }
+}
+
+// @desc    Get single maintenance block
+// @route   GET /api/admin/maintenance-blocks/:id
+// @access  Private (Admin)
+const getMaintenanceBlock = async (req, res) => {
+  try {
+    const block = await MaintenanceBlock.findById(req.params.id)
+      .populate('unit', 'number floor wing')
+      .populate('room', 'name type')
+      .populate('assignedTo', 'firstName lastName email')
+      .populate('conflicts.bookings', 'bookingId confirmationNumber guestInfo.firstName guestInfo.lastName checkInDate checkOutDate bookingStatus')
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance block not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: block
+    })
+  } catch (error) {
+    console.error('Get maintenance block error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance block not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching maintenance block'
+    })
+  }
+}
+
+// @desc    Create maintenance block
+// @route   POST /api/admin/maintenance-blocks
+// @access  Private (Admin)
+const createMaintenanceBlock = async (req, res) => {
+  try {
+    const { unit: unitId, reason, startDate, endDate, assignedTo, notes } = req.body
+
+    const unit = await RoomUnit.findById(unitId)
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room unit not found'
+      })
+    }
+
+    if (assignedTo && !(await findAssignee(assignedTo))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assigned staff member not found'
+      })
+    }
+
+    if (await findOverlappingBlock(unit._id, startDate, endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: `Room ${unit.number} already has a maintenance block on some of these dates`
+      })
+    }
+
+    const block = new MaintenanceBlock({
+      unit: unit._id,
+      room: unit.room,
+      reason,
+      startDate: toNightDate(startDate),
+      endDate: toNightDate(endDate),
+      assignedTo,
+      notes,
+      createdBy: req.user._id
+    })
+
+    await block.validate()
+
+    // Hold the nights first; bookings already in the way are flagged, not moved
+    await applyMaintenanceBlock(block, unit)
+
+    try {
+      await block.save()
+    } catch (error) {
+      await releaseBlockNights(block._id)
+      throw error
+    }
+
+    emitMaintenanceBlockUpdate(req.app.get('io'), block, `Room ${unit.number} blocked for maintenance`)
+
+    res.status(201).json({
+      success: true,
+      message: block.hasConflicts
+        ? 'Maintenance block created, but it overlaps existing bookings'
+        : 'Maintenance block created successfully',
+      data: block
+    })
+  } catch (error) {
+    console.error('Create maintenance block error:', error)
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating maintenance block'
+    })
+  }
+}
+
+// @desc    Update maintenance block, or complete or cancel it
+// @route   PUT /api/admin/maintenance-blocks/:id
+// @access  Private (Admin)
+const updateMaintenanceBlock = async (req, res) => {
+  try {
+    const { reason, startDate, endDate, assignedTo, notes, status } = req.body
+
+    const block = await MaintenanceBlock.findById(req.params.id)
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance block not found'
+      })
+    }
+
+    if (block.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change a maintenance block that is ${block.status}`
+      })
+    }
+
+    if (assignedTo && !(await findAssignee(assignedTo))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assigned staff member not found'
+      })
+    }
+
+    if (reason !== undefined) block.reason = reason
+    if (startDate !== undefined) block.startDate = toNightDate(startDate)
+    if (endDate !== undefined) block.endDate = toNightDate(endDate)
+    if (assignedTo !== undefined) block.assignedTo = assignedTo
+    if (notes !== undefined) block.notes = notes
+
+    await block.validate()
+
+    const unit = await RoomUnit.findById(block.unit)
+
+    if (status === 'cancelled') {
+      // The unit goes straight back on sale for every blocked night
+      await releaseBlockNights(block._id)
+      block.status = 'cancelled'
+      block.hasConflicts = false
+    } else if (status === 'completed') {
+      // Finished early: nights from today on go back on sale
+      await releaseBlockNights(block._id, await getHotelDate())
+      block.status = 'completed'
+      block.hasConflicts = false
+    } else if (block.isModified('startDate') || block.isModified('endDate')) {
+      if (await findOverlappingBlock(block.unit, block.startDate, block.endDate, block._id)) {
+        return res.status(400).json({
+          success: false,
+          message: `Room ${unit?.number} already has a maintenance block on some of these dates`
+        })
+      }
+
+      await applyMaintenanceBlock(block, unit)
+    }
+
+    await block.save()
+
+    emitMaintenanceBlockUpdate(req.app.get('io'), block, `Maintenance block for room ${unit?.number} ${block.status === 'scheduled' ? 'updated' : block.status}`)
+
+    res.status(200).json({
+      success: true,
+      message: block.hasConflicts
+        ? 'Maintenance block updated, but it overlaps existing bookings'
+        : 'Maintenance block updated successfully',
+      data: block
+    })
+  } catch (error) {
+    console.error('Update maintenance block error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance block not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating maintenance block'
+    })
+  }
+}
+
+// @desc    Delete maintenance block
+// @route   DELETE /api/admin/maintenance-blocks/:id
+// @access  Private (Admin)
+const deleteMaintenanceBlock = async (req, res) => {
+  try {
+    const block = await MaintenanceBlock.findById(req.params.id)
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance block not found'
+      })
+    }
+
+    await releaseBlockNights(block._id)
+    await block.deleteOne()
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance block deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete maintenance block error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance block not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting maintenance block'
+    })
+  }
+}
+
+module.exports = {
+  getMaintenanceBlocks,
+  getMaintenanceBlock,
+  createMaintenanceBlock,
+  updateMaintenanceBlock,
+  deleteMaintenanceBlock
+}
\ No newline at end of file
@@ -0,0 +1,170 @@
+const Booking = require('../models/Booking')
+const { getPaymentProvider } = require('../utils/paymentGateway')
+const { processPaymentEvent } = require('../utils/payments')
+const { getAmountDueNow, postLedgerEntry } = require('../utils/paymentLedger')
+
+// @desc    Receive payment events from the payment provider
+// @route   POST /api/payments/webhook
+// @access  Public (signed by the provider)
+const handlePaymentWebhook = async (req, res) => {
+  try {
+    const provider = getPaymentProvider()
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Online payments are not configured'
+      })
+    }
+
+    // The signature covers the exact bytes sent, not the parsed body
+    const event = provider.verifyWebhook(req.rawBody, req.headers)
+
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      })
+    }
+
+    const result = await processPaymentEvent(provider, event, { io: req.app.get('io') })
+
+    res.status(200).json({
+      success: true,
+      received: true,
+      duplicate: Boolean(result.duplicate)
+    })
+  } catch (error) {
+    console.error('Payment webhook error:', error)
+
+    // A non-2xx response makes the provider deliver the event again
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing payment event'
+    })
+  }
+}
+
+// Payment schedule, ledger and balance of a booking
+const buildPaymentDetails = (booking) => ({
+  bookingId: booking.bookingId,
+  currency: booking.pricing.currency,
+  summary: booking.paymentSummary,
+  dueNow: getAmountDueNow(booking),
+  schedule: booking.paymentSchedule,
+  ledger: booking.ledger
+})
+
+// @desc    Get a booking's payment schedule and ledger
+// @route   GET /api/bookings/:id/payments
+// @access  Private (Admin)
+const getBookingPayments = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('ledger.postedBy', 'firstName lastName')
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: buildPaymentDetails(booking)
+    })
+  } catch (error) {
+    console.error('Get booking payments error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching booking payments'
+    })
+  }
+}
+
+// @desc    Post a payment, refund or adjustment to a booking's ledger
+// @route   POST /api/bookings/:id/payments
+// @access  Private (Admin)
+const postBookingPayment = async (req, res) => {
+  try {
+    const { type, amount, method, transactionId, description } = req.body
+
+    const booking = await Booking.findById(req.params.id)
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    // Never give back more than was received
+    if (type === 'refund' && amount > booking.paymentSummary.amountPaid) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund cannot exceed the ${booking.paymentSummary.amountPaid} paid on this booking`
+      })
+    }
+
+    const entry = postLedgerEntry(booking, {
+      type,
+      amount,
+      method: method || booking.paymentInfo.method,
+      transactionId,
+      description,
+      postedBy: req.user._id,
+      actor: 'staff'
+    })
+
+    await booking.save()
+
+    const io = req.app.get('io')
+    if (io) {
+      io.to('admin-room').emit('booking-payment-posted', {
+        bookingId: booking._id,
+        entry,
+        summary: booking.paymentSummary,
+        message: `${type} of ${amount} posted to booking ${booking.bookingId}`,
+        timestamp: new Date()
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Ledger entry posted successfully',
+      data: {
+        entry,
+        ...buildPaymentDetails(booking)
+      }
+    })
+  } catch (error) {
+    console.error('Post booking payment error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while posting booking payment'
+    })
+  }
+}
+
+module.exports = {
+  handlePaymentWebhook,
+  getBookingPayments,
+  postBookingPayment
+}
\ No newline at end of file
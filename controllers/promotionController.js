@@ -0,0 +1,236 @@
+const Promotion = require('../models/Promotion')
+const Booking = require('../models/Booking')
+
+// Format mongoose validation errors for the response body
+const formatValidationError = (error) => {
+  return Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+}
+
+// @desc    Get all promotions
+// @route   GET /api/admin/promotions
+// @access  Private (Admin)
+const getPromotions = async (req, res) => {
+  try {
+    const { isActive, roomType, search } = req.query
+
+    // Build filter object
+    const filter = {}
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true'
+    }
+
+    // Promotions limited to the room type, plus those open to every type
+    if (roomType) {
+      filter.roomTypes = { $in: [roomType, []] }
+    }
+
+    if (search) {
+      filter.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } }
+      ]
+    }
+
+    const promotions = await Promotion.find(filter)
+      .sort({ createdAt: -1 })
+      .lean()
+
+    res.status(200).json({
+      success: true,
+      count: promotions.length,
+      data: promotions
+    })
+  } catch (error) {
+    console.error('Get promotions error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching promotions'
+    })
+  }
+}
+
+// @desc    Get single promotion
+// @route   GET /api/admin/promotions/:id
+// @access  Private (Admin)
+const getPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: promotion
+    })
+  } catch (error) {
+    console.error('Get promotion error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching promotion'
+    })
+  }
+}
+
+// @desc    Create promotion
+// @route   POST /api/admin/promotions
+// @access  Private (Admin)
+const createPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.create(req.body)
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    })
+  } catch (error) {
+    console.error('Create promotion error:', error)
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promotion with this code already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating promotion'
+    })
+  }
+}
+
+// @desc    Update promotion
+// @route   PUT /api/admin/promotions/:id
+// @access  Private (Admin)
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    // Save through the document so date and discount validation runs
+    promotion.set(req.body)
+    await promotion.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    })
+  } catch (error) {
+    console.error('Update promotion error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promotion with this code already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating promotion'
+    })
+  }
+}
+
+// @desc    Delete promotion
+// @route   DELETE /api/admin/promotions/:id
+// @access  Private (Admin)
+const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    // Bookings keep their discount lines pointing at the promotion
+    const bookings = await Booking.countDocuments({ 'pricing.discounts.promotion': promotion._id })
+
+    if (bookings > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Promotion is used by ${bookings} booking(s), deactivate it instead`
+      })
+    }
+
+    await promotion.deleteOne()
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete promotion error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting promotion'
+    })
+  }
+}
+
+module.exports = {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+}
\ No newline at end of file
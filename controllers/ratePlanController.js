@@ -0,0 +1,215 @@
+const RatePlan = require('../models/RatePlan')
+
+// Format mongoose validation errors for the response body
+const formatValidationError = (error) => {
+  return Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+}
+
+// @desc    Get all rate plans
+// @route   GET /api/admin/rate-plans
+// @access  Private (Admin)
+const getRatePlans = async (req, res) => {
+  try {
+    const { roomType, isActive } = req.query
+
+    // Build filter object
+    const filter = {}
+
+    if (roomType) {
+      filter.roomType = roomType
+    }
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true'
+    }
+
+    const ratePlans = await RatePlan.find(filter)
+      .sort({ roomType: 1, priority: -1 })
+      .lean()
+
+    res.status(200).json({
+      success: true,
+      count: ratePlans.length,
+      data: ratePlans
+    })
+  } catch (error) {
+    console.error('Get rate plans error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching rate plans'
+    })
+  }
+}
+
+// @desc    Get single rate plan
+// @route   GET /api/admin/rate-plans/:id
+// @access  Private (Admin)
+const getRatePlan = async (req, res) => {
+  try {
+    const ratePlan = await RatePlan.findById(req.params.id)
+
+    if (!ratePlan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate plan not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: ratePlan
+    })
+  } catch (error) {
+    console.error('Get rate plan error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate plan not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching rate plan'
+    })
+  }
+}
+
+// @desc    Create rate plan
+// @route   POST /api/admin/rate-plans
+// @access  Private (Admin)
+const createRatePlan = async (req, res) => {
+  try {
+    const ratePlan = await RatePlan.create(req.body)
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate plan created successfully',
+      data: ratePlan
+    })
+  } catch (error) {
+    console.error('Create rate plan error:', error)
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rate plan with this code already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating rate plan'
+    })
+  }
+}
+
+// @desc    Update rate plan
+// @route   PUT /api/admin/rate-plans/:id
+// @access  Private (Admin)
+const updateRatePlan = async (req, res) => {
+  try {
+    const ratePlan = await RatePlan.findById(req.params.id)
+
+    if (!ratePlan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate plan not found'
+      })
+    }
+
+    // Save through the document so date-range validation runs
+    ratePlan.set(req.body)
+    await ratePlan.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate plan updated successfully',
+      data: ratePlan
+    })
+  } catch (error) {
+    console.error('Update rate plan error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate plan not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rate plan with this code already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating rate plan'
+    })
+  }
+}
+
+// @desc    Delete rate plan
+// @route   DELETE /api/admin/rate-plans/:id
+// @access  Private (Admin)
+const deleteRatePlan = async (req, res) => {
+  try {
+    const ratePlan = await RatePlan.findByIdAndDelete(req.params.id)
+
+    if (!ratePlan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate plan not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate plan deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete rate plan error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate plan not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting rate plan'
+    })
+  }
+}
+
+module.exports = {
+  getRatePlans,
+  getRatePlan,
+  createRatePlan,
+  updateRatePlan,
+  deleteRatePlan
+}
\ No newline at end of file
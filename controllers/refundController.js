@@ -0,0 +1,259 @@
+const Refund = require('../models/Refund')
+const Booking = require('../models/Booking')
+const { requestRefund, approveRefund, rejectRefund, processRefund, getRefundableAmount } = require('../utils/refunds')
+
+// @desc    Get refunds
+// @route   GET /api/admin/refunds
+// @access  Private (Admin)
+const getRefunds = async (req, res) => {
+  try {
+    const { status, method, booking } = req.query
+
+    // Build filter object
+    const filter = {}
+
+    if (status) {
+      filter.status = status
+    }
+
+    if (method) {
+      filter.method = method
+    }
+
+    if (booking) {
+      filter.booking = booking
+    }
+
+    const refunds = await Refund.find(filter)
+      .populate('requestedBy', 'firstName lastName')
+      .populate('approvedBy', 'firstName lastName')
+      .populate('processedBy', 'firstName lastName')
+      .sort({ requestedAt: -1 })
+      .lean()
+
+    res.status(200).json({
+      success: true,
+      count: refunds.length,
+      data: refunds
+    })
+  } catch (error) {
+    console.error('Get refunds error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching refunds'
+    })
+  }
+}
+
+// @desc    Request a refund on a booking
+// @route   POST /api/bookings/:id/refunds
+// @access  Private (Admin)
+const createRefund = async (req, res) => {
+  try {
+    const { amount, refundMethod, reason } = req.body
+
+    const booking = await Booking.findById(req.params.id)
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    const result = await requestRefund(booking, {
+      amount,
+      method: refundMethod,
+      reason,
+      requestedBy: req.user._id,
+      io: req.app.get('io')
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        data: { refundable: await getRefundableAmount(booking) }
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.refund.status === 'requested'
+        ? 'Refund requested and waiting for approval'
+        : `Refund ${result.refund.status}`,
+      data: result.refund
+    })
+  } catch (error) {
+    console.error('Create refund error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting refund'
+    })
+  }
+}
+
+// @desc    Approve a refund above the approval threshold
+// @route   PATCH /api/admin/refunds/:id/approve
+// @access  Private (Admin)
+const approveRefundRequest = async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      })
+    }
+
+    const result = await approveRefund(refund, {
+      approvedBy: req.user._id,
+      io: req.app.get('io')
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        data: result.refund
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Refund ${result.refund.status}`,
+      data: result.refund
+    })
+  } catch (error) {
+    console.error('Approve refund error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving refund'
+    })
+  }
+}
+
+// @desc    Reject a refund
+// @route   PATCH /api/admin/refunds/:id/reject
+// @access  Private (Admin)
+const rejectRefundRequest = async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      })
+    }
+
+    const result = await rejectRefund(refund, {
+      reason: req.body.reason,
+      rejectedBy: req.user._id,
+      io: req.app.get('io')
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        data: result.refund
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Refund ${result.refund.status}`,
+      data: result.refund
+    })
+  } catch (error) {
+    console.error('Reject refund error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting refund'
+    })
+  }
+}
+
+// @desc    Pay out an approved refund, or retry a failed one
+// @route   PATCH /api/admin/refunds/:id/process
+// @access  Private (Admin)
+const processRefundRequest = async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      })
+    }
+
+    const result = await processRefund(refund, {
+      processedBy: req.user._id,
+      reference: req.body.reference,
+      io: req.app.get('io')
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        data: result.refund
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Refund ${result.refund.status}`,
+      data: result.refund
+    })
+  } catch (error) {
+    console.error('Process refund error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing refund'
+    })
+  }
+}
+
+module.exports = {
+  getRefunds,
+  createRefund,
+  approveRefundRequest,
+  rejectRefundRequest,
+  processRefundRequest
+}
\ No newline at end of file
@@ -0,0 +1,149 @@
+const Booking = require('../models/Booking')
+const { moveBookingToUnit, getBookingRoomPlan } = require('../utils/roomMoves')
+
+// Apply an assignment or move and build the response
+const applyRoomMove = async (req, res, options) => {
+  const booking = await Booking.findById(req.params.id)
+
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    })
+  }
+
+  const result = await moveBookingToUnit(booking, req.body.unit, {
+    ...options,
+    movedBy: req.user._id,
+    reason: req.body.reason
+  })
+
+  if (!result.success) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.message,
+      conflictingNights: result.conflicts
+    })
+  }
+
+  const { unit, move } = result
+  const message = move.type === 'assignment'
+    ? `Room ${unit.number} assigned to booking ${booking.bookingId}`
+    : `Booking ${booking.bookingId} moved to room ${unit.number}`
+
+  // Emit real-time event
+  const io = req.app.get('io')
+  if (io) {
+    io.to('admin-room').emit('booking-updated', {
+      booking,
+      move,
+      message,
+      timestamp: new Date()
+    })
+  }
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      booking,
+      move,
+      nights: await getBookingRoomPlan(booking._id)
+    }
+  })
+}
+
+// @desc    Get the room and unit for each night of a booking
+// @route   GET /api/bookings/:id/rooms
+// @access  Private (Admin)
+const getBookingRooms = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .select('bookingId room unit roomMoves checkInDate checkOutDate bookingStatus')
+      .populate('roomMoves.toUnit', 'number')
+      .populate('roomMoves.movedBy', 'firstName lastName')
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        nights: await getBookingRoomPlan(booking._id),
+        moves: booking.roomMoves
+      }
+    })
+  } catch (error) {
+    console.error('Get booking rooms error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching booking rooms'
+    })
+  }
+}
+
+// @desc    Assign or reassign the room unit for a booking's stay
+// @route   PATCH /api/bookings/:id/unit
+// @access  Private (Admin)
+const assignBookingRoom = async (req, res) => {
+  try {
+    await applyRoomMove(req, res, {})
+  } catch (error) {
+    console.error('Assign booking room error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning room'
+    })
+  }
+}
+
+// @desc    Move a booking to another room unit from a given night,
+//          optionally only until a given date to split the stay
+// @route   POST /api/bookings/:id/room-moves
+// @access  Private (Admin)
+const moveBookingRoom = async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.body
+    await applyRoomMove(req, res, { fromDate, toDate })
+  } catch (error) {
+    console.error('Move booking room error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moving room'
+    })
+  }
+}
+
+module.exports = {
+  getBookingRooms,
+  assignBookingRoom,
+  moveBookingRoom
+}
\ No newline at end of file
@@ -1,6 +1,35 @@
 const Room = require('../models/Room')
+const RoomUnit = require('../models/RoomUnit')
+const RoomNight = require('../models/RoomNight')
+const MaintenanceBlock = require('../models/MaintenanceBlock')
 const Booking = require('../models/Booking')
+const RatePlan = require('../models/RatePlan')
+const Settings = require('../models/Settings')
 const { validationResult } = require('express-validator')
+const { getNightAvailability, getInventoryCalendar, getAvailableRoomIds, formatNight, createDefaultUnit } = require('../utils/inventory')
+const { quoteStay, buildRateCalendar } = require('../utils/pricing')
+const { resolveDisplayCurrency, convertAmount, priceInCurrency } = require('../utils/currency')
+
+// Merge a room's nightly rates and restrictions with its free units
+const buildRoomCalendar = (room, ratePlan, inventory, from, to) => {
+  const rates = buildRateCalendar(ratePlan, room, from, to)
+
+  return {
+    roomId: room._id,
+    name: room.name,
+    type: room.type,
+    totalUnits: inventory.totalUnits,
+    nights: rates.map((night, index) => ({
+      date: night.date,
+      // A listing switched off is shown as sold out on every night
+      available: room.isAvailable ? inventory.nights[index].available : 0,
+      rate: night.rate,
+      isWeekend: night.isWeekend,
+      minStay: night.minStay,
+      closedToArrival: night.closedToArrival
+    }))
+  }
+}
 
 // @desc    Get all rooms with filtering, sorting, and pagination
 // @route   GET /api/rooms
@@ -18,11 +47,23 @@ const getRooms = async (req, res) => {
       isPopular,
       checkIn,
       checkOut,
+      currency,
       page = 1,
       limit = 12,
       sort = '-createdAt'
     } = req.query
 
+    // Prices can be shown, and filtered, in the guest's own currency
+    const settings = await Settings.getCurrent()
+    const rate = await resolveDisplayCurrency(currency, settings.currency)
+
+    if (!rate.success) {
+      return res.status(rate.status).json({
+        success: false,
+        message: rate.message
+      })
+    }
+
     // Build filter object
     const filter = {}
 
@@ -32,8 +73,8 @@ const getRooms = async (req, res) => {
 
     if (minPrice || maxPrice) {
       filter.pricePerNight = {}
-      if (minPrice) filter.pricePerNight.$gte = Number(minPrice)
-      if (maxPrice) filter.pricePerNight.$lte = Number(maxPrice)
+      if (minPrice) filter.pricePerNight.$gte = Number(minPrice) / rate.exchangeRate
+      if (maxPrice) filter.pricePerNight.$lte = Number(maxPrice) / rate.exchangeRate
     }
 
     if (maxOccupancy) {
@@ -62,18 +103,10 @@ const getRooms = async (req, res) => {
       const checkInDate = new Date(checkIn)
       const checkOutDate = new Date(checkOut)
       
-      // Find rooms that are not booked during the requested period
-      const bookedRoomIds = await Booking.distinct('room', {
-        $or: [
-          {
-            checkInDate: { $lt: checkOutDate },
-            checkOutDate: { $gt: checkInDate }
-          }
-        ],
-        bookingStatus: { $in: ['confirmed', 'checked_in'] }
-      })
+      // Find room types with a unit free on every night of the requested period
+      const availableRoomIds = await getAvailableRoomIds(checkInDate, checkOutDate)
       
-      filter._id = { $nin: bookedRoomIds }
+      filter._id = { $in: availableRoomIds }
     }
 
     // Pagination
@@ -91,6 +124,17 @@ const getRooms = async (req, res) => {
     // Get total count for pagination
     const total = await Room.countDocuments(filter)
 
+    // Nightly prices in the guest's currency next to the settlement prices
+    if (currency) {
+      rooms.forEach(room => {
+        room.displayPricing = {
+          currency: rate.currency,
+          exchangeRate: rate.exchangeRate,
+          pricePerNight: convertAmount(room.pricePerNight, rate)
+        }
+      })
+    }
+
     res.status(200).json({
       success: true,
       count: rooms.length,
@@ -163,6 +207,9 @@ const createRoom = async (req, res) => {
 
     const room = await Room.create(req.body)
 
+    // Availability counts units, so a room type without one could never be booked
+    await createDefaultUnit(room)
+
     res.status(201).json({
       success: true,
       message: 'Room created successfully',
@@ -286,6 +333,11 @@ const deleteRoom = async (req, res) => {
     }
 
     await Room.findByIdAndDelete(req.params.id)
+    await RoomUnit.deleteMany({ room: req.params.id })
+
+    // Maintenance blocks go with the units they were scheduled on
+    await RoomNight.deleteMany({ room: req.params.id, block: { $exists: true } })
+    await MaintenanceBlock.deleteMany({ room: req.params.id })
 
     res.status(200).json({
       success: true,
@@ -365,19 +417,21 @@ const getRoomAvailability = async (req, res) => {
       })
     }
 
-    // Check for conflicting bookings
-    const conflictingBookings = await Booking.find({
-      room: req.params.id,
-      $or: [
-        {
-          checkInDate: { $lt: checkOutDate },
-          checkOutDate: { $gt: checkInDate }
-        }
-      ],
-      bookingStatus: { $in: ['confirmed', 'checked_in'] }
-    })
+    // Count units left per night after confirmed bookings and pending holds
+    const availability = await getNightAvailability(req.params.id, checkInDate, checkOutDate)
+
+    const quote = await quoteStay(room, checkInDate, checkOutDate)
+    const converted = await priceInCurrency(quote, req.query.currency)
+
+    if (!converted.success) {
+      return res.status(converted.status).json({
+        success: false,
+        message: converted.message
+      })
+    }
 
-    const isAvailable = conflictingBookings.length === 0 && room.isAvailable
+    quote.display = converted.display
+    const isAvailable = availability.availableUnits > 0 && room.isAvailable && quote.meetsMinStay && !quote.closedToArrival
 
     res.status(200).json({
       success: true,
@@ -386,7 +440,13 @@ const getRoomAvailability = async (req, res) => {
         isAvailable,
         checkInDate,
         checkOutDate,
-        conflictingBookings: conflictingBookings.length
+        totalUnits: availability.totalUnits,
+        availableUnits: availability.availableUnits,
+        conflictingNights: availability.soldOutNights,
+        nights: availability.nights,
+        minStay: quote.minStay,
+        closedToArrival: quote.closedToArrival,
+        pricing: quote
       }
     })
   } catch (error) {
@@ -406,6 +466,106 @@ const getRoomAvailability = async (req, res) => {
   }
 }
 
+// @desc    Get per-night availability, price and restrictions for a room
+// @route   GET /api/rooms/:id/calendar
+// @access  Public
+const getRoomCalendar = async (req, res) => {
+  try {
+    const from = new Date(req.query.from)
+    const to = new Date(req.query.to)
+
+    const room = await Room.findById(req.params.id)
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      })
+    }
+
+    const [ratePlan, inventory, { currency }] = await Promise.all([
+      RatePlan.findActiveForRoomType(room.type),
+      getInventoryCalendar([room._id], from, to),
+      Settings.getCurrent()
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: formatNight(from),
+        to: formatNight(to),
+        currency,
+        ...buildRoomCalendar(room, ratePlan, inventory.get(room._id.toString()), from, to)
+      }
+    })
+  } catch (error) {
+    console.error('Get room calendar error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching room calendar'
+    })
+  }
+}
+
+// @desc    Get per-night availability, price and restrictions for every room
+// @route   GET /api/rooms/calendar
+// @access  Public
+const getPropertyCalendar = async (req, res) => {
+  try {
+    const from = new Date(req.query.from)
+    const to = new Date(req.query.to)
+
+    const filter = { isAvailable: true }
+    if (req.query.type) {
+      filter.type = req.query.type
+    }
+
+    const rooms = await Room.find(filter)
+      .select('name type pricePerNight pricing isAvailable')
+      .sort({ pricePerNight: 1 })
+
+    // One rate plan lookup per room type rather than per room
+    const types = [...new Set(rooms.map(room => room.type))]
+    const [ratePlans, inventory, { currency }] = await Promise.all([
+      Promise.all(types.map(type => RatePlan.findActiveForRoomType(type))),
+      getInventoryCalendar(rooms.map(room => room._id), from, to),
+      Settings.getCurrent()
+    ])
+    const ratePlanByType = new Map(types.map((type, index) => [type, ratePlans[index]]))
+
+    res.status(200).json({
+      success: true,
+      count: rooms.length,
+      data: {
+        from: formatNight(from),
+        to: formatNight(to),
+        currency,
+        rooms: rooms.map(room => buildRoomCalendar(
+          room,
+          ratePlanByType.get(room.type),
+          inventory.get(room._id.toString()),
+          from,
+          to
+        ))
+      }
+    })
+  } catch (error) {
+    console.error('Get property calendar error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching availability calendar'
+    })
+  }
+}
+
 module.exports = {
   getRooms,
   getRoom,
@@ -413,5 +573,7 @@ module.exports = {
   updateRoom,
   deleteRoom,
   getFeaturedRooms,
-  getRoomAvailability
+  getRoomAvailability,
+  getRoomCalendar,
+  getPropertyCalendar
 }
\ No newline at end of file
@@ -0,0 +1,260 @@
+const RoomUnit = require('../models/RoomUnit')
+const Room = require('../models/Room')
+const RoomNight = require('../models/RoomNight')
+const { toNightDate } = require('../utils/inventory')
+
+// Format mongoose validation errors for the response body
+const formatValidationError = (error) => {
+  return Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+}
+
+// @desc    Get all room units
+// @route   GET /api/admin/room-units
+// @access  Private (Admin)
+const getRoomUnits = async (req, res) => {
+  try {
+    const { room, status, floor } = req.query
+
+    // Build filter object
+    const filter = {}
+
+    if (room) {
+      filter.room = room
+    }
+
+    if (status) {
+      filter.status = status
+    }
+
+    if (floor) {
+      filter.floor = Number(floor)
+    }
+
+    const units = await RoomUnit.find(filter)
+      .populate('room', 'name type')
+      .sort({ number: 1 })
+      .lean()
+
+    res.status(200).json({
+      success: true,
+      count: units.length,
+      data: units
+    })
+  } catch (error) {
+    console.error('Get room units error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching room units'
+    })
+  }
+}
+
+// @desc    Get single room unit
+// @route   GET /api/admin/room-units/:id
+// @access  Private (Admin)
+const getRoomUnit = async (req, res) => {
+  try {
+    const unit = await RoomUnit.findById(req.params.id).populate('room', 'name type')
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room unit not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: unit
+    })
+  } catch (error) {
+    console.error('Get room unit error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Room unit not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching room unit'
+    })
+  }
+}
+
+// @desc    Create room unit
+// @route   POST /api/admin/room-units
+// @access  Private (Admin)
+const createRoomUnit = async (req, res) => {
+  try {
+    const room = await Room.findById(req.body.room)
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room type not found'
+      })
+    }
+
+    const unit = await RoomUnit.create(req.body)
+
+    res.status(201).json({
+      success: true,
+      message: 'Room unit created successfully',
+      data: unit
+    })
+  } catch (error) {
+    console.error('Create room unit error:', error)
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A room unit with this number already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating room unit'
+    })
+  }
+}
+
+// @desc    Update room unit
+// @route   PUT /api/admin/room-units/:id
+// @access  Private (Admin)
+const updateRoomUnit = async (req, res) => {
+  try {
+    const unit = await RoomUnit.findById(req.params.id)
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room unit not found'
+      })
+    }
+
+    // Nights sold against this room type would lose their unit
+    if (req.body.room && req.body.room !== unit.room.toString()) {
+      const assignedNights = await RoomNight.countDocuments({
+        unit: unit._id,
+        date: { $gte: toNightDate(new Date()) }
+      })
+
+      if (assignedNights > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the room type of a unit assigned to upcoming bookings or maintenance blocks'
+        })
+      }
+    }
+
+    unit.set(req.body)
+    await unit.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Room unit updated successfully',
+      data: unit
+    })
+  } catch (error) {
+    console.error('Update room unit error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Room unit not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A room unit with this number already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating room unit'
+    })
+  }
+}
+
+// @desc    Delete room unit
+// @route   DELETE /api/admin/room-units/:id
+// @access  Private (Admin)
+const deleteRoomUnit = async (req, res) => {
+  try {
+    const unit = await RoomUnit.findById(req.params.id)
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room unit not found'
+      })
+    }
+
+    const assignedNights = await RoomNight.countDocuments({
+      unit: unit._id,
+      date: { $gte: toNightDate(new Date()) }
+    })
+
+    if (assignedNights > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a unit assigned to upcoming bookings or maintenance blocks, take it out of service instead'
+      })
+    }
+
+    await unit.deleteOne()
+
+    res.status(200).json({
+      success: true,
+      message: 'Room unit deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete room unit error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Room unit not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting room unit'
+    })
+  }
+}
+
+module.exports = {
+  getRoomUnits,
+  getRoomUnit,
+  createRoomUnit,
+  updateRoomUnit,
+  deleteRoomUnit
+}
\ No newline at end of file
@@ -0,0 +1,139 @@
+const Settings = require('../models/Settings')
+const { checkMaintenanceStatus } = require('../utils/maintenance')
+
+// Top-level sections an admin may change
+const EDITABLE_FIELDS = [
+  'siteName',
+  'currency',
+  'timezone',
+  'emailNotifications',
+  'maintenanceMode',
+  'maintenanceMessage',
+  'maintenanceWindows',
+  'bookingSettings',
+  'paymentSettings'
+]
+
+// @desc    Get current system settings
+// @route   GET /api/admin/settings
+// @access  Private (Super Admin)
+const getSettings = async (req, res) => {
+  try {
+    const settings = await Settings.getCurrent()
+
+    res.status(200).json({
+      success: true,
+      message: 'Settings retrieved successfully',
+      data: settings
+    })
+  } catch (error) {
+    console.error('Get settings error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching settings'
+    })
+  }
+}
+
+// @desc    Update system settings (stored as a new version)
+// @route   PUT /api/admin/settings
+// @access  Private (Super Admin)
+const updateSettings = async (req, res) => {
+  try {
+    const changes = {}
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field]
+      }
+    })
+
+    const settings = await Settings.createVersion(changes, {
+      updatedBy: req.user?._id,
+      changeNote: req.body.changeNote
+    })
+
+    // Let connected admins know straight away if maintenance mode flipped
+    await checkMaintenanceStatus(req.app.get('io'))
+
+    res.status(200).json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings
+    })
+  } catch (error) {
+    console.error('Update settings error:', error)
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Settings were changed by someone else, please reload and try again'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating settings'
+    })
+  }
+}
+
+// @desc    Get settings version history
+// @route   GET /api/admin/settings/history
+// @access  Private (Super Admin)
+const getSettingsHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query
+
+    const pageNum = parseInt(page, 10)
+    const limitNum = parseInt(limit, 10)
+    const skip = (pageNum - 1) * limitNum
+
+    const [versions, total] = await Promise.all([
+      Settings.find()
+        .populate('updatedBy', 'firstName lastName email')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Settings.countDocuments()
+    ])
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      total,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      },
+      data: versions
+    })
+  } catch (error) {
+    console.error('Get settings history error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching settings history'
+    })
+  }
+}
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  getSettingsHistory
+}
\ No newline at end of file
@@ -0,0 +1,219 @@
+const TaxRule = require('../models/TaxRule')
+
+// Format mongoose validation errors for the response body
+const formatValidationError = (error) => {
+  return Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+}
+
+// @desc    Get all tax rules
+// @route   GET /api/admin/tax-rules
+// @access  Private (Admin)
+const getTaxRules = async (req, res) => {
+  try {
+    const { jurisdiction, roomType, isActive } = req.query
+
+    // Build filter object
+    const filter = {}
+
+    if (jurisdiction) {
+      filter.jurisdiction = jurisdiction
+    }
+
+    if (roomType) {
+      filter.roomTypes = roomType
+    }
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true'
+    }
+
+    const taxRules = await TaxRule.find(filter)
+      .sort({ jurisdiction: 1, category: -1, code: 1 })
+      .lean()
+
+    res.status(200).json({
+      success: true,
+      count: taxRules.length,
+      data: taxRules
+    })
+  } catch (error) {
+    console.error('Get tax rules error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tax rules'
+    })
+  }
+}
+
+// @desc    Get single tax rule
+// @route   GET /api/admin/tax-rules/:id
+// @access  Private (Admin)
+const getTaxRule = async (req, res) => {
+  try {
+    const taxRule = await TaxRule.findById(req.params.id)
+
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: taxRule
+    })
+  } catch (error) {
+    console.error('Get tax rule error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tax rule'
+    })
+  }
+}
+
+// @desc    Create tax rule
+// @route   POST /api/admin/tax-rules
+// @access  Private (Admin)
+const createTaxRule = async (req, res) => {
+  try {
+    const taxRule = await TaxRule.create(req.body)
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rule created successfully',
+      data: taxRule
+    })
+  } catch (error) {
+    console.error('Create tax rule error:', error)
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tax rule with this code already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating tax rule'
+    })
+  }
+}
+
+// @desc    Update tax rule
+// @route   PUT /api/admin/tax-rules/:id
+// @access  Private (Admin)
+const updateTaxRule = async (req, res) => {
+  try {
+    const taxRule = await TaxRule.findById(req.params.id)
+
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      })
+    }
+
+    // Save through the document so effective-date validation runs
+    taxRule.set(req.body)
+    await taxRule.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rule updated successfully',
+      data: taxRule
+    })
+  } catch (error) {
+    console.error('Update tax rule error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tax rule with this code already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating tax rule'
+    })
+  }
+}
+
+// @desc    Delete tax rule
+// @route   DELETE /api/admin/tax-rules/:id
+// @access  Private (Admin)
+const deleteTaxRule = async (req, res) => {
+  try {
+    const taxRule = await TaxRule.findByIdAndDelete(req.params.id)
+
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rule deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete tax rule error:', error)
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting tax rule'
+    })
+  }
+}
+
+module.exports = {
+  getTaxRules,
+  getTaxRule,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule
+}
\ No newline at end of file
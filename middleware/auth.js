@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken')
 const User = require('../models/User')
+const Guest = require('../models/Guest')
+const Booking = require('../models/Booking')
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -145,6 +147,11 @@ const loginRateLimit = async (req, res, next) => {
 
 // Optional auth - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
+  // Already signed in by an earlier optionalAuth in the chain
+  if (req.user || req.guest) {
+    return next()
+  }
+
   try {
     let token
 
@@ -158,11 +165,20 @@ const optionalAuth = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
-        // Get user from token
-        const user = await User.findById(decoded.id).select('-password')
+        if (decoded.type === 'guest') {
+          // Guest accounts are not staff, so they never become req.user
+          const guest = await Guest.findById(decoded.id)
+
+          if (guest && guest.isActive && guest.isTokenCurrent(decoded.iat)) {
+            req.guest = guest
+          }
+        } else {
+          // Get user from token
+          const user = await User.findById(decoded.id).select('-password')
 
-        if (user && user.isActive && !user.isLocked) {
-          req.user = user
+          if (user && user.isActive && !user.isLocked) {
+            req.user = user
+          }
         }
       } catch (error) {
         // Token invalid, but continue without user
@@ -177,6 +193,122 @@ const optionalAuth = async (req, res, next) => {
   }
 }
 
+// Protect guest self-service routes - verify a booking access token
+const protectGuestBooking = async (req, res, next) => {
+  try {
+    let token
+
+    // Check for token in header
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1]
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Booking access token required'
+      })
+    }
+
+    let decoded
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET)
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Booking access link is invalid or has expired'
+      })
+    }
+
+    if (decoded.type !== 'guest_booking') {
+      return res.status(401).json({
+        success: false,
+        message: 'Booking access link is invalid or has expired'
+      })
+    }
+
+    const booking = await Booking.findById(decoded.booking)
+
+    // The token stops working if the booking's guest email changes
+    if (!booking || booking.guestInfo.email !== decoded.email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      })
+    }
+
+    req.booking = booking
+    next()
+  } catch (error) {
+    console.error('Guest booking auth error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error in authentication'
+    })
+  }
+}
+
+// Protect guest account routes - verify a guest login token
+const protectGuest = async (req, res, next) => {
+  try {
+    let token
+
+    // Check for token in header
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1]
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please sign in to your guest account'
+      })
+    }
+
+    let decoded
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET)
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has expired, please sign in again'
+      })
+    }
+
+    if (decoded.type !== 'guest') {
+      return res.status(401).json({
+        success: false,
+        message: 'Please sign in to your guest account'
+      })
+    }
+
+    const guest = await Guest.findById(decoded.id)
+
+    if (!guest || !guest.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Guest account not found'
+      })
+    }
+
+    if (!guest.isTokenCurrent(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has expired, please sign in again'
+      })
+    }
+
+    req.guest = guest
+    next()
+  } catch (error) {
+    console.error('Guest auth error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error in authentication'
+    })
+  }
+}
+
 // Admin key verification for simple admin access
 const verifyAdminKey = (req, res, next) => {
   try {
@@ -216,5 +348,7 @@ module.exports = {
   checkPermission,
   loginRateLimit,
   optionalAuth,
+  protectGuestBooking,
+  protectGuest,
   verifyAdminKey
 }
\ No newline at end of file
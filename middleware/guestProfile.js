@@ -0,0 +1,40 @@
+// Values entered on the booking form win over saved ones; blanks do not
+const mergeDetails = (saved, entered = {}) => {
+  const merged = { ...saved }
+
+  for (const [field, value] of Object.entries(entered)) {
+    if (value !== undefined && value !== null && value !== '') {
+      merged[field] = value
+    }
+  }
+
+  return merged
+}
+
+// Fill a signed-in guest's saved profile into a booking request before it
+// is validated, so returning guests only enter what differs
+const prefillGuestInfo = (req, res, next) => {
+  if (!req.guest) {
+    return next()
+  }
+
+  const profile = req.guest.toGuestInfo()
+  const entered = req.body.guestInfo || {}
+
+  req.body.guestInfo = {
+    ...mergeDetails(profile, entered),
+    address: mergeDetails(profile.address, entered.address)
+  }
+
+  const specialRequests = req.guest.preferences?.specialRequests
+
+  if (!req.body.specialRequests && specialRequests) {
+    req.body.specialRequests = specialRequests
+  }
+
+  next()
+}
+
+module.exports = {
+  prefillGuestInfo
+}
\ No newline at end of file
@@ -0,0 +1,37 @@
+const Settings = require('../models/Settings')
+const { getMaintenanceStatus } = require('../utils/maintenance')
+
+// Reject public writes with 503 while maintenance mode is on.
+// Reads and requests from authenticated staff pass through.
+const maintenanceGate = async (req, res, next) => {
+  try {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || req.user) {
+      return next()
+    }
+
+    const settings = await Settings.getCurrent()
+    const status = getMaintenanceStatus(settings)
+
+    if (!status.active) {
+      return next()
+    }
+
+    res.set('Retry-After', String(status.retryAfter))
+    return res.status(503).json({
+      success: false,
+      message: status.message,
+      maintenance: {
+        source: status.source,
+        endsAt: status.endsAt
+      }
+    })
+  } catch (error) {
+    // Never take the API down because settings could not be read
+    console.error('Maintenance gate error:', error)
+    next()
+  }
+}
+
+module.exports = {
+  maintenanceGate
+}
\ No newline at end of file
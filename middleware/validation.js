@@ -1,4 +1,22 @@
 const { body, query, param } = require('express-validator')
+const Settings = require('../models/Settings')
+
+// Enforce the advance booking window from system settings on a check-in date
+const checkAdvanceBookingWindow = async (value) => {
+  const { bookingSettings } = await Settings.getCurrent()
+  const checkIn = new Date(value)
+  const hoursAhead = (checkIn - Date.now()) / (1000 * 60 * 60)
+
+  if (hoursAhead < bookingSettings.minAdvanceBookingHours) {
+    throw new Error(`Bookings must be made at least ${bookingSettings.minAdvanceBookingHours} hours in advance`)
+  }
+
+  if (hoursAhead > bookingSettings.maxAdvanceBookingDays * 24) {
+    throw new Error(`Bookings can only be made up to ${bookingSettings.maxAdvanceBookingDays} days in advance`)
+  }
+
+  return true
+}
 
 // Room validation
 const validateRoom = [
@@ -56,14 +74,15 @@ const validateRoom = [
   body('view')
     .optional()
     .isIn(['city', 'ocean', 'garden', 'pool', 'mountain', 'courtyard'])
-    .withMessage('Invalid view type')
+    .withMessage('Invalid view type'),
+  body('cancellationPolicy')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid cancellation policy ID')
 ]
 
-// Booking validation
-const validateBooking = [
-  body('room')
-    .isMongoId()
-    .withMessage('Invalid room ID'),
+// Lead guest details shared by single and group bookings
+const guestInfoRules = [
   body('guestInfo.firstName')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -99,6 +118,15 @@ const validateBooking = [
     .trim()
     .isLength({ min: 3, max: 10 })
     .withMessage('Zip code must be between 3 and 10 characters'),
+  body('guestInfo.specialRequests')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Special requests cannot exceed 500 characters')
+]
+
+// Stay dates shared by single and group bookings
+const stayDateRules = [
   body('checkInDate')
     .isISO8601()
     .toDate()
@@ -108,7 +136,123 @@ const validateBooking = [
       }
       return true
     })
-    .withMessage('Please provide a valid check-in date'),
+    .withMessage('Please provide a valid check-in date')
+    .bail()
+    .custom(checkAdvanceBookingWindow),
+  body('checkOutDate')
+    .isISO8601()
+    .toDate()
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.checkInDate)) {
+        throw new Error('Check-out date must be after check-in date')
+      }
+      return true
+    })
+    .withMessage('Please provide a valid check-out date')
+]
+
+// A single promo code, or several stackable ones
+const promoCodeRules = [
+  body('promoCode')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Promo code must be between 2 and 30 characters'),
+  body('promoCodes')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Promo codes must be an array of at most 5 codes'),
+  body('promoCodes.*')
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Promo code must be between 2 and 30 characters')
+]
+
+// Currency a guest wants to see prices in, as a 3-letter ISO code
+const displayCurrencyRule = (field) => field('currency')
+  .optional()
+  .trim()
+  .toUpperCase()
+  .matches(/^[A-Z]{3}$/)
+  .withMessage('Currency must be a 3-letter ISO code')
+
+// Payment details shared by single and group bookings
+const paymentInfoRules = [
+  body('paymentInfo.method')
+    .isIn(['credit_card', 'debit_card', 'paypal', 'bank_transfer', 'cash'])
+    .withMessage('Invalid payment method'),
+  // Cards are tokenized by the payment provider in the browser, so raw
+  // card details must never be sent to the server
+  body(['paymentInfo.cardNumber', 'paymentInfo.expiryMonth', 'paymentInfo.expiryYear', 'paymentInfo.cvv'])
+    .not()
+    .exists()
+    .withMessage('Card details must not be sent, provide paymentInfo.paymentToken from the payment provider instead'),
+  body('paymentInfo.paymentToken')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_]{3,255}$/)
+    .withMessage('Invalid payment token'),
+  body('paymentInfo.cardHolderName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Card holder name must be between 2 and 100 characters')
+]
+
+// Booking validation
+const validateBooking = [
+  body('room')
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  ...guestInfoRules,
+  ...stayDateRules,
+  body('numberOfGuests')
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Number of guests must be between 1 and 10'),
+  ...paymentInfoRules,
+  ...promoCodeRules,
+  body('quoteToken')
+    .optional()
+    .isJWT()
+    .withMessage('Invalid price quote'),
+  displayCurrencyRule(body)
+]
+
+// Group booking validation
+const validateGroupBooking = [
+  body('rooms')
+    .isArray({ min: 2, max: 10 })
+    .withMessage('A group booking needs between 2 and 10 rooms'),
+  body('rooms.*.room')
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  body('rooms.*.numberOfGuests')
+    .isInt({ min: 1, max: 10 })
+    .toInt()
+    .withMessage('Number of guests must be between 1 and 10'),
+  ...guestInfoRules,
+  ...stayDateRules,
+  ...paymentInfoRules,
+  displayCurrencyRule(body)
+]
+
+// Price quote validation
+const validateQuote = [
+  body('room')
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  body('checkInDate')
+    .isISO8601()
+    .toDate()
+    .custom((value) => {
+      if (new Date(value) < new Date()) {
+        throw new Error('Check-in date cannot be in the past')
+      }
+      return true
+    })
+    .withMessage('Please provide a valid check-in date')
+    .bail()
+    .custom(checkAdvanceBookingWindow),
   body('checkOutDate')
     .isISO8601()
     .toDate()
@@ -121,40 +265,733 @@ const validateBooking = [
     .withMessage('Please provide a valid check-out date'),
   body('numberOfGuests')
     .isInt({ min: 1, max: 10 })
+    .toInt()
     .withMessage('Number of guests must be between 1 and 10'),
-  body('guestInfo.specialRequests')
+  ...promoCodeRules,
+  displayCurrencyRule(query)
+]
+
+// Guest booking access validation (confirmation number + email)
+const validateGuestBookingAccess = [
+  body('confirmationNumber')
+    .trim()
+    .isLength({ min: 6, max: 30 })
+    .withMessage('Invalid confirmation number format'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+]
+
+// Guest booking change validation
+const validateGuestBookingChange = [
+  body('checkInDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .custom((value) => {
+      if (new Date(value) < new Date()) {
+        throw new Error('Check-in date cannot be in the past')
+      }
+      return true
+    })
+    .withMessage('Please provide a valid check-in date')
+    .bail()
+    .custom(checkAdvanceBookingWindow),
+  body('checkOutDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Please provide a valid check-out date'),
+  body('numberOfGuests')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .toInt()
+    .withMessage('Number of guests must be between 1 and 10'),
+  body()
+    .custom((value) => {
+      if (!value.checkInDate && !value.checkOutDate && value.numberOfGuests === undefined) {
+        throw new Error('Provide new dates or number of guests to change')
+      }
+      return true
+    })
+]
+
+// Admin booking modification validation
+const validateBookingModification = [
+  body('room')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  body('checkInDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .custom((value) => {
+      if (new Date(value) < new Date()) {
+        throw new Error('Check-in date cannot be in the past')
+      }
+      return true
+    })
+    .withMessage('Please provide a valid check-in date'),
+  body('checkOutDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Please provide a valid check-out date'),
+  body('numberOfGuests')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .toInt()
+    .withMessage('Number of guests must be between 1 and 10'),
+  body('reason')
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Special requests cannot exceed 500 characters'),
-  body('paymentInfo.method')
+    .withMessage('Reason cannot exceed 500 characters'),
+  body()
+    .custom((value) => {
+      if (!value.room && !value.checkInDate && !value.checkOutDate && value.numberOfGuests === undefined) {
+        throw new Error('Provide a new room, dates or number of guests to change')
+      }
+      return true
+    })
+]
+
+// Room assignment validation
+const validateRoomAssignment = [
+  body('unit')
+    .isMongoId()
+    .withMessage('Invalid room unit ID'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+]
+
+// Room move validation
+const validateRoomMove = [
+  body('unit')
+    .isMongoId()
+    .withMessage('Invalid room unit ID'),
+  body('fromDate')
+    .isISO8601()
+    .withMessage('Please provide a valid date to move from'),
+  body('toDate')
+    .optional()
+    .isISO8601()
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.fromDate)) {
+        throw new Error('Move end date must be after the start date')
+      }
+      return true
+    })
+    .withMessage('Please provide a valid date to move until'),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters')
+]
+
+// Payment ledger entry validation
+const validateLedgerEntry = [
+  body('type')
+    .isIn(['charge', 'refund', 'adjustment'])
+    .withMessage('Entry type must be charge, refund or adjustment'),
+  body('amount')
+    .isFloat()
+    .toFloat()
+    .custom((value, { req }) => {
+      if (value === 0 || (req.body.type !== 'adjustment' && value < 0)) {
+        throw new Error('Only adjustments can be negative')
+      }
+      return true
+    })
+    .withMessage('Amount must be a positive number; only adjustments can be negative'),
+  body('method')
+    .optional()
     .isIn(['credit_card', 'debit_card', 'paypal', 'bank_transfer', 'cash'])
     .withMessage('Invalid payment method'),
-  body('paymentInfo.cardNumber')
+  body('transactionId')
     .optional()
-    .isCreditCard()
-    .withMessage('Please provide a valid card number'),
-  body('paymentInfo.expiryMonth')
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Transaction ID must be between 5 and 100 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 3, max: 300 })
+    .withMessage('Description must be between 3 and 300 characters')
+]
+
+// Folio charge validation
+const validateFolioItem = [
+  body('category')
+    .isIn(['minibar', 'spa', 'room_service', 'restaurant', 'laundry', 'telephone', 'parking', 'other'])
+    .withMessage('Invalid charge category'),
+  body('description')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Description must be between 2 and 200 characters'),
+  body('quantity')
     .optional()
-    .isInt({ min: 1, max: 12 })
-    .withMessage('Expiry month must be between 1 and 12'),
-  body('paymentInfo.expiryYear')
+    .isInt({ min: 1, max: 1000 })
+    .toInt()
+    .withMessage('Quantity must be a whole number between 1 and 1000'),
+  body('unitPrice')
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Unit price must be a positive number'),
+  body('taxTreatment')
     .optional()
-    .isInt({ min: new Date().getFullYear(), max: new Date().getFullYear() + 20 })
-    .withMessage('Invalid expiry year'),
-  body('paymentInfo.cvv')
+    .isIn(['exclusive', 'inclusive', 'exempt'])
+    .withMessage('Tax treatment must be exclusive, inclusive or exempt'),
+  body('taxRate')
     .optional()
-    .isLength({ min: 3, max: 4 })
-    .isNumeric()
-    .withMessage('CVV must be 3 or 4 digits'),
-  body('paymentInfo.cardHolderName')
+    .isFloat({ min: 0, max: 1 })
+    .toFloat()
+    .withMessage('Tax rate must be a fraction between 0 and 1')
+]
+
+// Folio void validation
+const validateFolioVoid = [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Invalid folio item ID'),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Void reason must be between 5 and 500 characters')
+]
+
+// Refund request validation
+const validateRefund = [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .toFloat()
+    .withMessage('Refund amount must be a positive number'),
+  body('refundMethod')
+    .optional()
+    .isIn(['original_payment', 'bank_transfer', 'cash', 'credit'])
+    .withMessage('Invalid refund method'),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Refund reason must be between 5 and 500 characters')
+]
+
+// Housekeeping status validation
+const validateHousekeepingStatus = [
+  body('status')
+    .isIn(['dirty', 'cleaning', 'clean', 'inspected', 'out_of_order'])
+    .withMessage('Invalid housekeeping status'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+]
+
+// Maintenance block validation
+const validateMaintenanceBlock = [
+  body('unit')
+    .isMongoId()
+    .withMessage('Invalid room unit ID'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  body('endDate')
+    .isISO8601()
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.startDate)) {
+        throw new Error('End date must be after start date')
+      }
+      return true
+    })
+    .withMessage('Please provide a valid end date'),
+  body('assignedTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid staff member ID'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+]
+
+// Maintenance block update validation
+const validateMaintenanceBlockUpdate = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date'),
+  body('assignedTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid staff member ID'),
+  body('status')
+    .optional()
+    .isIn(['completed', 'cancelled'])
+    .withMessage('Status can only be changed to completed or cancelled'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+]
+
+// Room unit validation
+const validateRoomUnit = [
+  body('room')
+    .isMongoId()
+    .withMessage('Invalid room type ID'),
+  body('number')
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Room number must be between 1 and 10 characters'),
+  body('floor')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Floor must be between 1 and 50'),
+  body('wing')
+    .optional()
+    .isIn(['north', 'south', 'east', 'west', 'central'])
+    .withMessage('Invalid wing'),
+  body('status')
     .optional()
+    .isIn(['available', 'out_of_service'])
+    .withMessage('Status must be available or out_of_service'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+]
+
+// Rate plan validation
+const validateRatePlan = [
+  body('name')
     .trim()
     .isLength({ min: 2, max: 100 })
-    .withMessage('Card holder name must be between 2 and 100 characters')
+    .withMessage('Rate plan name must be between 2 and 100 characters'),
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Rate plan code must be between 2 and 20 characters'),
+  body('roomType')
+    .isIn(['single', 'double', 'suite', 'deluxe', 'presidential'])
+    .withMessage('Invalid room type'),
+  body('baseRate')
+    .isFloat({ min: 0 })
+    .withMessage('Base rate must be a positive number'),
+  body('weekendRate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Weekend rate must be a positive number'),
+  body('weekendDays')
+    .optional()
+    .isArray()
+    .withMessage('Weekend days must be an array'),
+  body('weekendDays.*')
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekend days must be between 0 (Sunday) and 6 (Saturday)'),
+  body('minStay')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum stay must be at least 1 night'),
+  body('seasons')
+    .optional()
+    .isArray()
+    .withMessage('Seasons must be an array'),
+  body('seasons.*.startDate')
+    .isISO8601()
+    .withMessage('Season start date must be in ISO format'),
+  body('seasons.*.endDate')
+    .isISO8601()
+    .withMessage('Season end date must be in ISO format'),
+  body('seasons.*.nightlyRate')
+    .isFloat({ min: 0 })
+    .withMessage('Season nightly rate must be a positive number'),
+  body('seasons.*.closedToArrival')
+    .optional()
+    .isBoolean()
+    .withMessage('Season closedToArrival must be a boolean'),
+  body('overrides')
+    .optional()
+    .isArray()
+    .withMessage('Overrides must be an array'),
+  body('overrides.*.startDate')
+    .isISO8601()
+    .withMessage('Override start date must be in ISO format'),
+  body('overrides.*.endDate')
+    .isISO8601()
+    .withMessage('Override end date must be in ISO format'),
+  body('overrides.*.nightlyRate')
+    .isFloat({ min: 0 })
+    .withMessage('Override nightly rate must be a positive number'),
+  body('overrides.*.closedToArrival')
+    .optional()
+    .isBoolean()
+    .withMessage('Override closedToArrival must be a boolean'),
+  body('paymentSchedule')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Payment schedule must be an array of at most 10 rules'),
+  body('paymentSchedule.*.name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Payment rule name must be between 2 and 100 characters'),
+  body('paymentSchedule.*.dueAt')
+    .isIn(['booking', 'before_arrival', 'check_in'])
+    .withMessage('Payment rule must be due at booking, before_arrival or check_in'),
+  body('paymentSchedule.*.daysBeforeArrival')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Days before arrival must be between 0 and 365'),
+  body('paymentSchedule.*.amountType')
+    .isIn(['percentage', 'nights', 'fixed', 'remaining'])
+    .withMessage('Payment rule amount type must be percentage, nights, fixed or remaining'),
+  body('paymentSchedule.*.value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Payment rule value must be a positive number'),
+  body('paymentSchedule.*.incidentals')
+    .optional()
+    .isBoolean()
+    .withMessage('Payment rule incidentals must be a boolean'),
+  body('cancellationPolicy')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid cancellation policy ID'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be an integer'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+]
+
+// Tax rule validation
+const validateTaxRule = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Tax rule name must be between 2 and 100 characters'),
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Tax rule code must be between 2 and 20 characters'),
+  body('jurisdiction')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Jurisdiction must be between 2 and 100 characters'),
+  body('category')
+    .optional()
+    .isIn(['tax', 'fee'])
+    .withMessage('Category must be tax or fee'),
+  body('calculation')
+    .isIn(['percentage', 'per_night', 'per_stay'])
+    .withMessage('Calculation must be percentage, per_night or per_stay'),
+  body('value')
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a positive number'),
+  body('roomTypes')
+    .optional()
+    .isArray()
+    .withMessage('Room types must be an array'),
+  body('roomTypes.*')
+    .optional()
+    .isIn(['single', 'double', 'suite', 'deluxe', 'presidential'])
+    .withMessage('Invalid room type'),
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective from date must be in ISO format'),
+  body('effectiveTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective to date must be in ISO format'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+]
+
+// Cancellation policy validation
+const validateCancellationPolicy = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Policy name must be between 2 and 100 characters'),
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Policy code must be between 2 and 20 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('isRefundable')
+    .optional()
+    .isBoolean()
+    .withMessage('isRefundable must be a boolean'),
+  body('freeCancellationHours')
+    .optional()
+    .isInt({ min: 0, max: 8760 })
+    .withMessage('Free cancellation hours must be between 0 and 8760'),
+  body('penaltyType')
+    .optional()
+    .isIn(['none', 'nights', 'percentage', 'fixed', 'full'])
+    .withMessage('Penalty type must be none, nights, percentage, fixed or full'),
+  body('penaltyValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Penalty value must be a positive number'),
+  body('noShowPenaltyType')
+    .optional()
+    .isIn(['none', 'nights', 'percentage', 'fixed', 'full'])
+    .withMessage('No-show penalty type must be none, nights, percentage, fixed or full'),
+  body('noShowPenaltyValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('No-show penalty value must be a positive number'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+]
+
+// Promotion validation
+const validatePromotion = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Promotion name must be between 2 and 100 characters'),
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Promo code must be between 2 and 30 characters')
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage('Promo code can only contain letters, numbers, hyphens and underscores'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('discountType')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+  body('discountValue')
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number'),
+  body('validFrom')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Valid from date must be in ISO format'),
+  body('validTo')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Valid to date must be in ISO format'),
+  body('stayStartDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Stay start date must be in ISO format'),
+  body('stayEndDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Stay end date must be in ISO format'),
+  body('roomTypes')
+    .optional()
+    .isArray()
+    .withMessage('Room types must be an array'),
+  body('roomTypes.*')
+    .optional()
+    .isIn(['single', 'double', 'suite', 'deluxe', 'presidential'])
+    .withMessage('Invalid room type'),
+  body('minNights')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Minimum nights must be between 1 and 365'),
+  body('maxRedemptions')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Maximum redemptions must be a positive integer'),
+  body('maxRedemptionsPerEmail')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Maximum redemptions per email must be a positive integer'),
+  body('redemptionCount')
+    .not()
+    .exists()
+    .withMessage('Redemption count cannot be set directly'),
+  body('stackable')
+    .optional()
+    .isBoolean()
+    .withMessage('stackable must be a boolean'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+]
+
+// System settings validation
+const validateSettings = [
+  body('siteName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Site name must be between 1 and 100 characters'),
+  body('currency')
+    .optional()
+    .isIn(['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'])
+    .withMessage('Invalid currency'),
+  body('timezone')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Timezone cannot be empty'),
+  body('emailNotifications')
+    .optional()
+    .isBoolean()
+    .withMessage('Email notifications must be a boolean'),
+  body('maintenanceMode')
+    .optional()
+    .isBoolean()
+    .withMessage('Maintenance mode must be a boolean'),
+  body('maintenanceMessage')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Maintenance message must be between 1 and 500 characters'),
+  body('maintenanceWindows')
+    .optional()
+    .isArray()
+    .withMessage('Maintenance windows must be an array'),
+  body('maintenanceWindows.*.startsAt')
+    .isISO8601()
+    .withMessage('Maintenance window start must be in ISO format'),
+  body('maintenanceWindows.*.endsAt')
+    .isISO8601()
+    .withMessage('Maintenance window end must be in ISO format'),
+  body('maintenanceWindows.*.reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+  body('bookingSettings')
+    .optional()
+    .isObject()
+    .withMessage('Booking settings must be an object'),
+  body('bookingSettings.maxAdvanceBookingDays')
+    .optional()
+    .isInt({ min: 1, max: 730 })
+    .withMessage('Maximum advance booking must be between 1 and 730 days'),
+  body('bookingSettings.minAdvanceBookingHours')
+    .optional()
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Minimum advance booking must be between 0 and 720 hours'),
+  body('bookingSettings.cancellationPolicy')
+    .optional()
+    .isIn(['flexible', '24_hours', '48_hours', '7_days', 'non_refundable'])
+    .withMessage('Invalid cancellation policy'),
+  body('bookingSettings.autoConfirmBookings')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto confirm bookings must be a boolean'),
+  body('bookingSettings.noShowCutoffHour')
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('No-show cutoff hour must be between 0 and 23'),
+  body('paymentSettings')
+    .optional()
+    .isObject()
+    .withMessage('Payment settings must be an object'),
+  body('paymentSettings.acceptedMethods')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one payment method must be accepted'),
+  body('paymentSettings.acceptedMethods.*')
+    .optional()
+    .isIn(['credit_card', 'debit_card', 'paypal', 'bank_transfer', 'cash'])
+    .withMessage('Invalid payment method'),
+  body('paymentSettings.currency')
+    .optional()
+    .isIn(['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'])
+    .withMessage('Invalid currency'),
+  body('paymentSettings.taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Tax rate must be a fraction between 0 and 1'),
+  body('paymentSettings.serviceFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Service fee must be a positive number'),
+  body('paymentSettings.taxJurisdiction')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Jurisdiction must be between 1 and 100 characters'),
+  body('paymentSettings.refundApprovalThreshold')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Refund approval threshold must be a positive number'),
+  body('changeNote')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Change note cannot exceed 500 characters')
 ]
 
 // Contact validation
+// Exchange rate import validation
+const validateExchangeRateImport = [
+  body('baseCurrency')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Base currency must be a 3-letter ISO code'),
+  body('rates')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Rates must be a list of between 1 and 200 currencies'),
+  body('rates.*.currency')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO code'),
+  body('rates.*.rate')
+    .isFloat({ gt: 0 })
+    .toFloat()
+    .withMessage('Exchange rate must be a positive number'),
+  body('source')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Source cannot exceed 200 characters'),
+  body('effectiveAt')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Effective date must be in ISO format')
+]
+
 const validateContact = [
   body('name')
     .trim()
@@ -216,8 +1053,12 @@ const validateAdminUser = [
     .withMessage('Password must be at least 8 characters and contain at least one lowercase letter, one uppercase letter, one number, and one special character'),
   body('role')
     .optional()
-    .isIn(['admin', 'super_admin', 'manager'])
+    .isIn(['admin', 'super_admin', 'manager', 'staff'])
     .withMessage('Invalid role'),
+  body('department')
+    .optional()
+    .isIn(['management', 'front_desk', 'housekeeping', 'maintenance', 'food_service', 'security', 'it'])
+    .withMessage('Invalid department'),
   body('permissions')
     .optional()
     .isArray()
@@ -250,6 +1091,112 @@ const validateNewsletter = [
     .withMessage('Please provide a valid email')
 ]
 
+// Guest account registration validation
+const validateGuestRegistration = [
+  body('firstName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  body('lastName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .isLength({ min: 8 })
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+    .withMessage('Password must be at least 8 characters and contain at least one lowercase letter, one uppercase letter, one number, and one special character'),
+  body('phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number')
+]
+
+// Guest account login validation
+const validateGuestLogin = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+]
+
+// Email confirmation token validation
+const validateEmailVerification = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid verification token')
+]
+
+// Guest profile update validation
+const validateGuestProfile = [
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+  body('email')
+    .not()
+    .exists()
+    .withMessage('Email cannot be changed'),
+  body('phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+  body('address.street')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Street address must be between 5 and 100 characters'),
+  body('address.city')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('City must be between 2 and 50 characters'),
+  body('address.state')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('State cannot exceed 50 characters'),
+  body('address.country')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Country must be between 2 and 50 characters'),
+  body('address.zipCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 10 })
+    .withMessage('Zip code must be between 3 and 10 characters'),
+  body('preferences.currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO code'),
+  body('preferences.specialRequests')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Special requests cannot exceed 500 characters'),
+  body('preferences.newsletter')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Newsletter preference must be true or false')
+]
+
 // Query parameter validation
 const validateRoomQuery = [
   query('page')
@@ -291,7 +1238,29 @@ const validateRoomQuery = [
   query('sortOrder')
     .optional()
     .isIn(['asc', 'desc'])
-    .withMessage('Sort order must be asc or desc')
+    .withMessage('Sort order must be asc or desc'),
+  displayCurrencyRule(query)
+]
+
+// Availability calendar query validation
+const validateCalendarQuery = [
+  query('from')
+    .isISO8601()
+    .withMessage('From date must be in ISO format'),
+  query('to')
+    .isISO8601()
+    .custom((value, { req }) => {
+      const nights = (new Date(value) - new Date(req.query.from)) / (1000 * 60 * 60 * 24)
+      if (!(nights >= 1 && nights <= 366)) {
+        throw new Error('To date must be between 1 and 366 days after the from date')
+      }
+      return true
+    })
+    .withMessage('To date must be in ISO format, between 1 and 366 days after the from date'),
+  query('type')
+    .optional()
+    .isIn(['single', 'double', 'suite', 'deluxe', 'presidential'])
+    .withMessage('Invalid room type')
 ]
 
 // Booking query validation
@@ -310,7 +1279,7 @@ const validateBookingQuery = [
     .withMessage('Invalid booking status'),
   query('paymentStatus')
     .optional()
-    .isIn(['pending', 'completed', 'failed', 'refunded'])
+    .isIn(['pending', 'processing', 'completed', 'failed', 'refunded'])
     .withMessage('Invalid payment status'),
   query('startDate')
     .optional()
@@ -322,6 +1291,11 @@ const validateBookingQuery = [
     .withMessage('End date must be in ISO format')
 ]
 
+// Display currency validation for price lookups
+const validateCurrencyQuery = [
+  displayCurrencyRule(query)
+]
+
 // MongoDB ObjectId validation
 const validateObjectId = [
   param('id')
@@ -332,12 +1306,39 @@ const validateObjectId = [
 module.exports = {
   validateRoom,
   validateBooking,
+  validateGroupBooking,
+  validateQuote,
+  validateGuestBookingAccess,
+  validateGuestBookingChange,
+  validateBookingModification,
+  validateRoomAssignment,
+  validateRoomMove,
+  validateLedgerEntry,
+  validateFolioItem,
+  validateFolioVoid,
+  validateRefund,
+  validateHousekeepingStatus,
+  validateMaintenanceBlock,
+  validateMaintenanceBlockUpdate,
+  validateRoomUnit,
+  validateRatePlan,
+  validateTaxRule,
+  validateCancellationPolicy,
+  validatePromotion,
+  validateSettings,
+  validateExchangeRateImport,
   validateContact,
   validateAdminLogin,
   validateAdminUser,
   validatePasswordChange,
   validateNewsletter,
+  validateGuestRegistration,
+  validateGuestLogin,
+  validateEmailVerification,
+  validateGuestProfile,
   validateRoomQuery,
+  validateCalendarQuery,
   validateBookingQuery,
+  validateCurrencyQuery,
   validateObjectId
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { roundCurrency } = require('../utils/money')
 
 const bookingSchema = new mongoose.Schema({
   bookingId: {
@@ -9,6 +10,16 @@ const bookingSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Room'
   },
+  // Physical room assigned from the booked room type, at the latest on check-in
+  unit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomUnit'
+  },
+  // Group reservation this room belongs to, when several rooms were booked together
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingGroup'
+  },
   guestInfo: {
     firstName: {
       type: String,
@@ -66,6 +77,34 @@ const bookingSchema = new mongoose.Schema({
     subtotal: {
       type: Number
     },
+    // Promo code discount taken off the subtotal before taxes
+    discount: {
+      type: Number,
+      default: 0
+    },
+    discounts: [{
+      _id: false,
+      promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion'
+      },
+      code: {
+        type: String
+      },
+      name: {
+        type: String
+      },
+      discountType: {
+        type: String,
+        enum: ['percentage', 'fixed']
+      },
+      discountValue: {
+        type: Number
+      },
+      amount: {
+        type: Number
+      }
+    }],
     taxes: {
       type: Number
     },
@@ -79,16 +118,109 @@ const bookingSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: 'USD'
+    },
+    ratePlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RatePlan'
+    },
+    nightlyRates: [{
+      _id: false,
+      date: {
+        type: Date
+      },
+      rate: {
+        type: Number
+      },
+      source: {
+        type: String
+      },
+      isWeekend: {
+        type: Boolean
+      }
+    }],
+    taxLines: [{
+      _id: false,
+      taxRule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule'
+      },
+      code: {
+        type: String
+      },
+      name: {
+        type: String
+      },
+      jurisdiction: {
+        type: String
+      },
+      category: {
+        type: String,
+        enum: ['tax', 'fee']
+      },
+      calculation: {
+        type: String
+      },
+      value: {
+        type: Number
+      },
+      nights: {
+        type: Number
+      },
+      basis: {
+        type: Number
+      },
+      amount: {
+        type: Number
+      }
+    }],
+    // The price as shown to the guest in their own currency. The amounts
+    // above are in the settlement currency the guest is charged in.
+    display: {
+      currency: {
+        type: String
+      },
+      exchangeRate: {
+        type: Number
+      },
+      rateTable: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ExchangeRateTable'
+      },
+      pricePerNight: {
+        type: Number
+      },
+      subtotal: {
+        type: Number
+      },
+      discount: {
+        type: Number
+      },
+      taxes: {
+        type: Number
+      },
+      fees: {
+        type: Number
+      },
+      totalAmount: {
+        type: Number
+      },
+      convertedAt: {
+        type: Date
+      }
     }
   },
   paymentInfo: {
-    paymentMethod: {
+    method: {
       type: String
     },
-    paymentStatus: {
+    status: {
       type: String,
       default: 'pending'
     },
+    // Payment provider that took the card payment, if it was made online
+    provider: {
+      type: String
+    },
     transactionId: {
       type: String
     },
@@ -97,12 +229,221 @@ const bookingSchema = new mongoose.Schema({
     },
     cardLastFour: {
       type: String
+    },
+    cardBrand: {
+      type: String
+    },
+    // Reason the provider gave for a declined payment
+    failureMessage: {
+      type: String
+    },
+    // Amount of the online payment in flight, recorded in the ledger once it completes
+    amount: {
+      type: Number
+    }
+  },
+  // Installments built from the rate plan's payment schedule
+  paymentSchedule: [{
+    name: {
+      type: String
+    },
+    dueAt: {
+      type: String,
+      enum: ['booking', 'before_arrival', 'check_in']
+    },
+    dueDate: {
+      type: Date
+    },
+    amount: {
+      type: Number
+    },
+    incidentals: {
+      type: Boolean,
+      default: false
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'overdue'],
+      default: 'pending'
+    },
+    paidAt: {
+      type: Date
+    },
+    overdueAlertedAt: {
+      type: Date
+    }
+  }],
+  // Every movement of money on the booking, oldest first.
+  // charge:     money taken from the guest
+  // refund:     money given back to the guest
+  // adjustment: signed change to what the guest owes, e.g. a goodwill credit
+  ledger: [{
+    type: {
+      type: String,
+      enum: ['charge', 'refund', 'adjustment'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    method: {
+      type: String
+    },
+    provider: {
+      type: String
+    },
+    transactionId: {
+      type: String
+    },
+    description: {
+      type: String
+    },
+    postedAt: {
+      type: Date,
+      default: Date.now
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actor: {
+      type: String,
+      enum: ['guest', 'staff', 'system'],
+      default: 'staff'
+    }
+  }],
+  // Totals of the ledger, kept in step by refreshPayments
+  paymentSummary: {
+    amountDue: {
+      type: Number,
+      default: 0
+    },
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
+    balanceDue: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Incidental charges run up during the stay, such as minibar or spa.
+  // Lines are never removed; a mistake is voided with a reason.
+  folio: [{
+    category: {
+      type: String,
+      enum: ['minibar', 'spa', 'room_service', 'restaurant', 'laundry', 'telephone', 'parking', 'other'],
+      required: true
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'Quantity must be at least 1']
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit price cannot be negative']
+    },
+    // exclusive: tax is added on top of the price
+    // inclusive: the price already contains the tax
+    // exempt:    no tax is charged
+    taxTreatment: {
+      type: String,
+      enum: ['exclusive', 'inclusive', 'exempt'],
+      default: 'exclusive'
+    },
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [1, 'Tax rate must be a fraction between 0 and 1']
+    },
+    // Net amount, tax and what the guest pays for the line
+    amount: {
+      type: Number
+    },
+    tax: {
+      type: Number
+    },
+    total: {
+      type: Number
+    },
+    postedAt: {
+      type: Date,
+      default: Date.now
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    voided: {
+      isVoided: {
+        type: Boolean,
+        default: false
+      },
+      reason: {
+        type: String
+      },
+      voidedAt: {
+        type: Date
+      },
+      voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
     }
+  }],
+  // Final invoice, issued on check-out
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
   },
   bookingStatus: {
     type: String,
+    enum: ['pending', 'confirmed', 'checked_in', 'checked_out', 'cancelled', 'no_show'],
     default: 'pending'
   },
+  // Every lifecycle transition, oldest first
+  statusHistory: [{
+    from: {
+      type: String
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actor: {
+      type: String,
+      enum: ['admin', 'guest', 'system'],
+      default: 'admin'
+    },
+    notes: {
+      type: String
+    },
+    // Why a guard was bypassed, e.g. an early check-in
+    overrideReason: {
+      type: String
+    }
+  }],
+  holdExpiresAt: {
+    type: Date
+  },
   confirmationNumber: {
     type: String
   },
@@ -124,10 +465,154 @@ const bookingSchema = new mongoose.Schema({
     cancellationReason: {
       type: String
     },
+    cancelledBy: {
+      type: String,
+      enum: ['guest', 'admin', 'system']
+    },
     refundAmount: {
       type: Number
+    },
+    // How the refund is paid back, and where it is in the refund workflow
+    refundMethod: {
+      type: String,
+      enum: ['original_payment', 'bank_transfer', 'cash', 'credit']
+    },
+    refundStatus: {
+      type: String,
+      enum: ['requested', 'approved', 'processed', 'failed', 'rejected']
+    },
+    penaltyAmount: {
+      type: Number
+    },
+    // Policy the refund was calculated from
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy'
+    },
+    policyCode: {
+      type: String
+    },
+    calculatedRefundAmount: {
+      type: Number
+    },
+    // Set when an admin refunds a different amount than the policy allows
+    override: {
+      reason: {
+        type: String
+      },
+      overriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
     }
   },
+  // Set when the guest never arrived
+  noShow: {
+    markedAt: {
+      type: Date
+    },
+    penaltyAmount: {
+      type: Number
+    },
+    refundAmount: {
+      type: Number
+    },
+    refundStatus: {
+      type: String,
+      enum: ['requested', 'approved', 'processed', 'failed', 'rejected']
+    },
+    policyCode: {
+      type: String
+    }
+  },
+  // Audit trail of changes to room, dates or guests, newest last
+  modifications: [{
+    version: {
+      type: Number,
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    source: {
+      type: String,
+      enum: ['admin', 'guest'],
+      default: 'admin'
+    },
+    reason: {
+      type: String
+    },
+    changes: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }],
+    previousTotal: {
+      type: Number
+    },
+    newTotal: {
+      type: Number
+    },
+    priceDifference: {
+      type: Number
+    }
+  }],
+  // Room assignments and moves made by the front desk, newest last.
+  // A stay split across rooms keeps the per-night unit on its room nights.
+  roomMoves: [{
+    type: {
+      type: String,
+      enum: ['assignment', 'move'],
+      default: 'move'
+    },
+    fromDate: {
+      type: Date,
+      required: true
+    },
+    toDate: {
+      type: Date,
+      required: true
+    },
+    toRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    toUnit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomUnit',
+      required: true
+    },
+    // Where each moved night was before
+    nights: [{
+      _id: false,
+      date: Date,
+      room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room'
+      },
+      unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomUnit'
+      }
+    }],
+    movedAt: {
+      type: Date,
+      default: Date.now
+    },
+    movedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String
+    }
+  }],
   checkInTime: {
     type: Date
   },
@@ -150,7 +635,83 @@ bookingSchema.virtual('duration').get(function() {
   return Math.ceil((this.checkOutDate - this.checkInDate) / (1000 * 60 * 60 * 24))
 })
 
-// Pre-save middleware to generate booking ID and confirmation number
+// Statuses in which a booking still expects payments
+const OPEN_PAYMENT_STATUSES = ['pending', 'confirmed', 'checked_in']
+
+// Grace period after an installment's due date before it counts as overdue
+const PAYMENT_GRACE_MS = 1000 * 60 * 60 * 24
+
+// Total of the folio lines that still stand
+const getFolioTotal = (booking) => {
+  return (booking.folio || [])
+    .filter(item => !item.voided?.isVoided)
+    .reduce((sum, item) => sum + (item.total || 0), 0)
+}
+
+// What the guest owes for the booking: the stay, or only the penalty once
+// it is cancelled or a no-show, plus any incidental charges
+const getAmountOwed = (booking) => {
+  const incidentals = getFolioTotal(booking)
+
+  if (booking.bookingStatus === 'cancelled') return (booking.cancellation?.penaltyAmount || 0) + incidentals
+  if (booking.bookingStatus === 'no_show') return (booking.noShow?.penaltyAmount || 0) + incidentals
+  return (booking.pricing?.totalAmount || 0) + incidentals
+}
+
+// Whether an unpaid installment is late. Deposits on a payment hold are left
+// to the hold expiry, and installments collected at the desk are late once
+// the guest has checked in without paying them.
+const isInstallmentOverdue = (booking, installment, now) => {
+  if (!OPEN_PAYMENT_STATUSES.includes(booking.bookingStatus)) return false
+
+  switch (installment.dueAt) {
+    case 'check_in':
+      return booking.bookingStatus === 'checked_in'
+    case 'booking':
+      return booking.bookingStatus !== 'pending' && now - installment.dueDate > PAYMENT_GRACE_MS
+    default:
+      return now - installment.dueDate > PAYMENT_GRACE_MS
+  }
+}
+
+// Recalculate the payment summary from the ledger, and mark installments
+// paid in due order as far as the money received covers them. Incidental
+// deposits count as money received, so they show as a credit on the balance.
+bookingSchema.methods.refreshPayments = function(now = new Date()) {
+  const total = (type) => this.ledger
+    .filter(entry => entry.type === type)
+    .reduce((sum, entry) => sum + entry.amount, 0)
+
+  const currency = this.pricing?.currency
+  const amountDue = roundCurrency(getAmountOwed(this) + total('adjustment'), currency)
+  const amountPaid = roundCurrency(total('charge') - total('refund'), currency)
+
+  this.paymentSummary = {
+    amountDue,
+    amountPaid,
+    balanceDue: roundCurrency(amountDue - amountPaid, currency)
+  }
+
+  let available = amountPaid
+
+  for (const installment of this.paymentSchedule) {
+    if (available >= installment.amount - 0.005) {
+      available -= installment.amount
+
+      if (installment.status !== 'paid') {
+        installment.status = 'paid'
+        installment.paidAt = now
+      }
+    } else {
+      available = 0
+      installment.status = isInstallmentOverdue(this, installment, now) ? 'overdue' : 'pending'
+      installment.paidAt = undefined
+    }
+  }
+}
+
+// Pre-save middleware to generate booking ID and confirmation number, and
+// refresh the payment summary
 bookingSchema.pre('save', function(next) {
   if (!this.bookingId) {
     this.bookingId = 'BK' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase()
@@ -162,6 +723,9 @@ bookingSchema.pre('save', function(next) {
   
   // Calculate number of nights
   this.numberOfNights = Math.ceil((this.checkOutDate - this.checkInDate) / (1000 * 60 * 60 * 24))
+
+  // Keep the balance in step with the ledger, pricing and status
+  this.refreshPayments()
   
   next()
 })
@@ -172,8 +736,14 @@ bookingSchema.index({ confirmationNumber: 1 })
 bookingSchema.index({ 'guestInfo.email': 1 })
 bookingSchema.index({ checkInDate: 1, checkOutDate: 1 })
 bookingSchema.index({ bookingStatus: 1 })
-bookingSchema.index({ 'paymentInfo.paymentStatus': 1 })
+bookingSchema.index({ bookingStatus: 1, holdExpiresAt: 1 })
+bookingSchema.index({ 'paymentInfo.status': 1 })
+bookingSchema.index({ 'paymentInfo.transactionId': 1 })
+bookingSchema.index({ 'paymentSchedule.status': 1, 'paymentSchedule.dueDate': 1 })
 bookingSchema.index({ room: 1 })
+bookingSchema.index({ unit: 1 })
+bookingSchema.index({ group: 1 })
+bookingSchema.index({ 'pricing.discounts.promotion': 1 })
 bookingSchema.index({ createdAt: -1 })
 
 module.exports = mongoose.model('Booking', bookingSchema)
\ No newline at end of file
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose')
+
+// Several rooms reserved together under one reservation. Each room is its
+// own Booking carrying a reference back to the group, so rooms can be
+// modified or cancelled one at a time; the totals here are kept in sync.
+const bookingGroupSchema = new mongoose.Schema({
+  groupId: {
+    type: String,
+    unique: true
+  },
+  // Lead guest the reservation is made under
+  guestInfo: {
+    firstName: {
+      type: String,
+      trim: true
+    },
+    lastName: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      lowercase: true
+    },
+    phone: {
+      type: String
+    }
+  },
+  bookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }],
+  checkInDate: {
+    type: Date,
+    required: [true, 'Check-in date is required']
+  },
+  checkOutDate: {
+    type: Date,
+    required: [true, 'Check-out date is required']
+  },
+  // Rooms and guests still on the reservation, cancelled rooms excluded
+  numberOfRooms: {
+    type: Number,
+    default: 0
+  },
+  totalGuests: {
+    type: Number,
+    default: 0
+  },
+  pricing: {
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    taxes: {
+      type: Number,
+      default: 0
+    },
+    fees: {
+      type: Number,
+      default: 0
+    },
+    totalAmount: {
+      type: Number,
+      default: 0
+    },
+    currency: {
+      type: String,
+      default: 'USD'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  source: {
+    type: String,
+    default: 'website'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Pre-save middleware to generate the group reference
+bookingGroupSchema.pre('save', function(next) {
+  if (!this.groupId) {
+    this.groupId = 'GR' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase()
+  }
+
+  next()
+})
+
+// Indexes for better query performance
+bookingGroupSchema.index({ 'guestInfo.email': 1 })
+bookingGroupSchema.index({ createdAt: -1 })
+
+module.exports = mongoose.model('BookingGroup', bookingGroupSchema)
\ No newline at end of file
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose')
+
+const cancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Policy code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Policy code cannot exceed 20 characters']
+  },
+  // Shown to guests alongside the room or rate
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Non-refundable policies charge the full stay whenever the booking is cancelled
+  isRefundable: {
+    type: Boolean,
+    default: true
+  },
+  // Cancelling at least this many hours before check-in is free
+  freeCancellationHours: {
+    type: Number,
+    default: 24,
+    min: [0, 'Free cancellation hours cannot be negative']
+  },
+  // Charge for cancelling after the free period:
+  // nights:     value is the number of nights charged, starting with the first
+  // percentage: value is a fraction of the booking total (0.5 = 50%)
+  // fixed:      value is a flat amount
+  // full:       the whole booking total is charged
+  penaltyType: {
+    type: String,
+    enum: ['none', 'nights', 'percentage', 'fixed', 'full'],
+    default: 'nights'
+  },
+  penaltyValue: {
+    type: Number,
+    default: 1,
+    min: [0, 'Penalty value cannot be negative']
+  },
+  // Charge when the guest never arrives, using the same penalty types
+  noShowPenaltyType: {
+    type: String,
+    enum: ['none', 'nights', 'percentage', 'fixed', 'full'],
+    default: 'nights'
+  },
+  noShowPenaltyValue: {
+    type: Number,
+    default: 1,
+    min: [0, 'No-show penalty value cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Pre-validate middleware to reject percentages outside 0-1
+cancellationPolicySchema.pre('validate', function(next) {
+  if (this.penaltyType === 'percentage' && this.penaltyValue > 1) {
+    this.invalidate('penaltyValue', 'Percentage penalty must be a fraction between 0 and 1')
+  }
+
+  if (this.noShowPenaltyType === 'percentage' && this.noShowPenaltyValue > 1) {
+    this.invalidate('noShowPenaltyValue', 'Percentage penalty must be a fraction between 0 and 1')
+  }
+
+  next()
+})
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema)
\ No newline at end of file
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose')
+
+const CACHE_TTL_MS = 30 * 1000 // 30 seconds
+
+// One imported set of exchange rates. Rates are units of the currency per
+// one unit of the base currency; the latest table already in effect is the
+// one used to show prices in other currencies.
+const exchangeRateTableSchema = new mongoose.Schema({
+  baseCurrency: {
+    type: String,
+    required: [true, 'Base currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Base currency must be a 3-letter ISO code']
+  },
+  rates: [{
+    _id: false,
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0.000001, 'Exchange rate must be positive']
+    }
+  }],
+  // Where the rates came from, e.g. a central bank reference date
+  source: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Source cannot exceed 200 characters']
+  },
+  effectiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+})
+
+// Pre-validate middleware to reject duplicate currencies and the base in its own table
+exchangeRateTableSchema.pre('validate', function(next) {
+  const seen = new Set()
+
+  this.rates.forEach((line, index) => {
+    if (line.currency === this.baseCurrency) {
+      this.invalidate(`rates.${index}.currency`, 'The base currency cannot have a rate of its own')
+    } else if (seen.has(line.currency)) {
+      this.invalidate(`rates.${index}.currency`, `Duplicate rate for ${line.currency}`)
+    }
+    seen.add(line.currency)
+  })
+
+  next()
+})
+
+// Indexes for better query performance
+exchangeRateTableSchema.index({ effectiveAt: -1 })
+
+let cache = null
+
+// Static methods
+exchangeRateTableSchema.statics.getCurrent = async function() {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.table
+  }
+
+  const table = await this.findOne({ effectiveAt: { $lte: new Date() } }).sort({ effectiveAt: -1, createdAt: -1 })
+
+  cache = { table, expiresAt: Date.now() + CACHE_TTL_MS }
+  return table
+}
+
+exchangeRateTableSchema.statics.clearCache = function() {
+  cache = null
+}
+
+module.exports = mongoose.model('ExchangeRateTable', exchangeRateTableSchema)
\ No newline at end of file
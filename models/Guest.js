@@ -0,0 +1,236 @@
+const mongoose = require('mongoose')
+const bcrypt = require('bcryptjs')
+const jwt = require('jsonwebtoken')
+const crypto = require('crypto')
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000 // 24 hours
+
+// A hotel guest, kept apart from staff users. Newsletter subscribers are
+// guests without an account; registering adds a password and, once the email
+// is verified, access to every booking made under that email.
+const guestSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true,
+    maxlength: [50, 'First name cannot exceed 50 characters']
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true,
+    maxlength: [50, 'Last name cannot exceed 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  password: {
+    type: String,
+    required: [function() { return Boolean(this.registeredAt) }, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false // Don't include password in queries by default
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Saved details filled into new bookings
+  address: {
+    street: {
+      type: String,
+      trim: true
+    },
+    city: {
+      type: String,
+      trim: true
+    },
+    state: {
+      type: String,
+      trim: true
+    },
+    zipCode: {
+      type: String,
+      trim: true
+    },
+    country: {
+      type: String,
+      trim: true
+    }
+  },
+  preferences: {
+    currency: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    specialRequests: {
+      type: String,
+      maxlength: [500, 'Special requests cannot exceed 500 characters']
+    },
+    newsletter: {
+      type: Boolean,
+      default: false
+    },
+    newsletterSubscribedAt: {
+      type: Date
+    }
+  },
+  // Set when the guest creates an account; subscribers have none
+  registeredAt: {
+    type: Date
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLogin: {
+    type: Date
+  },
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // Never send secrets back, even when they were loaded
+    transform: (doc, ret) => {
+      delete ret.password
+      delete ret.emailVerificationToken
+      delete ret.emailVerificationExpires
+      return ret
+    }
+  },
+  toObject: { virtuals: true }
+})
+
+// Virtual for full name
+guestSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`
+})
+
+// Virtual for account locked status
+guestSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now())
+})
+
+// Pre-save middleware to hash password
+guestSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next()
+
+  try {
+    const salt = await bcrypt.genSalt(12)
+    this.password = await bcrypt.hash(this.password, salt)
+    next()
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Instance method to compare password
+guestSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password)
+}
+
+// Instance method to generate JWT token. The type keeps guest tokens from
+// being accepted on staff routes.
+guestSchema.methods.generateAuthToken = function() {
+  return jwt.sign({
+    type: 'guest',
+    id: this._id,
+    email: this.email
+  }, process.env.JWT_SECRET, {
+    expiresIn: process.env.GUEST_JWT_EXPIRE || '7d'
+  })
+}
+
+// Whether a sign-in token is still good. Registering an unconfirmed email
+// again ends the sessions started before it.
+guestSchema.methods.isTokenCurrent = function(issuedAt) {
+  return !this.registeredAt || issuedAt >= Math.floor(this.registeredAt.getTime() / 1000)
+}
+
+// Start a new email verification. The hashed token is stored and the plain
+// one returned to be emailed.
+guestSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex')
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex')
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS)
+
+  return token
+}
+
+// Instance method to increment login attempts
+guestSchema.methods.incLoginAttempts = function() {
+  // If we have a previous lock that has expired, restart at 1
+  if (this.lockUntil && this.lockUntil < Date.now()) {
+    return this.updateOne({
+      $unset: { lockUntil: 1 },
+      $set: { loginAttempts: 1 }
+    })
+  }
+
+  const updates = { $inc: { loginAttempts: 1 } }
+
+  // Lock account after 5 failed attempts for 2 hours
+  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
+    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 } // 2 hours
+  }
+
+  return this.updateOne(updates)
+}
+
+// Saved details in the shape of a booking's guest info
+guestSchema.methods.toGuestInfo = function() {
+  const guestInfo = {
+    firstName: this.firstName,
+    lastName: this.lastName,
+    email: this.email,
+    phone: this.phone,
+    address: {}
+  }
+
+  for (const field of ['street', 'city', 'state', 'zipCode', 'country']) {
+    if (this.address?.[field]) {
+      guestInfo.address[field] = this.address[field]
+    }
+  }
+
+  return guestInfo
+}
+
+// Static method to find a guest by a verification token from an email
+guestSchema.statics.findByVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: crypto.createHash('sha256').update(token).digest('hex'),
+    emailVerificationExpires: { $gt: new Date() }
+  })
+}
+
+// Indexes for better query performance
+guestSchema.index({ registeredAt: 1 })
+guestSchema.index({ 'preferences.newsletter': 1 })
+
+module.exports = mongoose.model('Guest', guestSchema)
\ No newline at end of file
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose')
+
+// A cleaning job on one room unit, shown on the housekeeping board until a
+// housekeeper claims and completes it
+const housekeepingTaskSchema = new mongoose.Schema({
+  unit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomUnit',
+    required: [true, 'Room unit is required']
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  // Check-out that left the room dirty, if any
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  type: {
+    type: String,
+    enum: ['checkout', 'requested'],
+    default: 'checkout'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'completed', 'cancelled'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  claimedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Indexes for better query performance
+housekeepingTaskSchema.index({ status: 1, createdAt: 1 })
+housekeepingTaskSchema.index({ unit: 1, status: 1 })
+housekeepingTaskSchema.index({ assignedTo: 1, status: 1 })
+
+module.exports = mongoose.model('HousekeepingTask', housekeepingTaskSchema)
\ No newline at end of file
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose')
+
+const invoiceLineSchema = new mongoose.Schema({
+  // room, discount, tax, fee or a folio category
+  category: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  unitPrice: {
+    type: Number
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  }
+}, { _id: false })
+
+// Final invoice for a stay. Everything on it is copied from the booking when
+// it is issued, so later changes to the booking or room never alter it.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    unique: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  bookingId: {
+    type: String
+  },
+  confirmationNumber: {
+    type: String
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  guest: {
+    name: {
+      type: String
+    },
+    email: {
+      type: String
+    },
+    phone: {
+      type: String
+    },
+    address: {
+      type: String
+    }
+  },
+  stay: {
+    room: {
+      type: String
+    },
+    unit: {
+      type: String
+    },
+    checkInDate: {
+      type: Date
+    },
+    checkOutDate: {
+      type: Date
+    },
+    numberOfNights: {
+      type: Number
+    },
+    numberOfGuests: {
+      type: Number
+    }
+  },
+  lines: [invoiceLineSchema],
+  totals: {
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    discount: {
+      type: Number,
+      default: 0
+    },
+    taxes: {
+      type: Number,
+      default: 0
+    },
+    fees: {
+      type: Number,
+      default: 0
+    },
+    incidentals: {
+      type: Number,
+      default: 0
+    },
+    adjustments: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+    paid: {
+      type: Number,
+      default: 0
+    },
+    balanceDue: {
+      type: Number,
+      default: 0
+    }
+  },
+  payments: [{
+    type: {
+      type: String
+    },
+    amount: {
+      type: Number
+    },
+    method: {
+      type: String
+    },
+    description: {
+      type: String
+    },
+    postedAt: {
+      type: Date
+    }
+  }],
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  emailedAt: {
+    type: Date
+  },
+  emailedTo: {
+    type: String
+  }
+}, {
+  timestamps: true
+})
+
+// Pre-save middleware to generate the invoice number
+invoiceSchema.pre('save', function(next) {
+  if (!this.invoiceNumber) {
+    this.invoiceNumber = 'INV' + Date.now() + Math.random().toString(36).substr(2, 4).toUpperCase()
+  }
+
+  next()
+})
+
+// Indexes for better query performance
+invoiceSchema.index({ issuedAt: -1 })
+
+module.exports = mongoose.model('Invoice', invoiceSchema)
\ No newline at end of file
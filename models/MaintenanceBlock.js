@@ -0,0 +1,90 @@
+const mongoose = require('mongoose')
+
+// A room unit taken out of service for a range of dates. The unit's nights
+// from startDate up to (not including) endDate are held in the room night
+// inventory, so the unit is neither sold nor assigned on those dates only.
+const maintenanceBlockSchema = new mongoose.Schema({
+  unit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomUnit',
+    required: [true, 'Room unit is required']
+  },
+  // Room type of the unit, kept for filtering
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [true, 'Room type is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // First night the unit is back in service
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  // Nights the block could not hold because bookings already have them.
+  // unit_assigned: a booking is assigned this unit on that night
+  // sold_out:      every unit of the room type is sold on that night
+  conflicts: [{
+    _id: false,
+    date: Date,
+    reason: {
+      type: String,
+      enum: ['unit_assigned', 'sold_out']
+    },
+    bookings: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    }]
+  }],
+  hasConflicts: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Pre-validate middleware to reject blocks that end before they start
+maintenanceBlockSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date')
+  }
+
+  next()
+})
+
+// Indexes for better query performance
+maintenanceBlockSchema.index({ unit: 1, startDate: 1 })
+maintenanceBlockSchema.index({ room: 1, startDate: 1 })
+maintenanceBlockSchema.index({ status: 1, hasConflicts: 1 })
+
+module.exports = mongoose.model('MaintenanceBlock', maintenanceBlockSchema)
\ No newline at end of file
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose')
+
+// A webhook event received from a payment provider. The unique index on
+// { provider, eventId } makes redelivered events no-ops, so each event
+// changes a booking's payment at most once.
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String
+  },
+  transactionId: {
+    type: String
+  },
+  // processing: being handled now
+  // processed:  applied to its bookings
+  // ignored:    an event type that does not change a payment
+  // failed:     handling threw; a redelivery is processed again
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  bookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }],
+  error: {
+    type: String
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+})
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true })
+paymentEventSchema.index({ transactionId: 1 })
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema)
\ No newline at end of file
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose')
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  // Code guests enter when booking
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Promo code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // percentage: value is a fraction of the room subtotal (0.15 = 15%)
+  // fixed:      value is a flat amount off the room subtotal
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // When the code can be used to book
+  validFrom: {
+    type: Date
+  },
+  validTo: {
+    type: Date
+  },
+  // Every night of the stay must fall within these dates (inclusive)
+  stayStartDate: {
+    type: Date
+  },
+  stayEndDate: {
+    type: Date
+  },
+  // Empty means the promotion applies to every room type
+  roomTypes: [{
+    type: String,
+    enum: ['single', 'double', 'suite', 'deluxe', 'presidential'],
+    lowercase: true
+  }],
+  minNights: {
+    type: Number,
+    default: 1,
+    min: [1, 'Minimum nights must be at least 1']
+  },
+  // Usage caps; leave empty for unlimited use
+  maxRedemptions: {
+    type: Number,
+    min: [1, 'Maximum redemptions must be at least 1']
+  },
+  maxRedemptionsPerEmail: {
+    type: Number,
+    min: [1, 'Maximum redemptions per email must be at least 1']
+  },
+  // Bookings currently holding a redemption; cancelled bookings give theirs back
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Stackable codes can be combined with other stackable codes on one booking
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Pre-validate middleware to reject inverted date ranges and percentages outside 0-1
+promotionSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'Valid to date must not be before valid from date')
+  }
+
+  if (this.stayStartDate && this.stayEndDate && this.stayEndDate < this.stayStartDate) {
+    this.invalidate('stayEndDate', 'Stay end date must not be before stay start date')
+  }
+
+  if (this.discountType === 'percentage' && this.discountValue > 1) {
+    this.invalidate('discountValue', 'Percentage discount must be a fraction between 0 and 1')
+  }
+
+  next()
+})
+
+// Indexes for better query performance
+promotionSchema.index({ isActive: 1, validTo: 1 })
+
+module.exports = mongoose.model('Promotion', promotionSchema)
\ No newline at end of file
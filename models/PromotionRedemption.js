@@ -0,0 +1,38 @@
+const mongoose = require('mongoose')
+
+// One use of a promotion by a booking. Promotions capped per email number
+// each guest's redemptions from 0, and the unique index on
+// { promotion, email, sequence } lets only one booking take each number, so
+// concurrent bookings cannot push a guest past the cap.
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Only set when the promotion has a per-email cap
+  sequence: {
+    type: Number
+  }
+}, {
+  timestamps: true
+})
+
+promotionRedemptionSchema.index(
+  { promotion: 1, email: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+)
+promotionRedemptionSchema.index({ booking: 1 })
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema)
\ No newline at end of file
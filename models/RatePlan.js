@@ -0,0 +1,217 @@
+const mongoose = require('mongoose')
+
+const seasonSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Season name is required'],
+    trim: true,
+    maxlength: [100, 'Season name cannot exceed 100 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Season start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Season end date is required']
+  },
+  nightlyRate: {
+    type: Number,
+    required: [true, 'Season nightly rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  weekendRate: {
+    type: Number,
+    min: [0, 'Rate cannot be negative']
+  },
+  minStay: {
+    type: Number,
+    min: [1, 'Minimum stay must be at least 1 night']
+  },
+  // Stays may not start on these nights
+  closedToArrival: {
+    type: Boolean,
+    default: false
+  }
+})
+
+const overrideSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: [true, 'Override start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Override end date is required']
+  },
+  nightlyRate: {
+    type: Number,
+    required: [true, 'Override nightly rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  minStay: {
+    type: Number,
+    min: [1, 'Minimum stay must be at least 1 night']
+  },
+  closedToArrival: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+})
+
+// One installment of the payment schedule bookings on the plan are paid in
+const paymentRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Payment rule name is required'],
+    trim: true,
+    maxlength: [100, 'Payment rule name cannot exceed 100 characters']
+  },
+  // booking:        due when the booking is made
+  // before_arrival: due daysBeforeArrival days before check-in
+  // check_in:       collected at the desk on arrival
+  dueAt: {
+    type: String,
+    enum: ['booking', 'before_arrival', 'check_in'],
+    required: [true, 'Payment rule due point is required']
+  },
+  daysBeforeArrival: {
+    type: Number,
+    default: 7,
+    min: [0, 'Days before arrival cannot be negative']
+  },
+  // percentage: value is a fraction of the booking total (0.3 = 30%)
+  // nights:     value is the number of nights charged, starting with the first
+  // fixed:      value is a flat amount
+  // remaining:  whatever earlier installments left of the booking total
+  amountType: {
+    type: String,
+    enum: ['percentage', 'nights', 'fixed', 'remaining'],
+    required: [true, 'Payment rule amount type is required']
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Payment rule value cannot be negative']
+  },
+  // Collected on top of the booking total and held against incidental
+  // charges during the stay
+  incidentals: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false })
+
+const ratePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rate plan name is required'],
+    trim: true,
+    maxlength: [100, 'Rate plan name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Rate plan code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Rate plan code cannot exceed 20 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  roomType: {
+    type: String,
+    required: [true, 'Room type is required'],
+    enum: ['single', 'double', 'suite', 'deluxe', 'presidential'],
+    lowercase: true
+  },
+  baseRate: {
+    type: Number,
+    required: [true, 'Base rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  weekendRate: {
+    type: Number,
+    min: [0, 'Rate cannot be negative']
+  },
+  // Nights that count as weekend, by day of week of the night (0 = Sunday)
+  weekendDays: {
+    type: [Number],
+    default: [5, 6],
+    validate: {
+      validator: days => days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'Weekend days must be between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+  minStay: {
+    type: Number,
+    default: 1,
+    min: [1, 'Minimum stay must be at least 1 night']
+  },
+  seasons: [seasonSchema],
+  overrides: [overrideSchema],
+  // Installments bookings on this rate are paid in, in order. Without a
+  // schedule the whole booking is paid when it is made.
+  paymentSchedule: [paymentRuleSchema],
+  // Takes precedence over the room's cancellation policy for bookings on this rate
+  cancellationPolicy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CancellationPolicy'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Pre-validate middleware to reject inverted date ranges
+ratePlanSchema.pre('validate', function(next) {
+  this.seasons.forEach((season, index) => {
+    if (season.endDate < season.startDate) {
+      this.invalidate(`seasons.${index}.endDate`, 'End date must not be before start date')
+    }
+  })
+
+  this.overrides.forEach((override, index) => {
+    if (override.endDate < override.startDate) {
+      this.invalidate(`overrides.${index}.endDate`, 'End date must not be before start date')
+    }
+  })
+
+  this.paymentSchedule.forEach((rule, index) => {
+    if (rule.amountType === 'percentage' && rule.value > 1) {
+      this.invalidate(`paymentSchedule.${index}.value`, 'Percentage must be a fraction between 0 and 1')
+    }
+
+    if (rule.incidentals && rule.amountType !== 'fixed') {
+      this.invalidate(`paymentSchedule.${index}.amountType`, 'Incidentals must be a fixed amount')
+    }
+  })
+
+  next()
+})
+
+// Indexes for better query performance
+ratePlanSchema.index({ roomType: 1, isActive: 1, priority: -1 })
+
+// Static methods
+ratePlanSchema.statics.findActiveForRoomType = function(roomType) {
+  return this.findOne({ roomType, isActive: true }).sort({ priority: -1, updatedAt: -1 })
+}
+
+module.exports = mongoose.model('RatePlan', ratePlanSchema)
\ No newline at end of file
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose')
+
+// Money owed back to a guest, followed from request to payout.
+// requested: waiting for approval, when above the approval threshold
+// approved:  cleared to be paid out
+// processing: being paid out; only one payout of a refund runs at a time
+// processed: paid back and posted to the booking's ledger
+// failed:    the payout failed; it can be processed again
+// rejected:  turned down, nothing is paid
+const refundSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  bookingId: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // original_payment: back to the card through the payment provider
+  // bank_transfer and cash: paid out by staff, then marked processed
+  // credit: kept as credit with the hotel
+  method: {
+    type: String,
+    enum: ['original_payment', 'bank_transfer', 'cash', 'credit'],
+    default: 'original_payment'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'processing', 'processed', 'failed', 'rejected'],
+    default: 'requested'
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: {
+    type: Date
+  },
+  // Provider refund id, or the staff's reference for a manual payout
+  provider: {
+    type: String
+  },
+  reference: {
+    type: String
+  },
+  // Payment the refund goes back to
+  transactionId: {
+    type: String
+  },
+  failureMessage: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+})
+
+// Indexes for better query performance
+refundSchema.index({ booking: 1 })
+refundSchema.index({ status: 1, requestedAt: -1 })
+refundSchema.index({ status: 1, processedAt: 1 })
+
+module.exports = mongoose.model('Refund', refundSchema)
\ No newline at end of file
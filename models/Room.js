@@ -99,6 +99,11 @@ const roomSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Structured terms used to calculate refunds; policies.cancellation is the display text
+  cancellationPolicy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CancellationPolicy'
+  },
   location: {
     floor: {
       type: Number,
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose')
+
+// One document per room type per night that is sold. Each room type has one
+// slot per sellable unit; the unique index on { room, date, slot } is what
+// stops a night from being sold more times than there are units. Once a
+// booking is assigned a unit, the unique { unit, date } index stops two
+// bookings from sharing it. Maintenance blocks hold their unit's nights the
+// same way, so blocked dates are never sold or assigned.
+const roomNightSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [true, 'Room is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Night date is required']
+  },
+  slot: {
+    type: Number,
+    default: 0,
+    min: [0, 'Slot cannot be negative']
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  block: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceBlock'
+  },
+  unit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomUnit'
+  }
+}, {
+  timestamps: true
+})
+
+// Pre-validate middleware to make every night belong to a booking or a block
+roomNightSchema.pre('validate', function(next) {
+  if (!this.booking === !this.block) {
+    this.invalidate('booking', 'Room night must belong to either a booking or a maintenance block')
+  }
+
+  next()
+})
+
+// Indexes for better query performance
+roomNightSchema.index({ room: 1, date: 1, slot: 1 }, { unique: true })
+roomNightSchema.index({ unit: 1, date: 1 }, { unique: true, partialFilterExpression: { unit: { $exists: true } } })
+roomNightSchema.index({ booking: 1 })
+roomNightSchema.index({ block: 1 })
+
+module.exports = mongoose.model('RoomNight', roomNightSchema)
\ No newline at end of file
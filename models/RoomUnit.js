@@ -0,0 +1,69 @@
+const mongoose = require('mongoose')
+
+// A physical, numbered room. The Room document it belongs to is the room
+// type listing (description, images, amenities, pricing) shared by every
+// unit of that type.
+const roomUnitSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [true, 'Room type is required']
+  },
+  number: {
+    type: String,
+    required: [true, 'Room number is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Room number cannot exceed 10 characters']
+  },
+  floor: {
+    type: Number,
+    min: [1, 'Floor must be at least 1']
+  },
+  wing: {
+    type: String,
+    enum: ['north', 'south', 'east', 'west', 'central']
+  },
+  // Out of service units are not sold and are never assigned
+  status: {
+    type: String,
+    enum: ['available', 'out_of_service'],
+    default: 'available'
+  },
+  // Cleaning state, kept up to date by check-outs and the housekeeping board
+  housekeeping: {
+    status: {
+      type: String,
+      enum: ['dirty', 'cleaning', 'clean', 'inspected', 'out_of_order'],
+      default: 'clean'
+    },
+    updatedAt: {
+      type: Date
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Housekeeping notes cannot exceed 500 characters']
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Indexes for better query performance
+roomUnitSchema.index({ room: 1, status: 1 })
+roomUnitSchema.index({ 'housekeeping.status': 1 })
+
+module.exports = mongoose.model('RoomUnit', roomUnitSchema)
\ No newline at end of file
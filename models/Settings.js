@@ -0,0 +1,214 @@
+const mongoose = require('mongoose')
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD']
+const PAYMENT_METHODS = ['credit_card', 'debit_card', 'paypal', 'bank_transfer', 'cash']
+const CACHE_TTL_MS = 30 * 1000 // 30 seconds
+
+// Whether a string is an IANA timezone the runtime understands
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// Every change to system settings is stored as a new version; the highest
+// version is the one in force.
+const settingsSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: [1, 'Version must be at least 1']
+  },
+  siteName: {
+    type: String,
+    trim: true,
+    default: 'Luxury Hotel',
+    maxlength: [100, 'Site name cannot exceed 100 characters']
+  },
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    default: 'USD'
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid timezone'
+    }
+  },
+  emailNotifications: {
+    type: Boolean,
+    default: true
+  },
+  maintenanceMode: {
+    type: Boolean,
+    default: false
+  },
+  maintenanceMessage: {
+    type: String,
+    trim: true,
+    default: 'We are performing scheduled maintenance. Please try again shortly.',
+    maxlength: [500, 'Maintenance message cannot exceed 500 characters']
+  },
+  // Scheduled windows during which maintenance mode switches on by itself
+  maintenanceWindows: [{
+    startsAt: {
+      type: Date,
+      required: [true, 'Maintenance window start is required']
+    },
+    endsAt: {
+      type: Date,
+      required: [true, 'Maintenance window end is required']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    }
+  }],
+  bookingSettings: {
+    maxAdvanceBookingDays: {
+      type: Number,
+      default: 365,
+      min: [1, 'Maximum advance booking must be at least 1 day'],
+      max: [730, 'Maximum advance booking cannot exceed 730 days']
+    },
+    minAdvanceBookingHours: {
+      type: Number,
+      default: 2,
+      min: [0, 'Minimum advance booking cannot be negative'],
+      max: [720, 'Minimum advance booking cannot exceed 720 hours']
+    },
+    cancellationPolicy: {
+      type: String,
+      enum: ['flexible', '24_hours', '48_hours', '7_days', 'non_refundable'],
+      default: '24_hours'
+    },
+    autoConfirmBookings: {
+      type: Boolean,
+      default: false
+    },
+    // Hour (hotel time) on the day after arrival when unarrived guests become no-shows
+    noShowCutoffHour: {
+      type: Number,
+      default: 6,
+      min: [0, 'No-show cutoff hour must be between 0 and 23'],
+      max: [23, 'No-show cutoff hour must be between 0 and 23']
+    }
+  },
+  paymentSettings: {
+    acceptedMethods: {
+      type: [{
+        type: String,
+        enum: PAYMENT_METHODS
+      }],
+      default: ['credit_card', 'debit_card', 'paypal'],
+      validate: {
+        validator: methods => methods.length > 0,
+        message: 'At least one payment method must be accepted'
+      }
+    },
+    currency: {
+      type: String,
+      enum: CURRENCIES,
+      default: 'USD'
+    },
+    // Fallback tax and service fee, used while no tax rules are configured
+    taxRate: {
+      type: Number,
+      default: 0.12,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [1, 'Tax rate must be a fraction between 0 and 1']
+    },
+    serviceFee: {
+      type: Number,
+      default: 25,
+      min: [0, 'Service fee cannot be negative']
+    },
+    taxJurisdiction: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Jurisdiction cannot exceed 100 characters']
+    },
+    // Refunds above this amount wait for approval by a manager or admin
+    // other than the one who requested them
+    refundApprovalThreshold: {
+      type: Number,
+      default: 500,
+      min: [0, 'Refund approval threshold cannot be negative']
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Change note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Pre-validate middleware to reject inverted maintenance windows
+settingsSchema.pre('validate', function(next) {
+  this.maintenanceWindows.forEach((window, index) => {
+    if (window.endsAt <= window.startsAt) {
+      this.invalidate(`maintenanceWindows.${index}.endsAt`, 'Maintenance window must end after it starts')
+    }
+  })
+
+  next()
+})
+
+let cache = null
+
+// Static methods
+settingsSchema.statics.getCurrent = async function() {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.settings
+  }
+
+  const current = await this.findOne().sort({ version: -1 })
+  const settings = current || new this({ version: 0 })
+
+  cache = { settings, expiresAt: Date.now() + CACHE_TTL_MS }
+  return settings
+}
+
+// Store a new version built from the current settings plus the given changes
+settingsSchema.statics.createVersion = async function(changes, { updatedBy, changeNote } = {}) {
+  const current = await this.findOne().sort({ version: -1 }).lean()
+  const { _id, __v, version, createdAt, updatedAt, ...base } = current || {}
+
+  const next = new this({
+    ...base,
+    ...changes,
+    bookingSettings: { ...base.bookingSettings, ...changes.bookingSettings },
+    paymentSettings: { ...base.paymentSettings, ...changes.paymentSettings },
+    version: (version || 0) + 1,
+    updatedBy,
+    changeNote
+  })
+
+  // A concurrent update claiming the same version fails on the unique index
+  await next.save()
+
+  cache = null
+  return next
+}
+
+settingsSchema.statics.clearCache = function() {
+  cache = null
+}
+
+module.exports = mongoose.model('Settings', settingsSchema)
\ No newline at end of file
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose')
+
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rule name is required'],
+    trim: true,
+    maxlength: [100, 'Tax rule name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Tax rule code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Tax rule code cannot exceed 20 characters']
+  },
+  jurisdiction: {
+    type: String,
+    required: [true, 'Jurisdiction is required'],
+    trim: true,
+    maxlength: [100, 'Jurisdiction cannot exceed 100 characters']
+  },
+  category: {
+    type: String,
+    enum: ['tax', 'fee'],
+    default: 'tax'
+  },
+  // percentage: value is a fraction of the room charge for each night (0.12 = 12%)
+  // per_night:  value is a flat amount charged for every night (occupancy tax)
+  // per_stay:   value is a flat amount charged once per booking
+  calculation: {
+    type: String,
+    required: [true, 'Calculation type is required'],
+    enum: ['percentage', 'per_night', 'per_stay']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Tax rule value is required'],
+    min: [0, 'Value cannot be negative']
+  },
+  // Empty means the rule applies to every room type
+  roomTypes: [{
+    type: String,
+    enum: ['single', 'double', 'suite', 'deluxe', 'presidential'],
+    lowercase: true
+  }],
+  effectiveFrom: {
+    type: Date
+  },
+  effectiveTo: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Pre-validate middleware to reject inverted effective dates
+taxRuleSchema.pre('validate', function(next) {
+  if (this.effectiveFrom && this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Effective end date must not be before start date')
+  }
+
+  if (this.calculation === 'percentage' && this.value > 1) {
+    this.invalidate('value', 'Percentage value must be a fraction between 0 and 1')
+  }
+
+  next()
+})
+
+// Indexes for better query performance
+taxRuleSchema.index({ jurisdiction: 1, isActive: 1 })
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema)
\ No newline at end of file
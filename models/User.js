@@ -57,7 +57,9 @@ const userSchema = new mongoose.Schema({
       'manage_users',
       'manage_settings',
       'manage_content',
-      'view_reports'
+      'view_reports',
+      'manage_housekeeping',
+      'manage_payments'
     ]
   }],
   isActive: {
@@ -180,35 +182,7 @@ userSchema.pre('save', async function(next) {
 // Pre-save middleware to set default permissions based on role
 userSchema.pre('save', function(next) {
   if (this.isModified('role') && this.permissions.length === 0) {
-    switch (this.role) {
-      case 'admin':
-        this.permissions = [
-          'manage_rooms',
-          'manage_bookings',
-          'manage_contacts',
-          'view_analytics',
-          'manage_users',
-          'manage_settings',
-          'manage_content',
-          'view_reports'
-        ]
-        break
-      case 'manager':
-        this.permissions = [
-          'manage_rooms',
-          'manage_bookings',
-          'manage_contacts',
-          'view_analytics',
-          'view_reports'
-        ]
-        break
-      case 'staff':
-        this.permissions = [
-          'manage_bookings',
-          'manage_contacts'
-        ]
-        break
-    }
+    this.permissions = this.constructor.getDefaultPermissions(this.role, this.profile?.department)
   }
   next()
 })
@@ -264,6 +238,42 @@ userSchema.methods.resetLoginAttempts = function() {
   })
 }
 
+// Static method to get the permissions a new account of a role starts with
+userSchema.statics.getDefaultPermissions = function(role, department) {
+  switch (role) {
+    case 'admin':
+      return [
+        'manage_rooms',
+        'manage_bookings',
+        'manage_contacts',
+        'view_analytics',
+        'manage_users',
+        'manage_settings',
+        'manage_content',
+        'view_reports',
+        'manage_housekeeping',
+        'manage_payments'
+      ]
+    case 'manager':
+      return [
+        'manage_rooms',
+        'manage_bookings',
+        'manage_contacts',
+        'view_analytics',
+        'view_reports',
+        'manage_housekeeping',
+        'manage_payments'
+      ]
+    case 'staff':
+      // Housekeepers work the cleaning board rather than the front desk
+      return department === 'housekeeping'
+        ? ['manage_housekeeping']
+        : ['manage_bookings', 'manage_contacts']
+    default:
+      return []
+  }
+}
+
 // Static method to find by credentials
 userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email, isActive: true }).select('+password')
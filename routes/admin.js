@@ -9,11 +9,79 @@ const {
   updateAdminProfile,
   changeAdminPassword
 } = require('../controllers/adminController')
+const {
+  getRatePlans,
+  getRatePlan,
+  createRatePlan,
+  updateRatePlan,
+  deleteRatePlan
+} = require('../controllers/ratePlanController')
+const {
+  getRoomUnits,
+  getRoomUnit,
+  createRoomUnit,
+  updateRoomUnit,
+  deleteRoomUnit
+} = require('../controllers/roomUnitController')
+const {
+  getMaintenanceBlocks,
+  getMaintenanceBlock,
+  createMaintenanceBlock,
+  updateMaintenanceBlock,
+  deleteMaintenanceBlock
+} = require('../controllers/maintenanceBlockController')
+const {
+  getTaxRules,
+  getTaxRule,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule
+} = require('../controllers/taxRuleController')
+const {
+  getCancellationPolicies,
+  getCancellationPolicy,
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  deleteCancellationPolicy
+} = require('../controllers/cancellationPolicyController')
+const {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} = require('../controllers/promotionController')
+const {
+  getRefunds,
+  approveRefundRequest,
+  rejectRefundRequest,
+  processRefundRequest
+} = require('../controllers/refundController')
+const {
+  getExchangeRateTables,
+  getCurrentExchangeRates,
+  importExchangeRates
+} = require('../controllers/exchangeRateController')
+const {
+  getSettings,
+  updateSettings,
+  getSettingsHistory
+} = require('../controllers/settingsController')
 const { protect, authorize, checkPermission, verifyAdminKey } = require('../middleware/auth')
 const {
   validateAdminLogin,
   validateAdminUser,
-  validatePasswordChange
+  validatePasswordChange,
+  validateRoomUnit,
+  validateMaintenanceBlock,
+  validateMaintenanceBlockUpdate,
+  validateRatePlan,
+  validateTaxRule,
+  validateCancellationPolicy,
+  validatePromotion,
+  validateSettings,
+  validateExchangeRateImport,
+  validateObjectId
 } = require('../middleware/validation')
 const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler')
 const { body, query } = require('express-validator')
@@ -426,80 +494,537 @@ router.put(
   asyncHandler(changeAdminPassword)
 )
 
-// System settings (Super Admin only)
+// Room units
 router.get(
-  '/settings',
+  '/room-units',
   protect,
-  authorize('super_admin'),
-  asyncHandler(async (req, res) => {
-    // Return system settings (mock data for now)
-    const settings = {
-      siteName: 'Luxury Hotel',
-      currency: 'USD',
-      timezone: 'UTC',
-      emailNotifications: true,
-      maintenanceMode: false,
-      bookingSettings: {
-        maxAdvanceBookingDays: 365,
-        minAdvanceBookingHours: 2,
-        cancellationPolicy: '24_hours',
-        autoConfirmBookings: true
-      },
-      paymentSettings: {
-        acceptedMethods: ['credit_card', 'debit_card', 'paypal'],
-        currency: 'USD',
-        taxRate: 0.1,
-        serviceFeeRate: 0.05
-      }
-    }
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  [
+    query('room')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid room type ID'),
+    query('status')
+      .optional()
+      .isIn(['available', 'out_of_service'])
+      .withMessage('Invalid unit status'),
+    query('floor')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Floor must be a positive integer')
+  ],
+  handleValidationErrors,
+  asyncHandler(getRoomUnits)
+)
 
-    res.json({
-      success: true,
-      message: 'Settings retrieved successfully',
-      data: settings
-    })
-  })
+router.get(
+  '/room-units/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(getRoomUnit)
+)
+
+router.post(
+  '/room-units',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateRoomUnit,
+  handleValidationErrors,
+  asyncHandler(createRoomUnit)
 )
 
 router.put(
-  '/settings',
+  '/room-units/:id',
   protect,
-  authorize('super_admin'),
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateObjectId,
+  validateRoomUnit,
+  handleValidationErrors,
+  asyncHandler(updateRoomUnit)
+)
+
+router.delete(
+  '/room-units/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(deleteRoomUnit)
+)
+
+// Maintenance blocks
+router.get(
+  '/maintenance-blocks',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
   [
-    body('siteName')
+    query('unit')
       .optional()
-      .trim()
-      .isLength({ min: 1, max: 100 })
-      .withMessage('Site name must be between 1 and 100 characters'),
-    body('currency')
+      .isMongoId()
+      .withMessage('Invalid room unit ID'),
+    query('room')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid room type ID'),
+    query('status')
+      .optional()
+      .isIn(['scheduled', 'completed', 'cancelled'])
+      .withMessage('Invalid block status'),
+    query('from')
       .optional()
-      .isIn(['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'])
-      .withMessage('Invalid currency'),
-    body('timezone')
+      .isISO8601()
+      .withMessage('Invalid from date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid to date'),
+    query('hasConflicts')
+      .optional()
+      .isBoolean()
+      .withMessage('hasConflicts must be a boolean')
+  ],
+  handleValidationErrors,
+  asyncHandler(getMaintenanceBlocks)
+)
+
+router.get(
+  '/maintenance-blocks/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(getMaintenanceBlock)
+)
+
+router.post(
+  '/maintenance-blocks',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateMaintenanceBlock,
+  handleValidationErrors,
+  asyncHandler(createMaintenanceBlock)
+)
+
+router.put(
+  '/maintenance-blocks/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateObjectId,
+  validateMaintenanceBlockUpdate,
+  handleValidationErrors,
+  asyncHandler(updateMaintenanceBlock)
+)
+
+router.delete(
+  '/maintenance-blocks/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(deleteMaintenanceBlock)
+)
+
+// Rate plans
+router.get(
+  '/rate-plans',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  [
+    query('roomType')
+      .optional()
+      .isIn(['single', 'double', 'suite', 'deluxe', 'presidential'])
+      .withMessage('Invalid room type'),
+    query('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ],
+  handleValidationErrors,
+  asyncHandler(getRatePlans)
+)
+
+router.get(
+  '/rate-plans/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(getRatePlan)
+)
+
+router.post(
+  '/rate-plans',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateRatePlan,
+  handleValidationErrors,
+  asyncHandler(createRatePlan)
+)
+
+router.put(
+  '/rate-plans/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateObjectId,
+  validateRatePlan,
+  handleValidationErrors,
+  asyncHandler(updateRatePlan)
+)
+
+router.delete(
+  '/rate-plans/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_rooms'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(deleteRatePlan)
+)
+
+// Tax and fee rules
+router.get(
+  '/tax-rules',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  [
+    query('jurisdiction')
       .optional()
       .trim()
       .isLength({ min: 1 })
-      .withMessage('Timezone cannot be empty'),
-    body('emailNotifications')
+      .withMessage('Jurisdiction cannot be empty'),
+    query('roomType')
+      .optional()
+      .isIn(['single', 'double', 'suite', 'deluxe', 'presidential'])
+      .withMessage('Invalid room type'),
+    query('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ],
+  handleValidationErrors,
+  asyncHandler(getTaxRules)
+)
+
+router.get(
+  '/tax-rules/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(getTaxRule)
+)
+
+router.post(
+  '/tax-rules',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validateTaxRule,
+  handleValidationErrors,
+  asyncHandler(createTaxRule)
+)
+
+router.put(
+  '/tax-rules/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validateObjectId,
+  validateTaxRule,
+  handleValidationErrors,
+  asyncHandler(updateTaxRule)
+)
+
+router.delete(
+  '/tax-rules/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(deleteTaxRule)
+)
+
+// Cancellation policies
+router.get(
+  '/cancellation-policies',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  [
+    query('isActive')
       .optional()
       .isBoolean()
-      .withMessage('Email notifications must be a boolean'),
-    body('maintenanceMode')
+      .withMessage('isActive must be a boolean')
+  ],
+  handleValidationErrors,
+  asyncHandler(getCancellationPolicies)
+)
+
+router.get(
+  '/cancellation-policies/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(getCancellationPolicy)
+)
+
+router.post(
+  '/cancellation-policies',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validateCancellationPolicy,
+  handleValidationErrors,
+  asyncHandler(createCancellationPolicy)
+)
+
+router.put(
+  '/cancellation-policies/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validateObjectId,
+  validateCancellationPolicy,
+  handleValidationErrors,
+  asyncHandler(updateCancellationPolicy)
+)
+
+router.delete(
+  '/cancellation-policies/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(deleteCancellationPolicy)
+)
+
+// Promotions
+router.get(
+  '/promotions',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  [
+    query('isActive')
       .optional()
       .isBoolean()
-      .withMessage('Maintenance mode must be a boolean')
+      .withMessage('isActive must be a boolean'),
+    query('roomType')
+      .optional()
+      .isIn(['single', 'double', 'suite', 'deluxe', 'presidential'])
+      .withMessage('Invalid room type'),
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Search cannot exceed 50 characters')
   ],
   handleValidationErrors,
-  asyncHandler(async (req, res) => {
-    // Update system settings (mock implementation)
-    const updatedSettings = req.body
-    
-    res.json({
-      success: true,
-      message: 'Settings updated successfully',
-      data: updatedSettings
-    })
-  })
+  asyncHandler(getPromotions)
+)
+
+router.get(
+  '/promotions/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(getPromotion)
+)
+
+router.post(
+  '/promotions',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validatePromotion,
+  handleValidationErrors,
+  asyncHandler(createPromotion)
+)
+
+router.put(
+  '/promotions/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validateObjectId,
+  validatePromotion,
+  handleValidationErrors,
+  asyncHandler(updatePromotion)
+)
+
+router.delete(
+  '/promotions/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(deletePromotion)
+)
+
+// Refunds
+router.get(
+  '/refunds',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_payments'),
+  [
+    query('status')
+      .optional()
+      .isIn(['requested', 'approved', 'processing', 'processed', 'failed', 'rejected'])
+      .withMessage('Invalid refund status'),
+    query('method')
+      .optional()
+      .isIn(['original_payment', 'bank_transfer', 'cash', 'credit'])
+      .withMessage('Invalid refund method'),
+    query('booking')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid booking ID')
+  ],
+  handleValidationErrors,
+  asyncHandler(getRefunds)
+)
+
+// Refunds over the threshold need a manager or admin other than the requester
+router.patch(
+  '/refunds/:id/approve',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_payments'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(approveRefundRequest)
+)
+
+router.patch(
+  '/refunds/:id/reject',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_payments'),
+  [
+    ...validateObjectId,
+    body('reason')
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Rejection reason must be between 5 and 500 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(rejectRefundRequest)
+)
+
+router.patch(
+  '/refunds/:id/process',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_payments'),
+  [
+    ...validateObjectId,
+    body('reference')
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Reference must be between 3 and 100 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(processRefundRequest)
+)
+
+// Exchange rates, imported by hand rather than from a live feed
+router.get(
+  '/exchange-rates',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(getExchangeRateTables)
+)
+
+router.get(
+  '/exchange-rates/current',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_settings'),
+  asyncHandler(getCurrentExchangeRates)
+)
+
+router.post(
+  '/exchange-rates',
+  protect,
+  authorize('admin', 'super_admin'),
+  checkPermission('manage_settings'),
+  validateExchangeRateImport,
+  handleValidationErrors,
+  asyncHandler(importExchangeRates)
+)
+
+// System settings (Super Admin only)
+router.get(
+  '/settings',
+  protect,
+  authorize('super_admin'),
+  asyncHandler(getSettings)
+)
+
+router.get(
+  '/settings/history',
+  protect,
+  authorize('super_admin'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(getSettingsHistory)
+)
+
+router.put(
+  '/settings',
+  protect,
+  authorize('super_admin'),
+  validateSettings,
+  handleValidationErrors,
+  asyncHandler(updateSettings)
 )
 
 module.exports = router
\ No newline at end of file
@@ -3,9 +3,12 @@ const bcrypt = require('bcryptjs')
 const jwt = require('jsonwebtoken')
 const crypto = require('crypto')
 const User = require('../models/User')
+const Guest = require('../models/Guest')
+const { registerGuest } = require('../controllers/guestAccountController')
 const { protect, loginRateLimit } = require('../middleware/auth')
 const {
-  validateNewsletter
+  validateNewsletter,
+  validateGuestRegistration
 } = require('../middleware/validation')
 const { asyncHandler, AppError, sendSuccessResponse, handleValidationErrors } = require('../middleware/errorHandler')
 const { body, param } = require('express-validator')
@@ -39,94 +42,12 @@ const sendEmail = async (options) => {
   }
 }
 
-// Register user
+// Register a guest account; kept here for clients that still use this path
 router.post(
   '/register',
-  [
-    body('firstName')
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage('First name must be between 2 and 50 characters'),
-    body('lastName')
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage('Last name must be between 2 and 50 characters'),
-    body('email')
-      .isEmail()
-      .normalizeEmail()
-      .withMessage('Please provide a valid email'),
-    body('password')
-      .isLength({ min: 8 })
-      .withMessage('Password must be at least 8 characters')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
-    body('phone')
-      .optional()
-      .isMobilePhone()
-      .withMessage('Please provide a valid phone number')
-  ],
+  validateGuestRegistration,
   handleValidationErrors,
-  asyncHandler(async (req, res) => {
-    const { firstName, lastName, email, password, phone } = req.body
-
-    // Check if user already exists
-    const existingUser = await User.findOne({ email })
-    if (existingUser) {
-      throw new AppError('User already exists with this email', 400)
-    }
-
-    // Create user
-    const user = await User.create({
-      firstName,
-      lastName,
-      email,
-      password,
-      phone,
-      role: 'guest'
-    })
-
-    // Generate JWT token
-    const token = user.getSignedJwtToken()
-
-    // Send welcome email
-    const welcomeEmailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #333;">Welcome to Luxury Hotel!</h2>
-        <p>Dear ${firstName},</p>
-        <p>Thank you for registering with us. We're excited to have you as part of our community.</p>
-        <p>You can now:</p>
-        <ul>
-          <li>Browse and book our luxury rooms</li>
-          <li>Access exclusive member offers</li>
-          <li>Manage your bookings online</li>
-          <li>Enjoy personalized service</li>
-        </ul>
-        <p>If you have any questions, feel free to contact our support team.</p>
-        <p>Best regards,<br>The Luxury Hotel Team</p>
-      </div>
-    `
-
-    try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Welcome to Luxury Hotel',
-        html: welcomeEmailHtml
-      })
-    } catch (error) {
-      console.error('Welcome email failed:', error)
-    }
-
-    sendSuccessResponse(res, 201, 'User registered successfully', {
-      token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role
-      }
-    })
-  })
+  asyncHandler(registerGuest)
 )
 
 // Login user
@@ -375,27 +296,23 @@ router.post(
   asyncHandler(async (req, res) => {
     const { email, firstName, lastName } = req.body
 
-    // Check if already subscribed
-    const existingUser = await User.findOne({ email })
-    if (existingUser && existingUser.preferences?.newsletter) {
+    // Subscribers are guests, with or without an account
+    const existingGuest = await Guest.findOne({ email })
+    if (existingGuest && existingGuest.preferences?.newsletter) {
       throw new AppError('Email already subscribed to newsletter', 400)
     }
 
-    if (existingUser) {
-      // Update existing user
-      existingUser.preferences = {
-        ...existingUser.preferences,
-        newsletter: true,
-        newsletterSubscribedAt: new Date()
-      }
-      await existingUser.save()
+    if (existingGuest) {
+      // Update existing guest
+      existingGuest.preferences.newsletter = true
+      existingGuest.preferences.newsletterSubscribedAt = new Date()
+      await existingGuest.save()
     } else {
-      // Create new user for newsletter
-      await User.create({
+      // Create a guest record for the subscription
+      await Guest.create({
         firstName: firstName || 'Newsletter',
         lastName: lastName || 'Subscriber',
         email,
-        role: 'guest',
         preferences: {
           newsletter: true,
           newsletterSubscribedAt: new Date()
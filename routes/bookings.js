@@ -3,42 +3,142 @@ const {
   getBookings,
   getBooking,
   getBookingByConfirmation,
+  getQuote,
   createBooking,
+  createGroupBooking,
+  getBookingGroup,
+  updateBooking,
   updateBookingStatus,
   updatePaymentStatus,
+  getCancellationQuote,
   cancelBooking,
   getBookingStats
 } = require('../controllers/bookingController')
-const { protect, authorize, checkPermission, optionalAuth } = require('../middleware/auth')
+const {
+  verifyGuestBooking,
+  requestMagicLink,
+  getGuestBooking,
+  modifyGuestBooking,
+  cancelGuestBooking
+} = require('../controllers/guestBookingController')
+const {
+  getBookingRooms,
+  assignBookingRoom,
+  moveBookingRoom
+} = require('../controllers/roomAssignmentController')
+const { getBookingPayments, postBookingPayment } = require('../controllers/paymentController')
+const {
+  getFolio,
+  addFolioItem,
+  voidFolioCharge,
+  getInvoice,
+  emailInvoice
+} = require('../controllers/folioController')
+const { createRefund } = require('../controllers/refundController')
+const { protect, authorize, checkPermission, optionalAuth, protectGuestBooking } = require('../middleware/auth')
 const {
   validateBooking,
+  validateGroupBooking,
+  validateQuote,
+  validateGuestBookingAccess,
+  validateGuestBookingChange,
+  validateBookingModification,
+  validateRoomAssignment,
+  validateRoomMove,
+  validateLedgerEntry,
+  validateFolioItem,
+  validateFolioVoid,
+  validateRefund,
   validateBookingQuery,
   validateObjectId
 } = require('../middleware/validation')
+const { prefillGuestInfo } = require('../middleware/guestProfile')
 const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler')
-const { body, param } = require('express-validator')
+const { body, param, query } = require('express-validator')
 
 const router = express.Router()
 
 // Public routes
+// Signed-in guests have their saved details filled in
 router.post(
   '/',
+  optionalAuth,
+  prefillGuestInfo,
   validateBooking,
   handleValidationErrors,
   asyncHandler(createBooking)
 )
 
+router.post(
+  '/group',
+  optionalAuth,
+  prefillGuestInfo,
+  validateGroupBooking,
+  handleValidationErrors,
+  asyncHandler(createGroupBooking)
+)
+
+router.post(
+  '/quote',
+  validateQuote,
+  handleValidationErrors,
+  asyncHandler(getQuote)
+)
+
 router.get(
   '/confirmation/:confirmationNumber',
   [
     param('confirmationNumber')
-      .isLength({ min: 6, max: 20 })
+      .isLength({ min: 6, max: 30 })
       .withMessage('Invalid confirmation number format')
   ],
   handleValidationErrors,
   asyncHandler(getBookingByConfirmation)
 )
 
+// Guest self-service routes
+router.post(
+  '/manage/verify',
+  validateGuestBookingAccess,
+  handleValidationErrors,
+  asyncHandler(verifyGuestBooking)
+)
+
+router.post(
+  '/manage/magic-link',
+  validateGuestBookingAccess,
+  handleValidationErrors,
+  asyncHandler(requestMagicLink)
+)
+
+router.get(
+  '/manage',
+  protectGuestBooking,
+  asyncHandler(getGuestBooking)
+)
+
+router.patch(
+  '/manage',
+  protectGuestBooking,
+  validateGuestBookingChange,
+  handleValidationErrors,
+  asyncHandler(modifyGuestBooking)
+)
+
+router.post(
+  '/manage/cancel',
+  protectGuestBooking,
+  [
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Cancellation reason must be between 5 and 500 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(cancelGuestBooking)
+)
+
 // Protected routes - Admin access
 router.get(
   '/',
@@ -57,6 +157,15 @@ router.get(
   asyncHandler(getBookingStats)
 )
 
+router.get(
+  '/groups/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(getBookingGroup)
+)
+
 router.get(
   '/:id',
   protect,
@@ -66,6 +175,48 @@ router.get(
   asyncHandler(getBooking)
 )
 
+router.patch(
+  '/:id',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_bookings'),
+  validateObjectId,
+  validateBookingModification,
+  handleValidationErrors,
+  asyncHandler(updateBooking)
+)
+
+router.get(
+  '/:id/rooms',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(getBookingRooms)
+)
+
+router.patch(
+  '/:id/unit',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_bookings'),
+  validateObjectId,
+  validateRoomAssignment,
+  handleValidationErrors,
+  asyncHandler(assignBookingRoom)
+)
+
+router.post(
+  '/:id/room-moves',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_bookings'),
+  validateObjectId,
+  validateRoomMove,
+  handleValidationErrors,
+  asyncHandler(moveBookingRoom)
+)
+
 router.patch(
   '/:id/status',
   protect,
@@ -80,7 +231,12 @@ router.patch(
       .optional()
       .trim()
       .isLength({ max: 500 })
-      .withMessage('Notes cannot exceed 500 characters')
+      .withMessage('Notes cannot exceed 500 characters'),
+    body('overrideReason')
+      .optional()
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Override reason must be between 5 and 500 characters')
   ],
   handleValidationErrors,
   asyncHandler(updateBookingStatus)
@@ -94,13 +250,22 @@ router.patch(
   [
     ...validateObjectId,
     body('paymentStatus')
-      .isIn(['pending', 'completed', 'failed', 'refunded'])
+      .isIn(['pending', 'processing', 'completed', 'failed', 'refunded'])
       .withMessage('Invalid payment status'),
     body('transactionId')
       .optional()
       .trim()
       .isLength({ min: 5, max: 100 })
       .withMessage('Transaction ID must be between 5 and 100 characters'),
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .toFloat()
+      .withMessage('Amount must be a positive number'),
+    body('paymentDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Payment date must be in ISO format'),
     body('notes')
       .optional()
       .trim()
@@ -111,6 +276,110 @@ router.patch(
   asyncHandler(updatePaymentStatus)
 )
 
+router.get(
+  '/:id/payments',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_payments'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(getBookingPayments)
+)
+
+router.post(
+  '/:id/payments',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_payments'),
+  validateObjectId,
+  validateLedgerEntry,
+  handleValidationErrors,
+  asyncHandler(postBookingPayment)
+)
+
+router.get(
+  '/:id/folio',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(getFolio)
+)
+
+router.post(
+  '/:id/folio',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_bookings'),
+  validateObjectId,
+  validateFolioItem,
+  handleValidationErrors,
+  asyncHandler(addFolioItem)
+)
+
+router.patch(
+  '/:id/folio/:itemId/void',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_bookings'),
+  validateObjectId,
+  validateFolioVoid,
+  handleValidationErrors,
+  asyncHandler(voidFolioCharge)
+)
+
+router.get(
+  '/:id/invoice',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  [
+    ...validateObjectId,
+    query('format')
+      .optional()
+      .isIn(['json', 'html', 'pdf'])
+      .withMessage('Format must be json, html or pdf')
+  ],
+  handleValidationErrors,
+  asyncHandler(getInvoice)
+)
+
+router.post(
+  '/:id/invoice/email',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_bookings'),
+  [
+    ...validateObjectId,
+    body('email')
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email')
+  ],
+  handleValidationErrors,
+  asyncHandler(emailInvoice)
+)
+
+router.post(
+  '/:id/refunds',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  checkPermission('manage_payments'),
+  validateObjectId,
+  validateRefund,
+  handleValidationErrors,
+  asyncHandler(createRefund)
+)
+
+router.get(
+  '/:id/cancellation',
+  protect,
+  authorize('admin', 'super_admin', 'manager'),
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(getCancellationQuote)
+)
+
 router.patch(
   '/:id/cancel',
   protect,
@@ -125,7 +394,13 @@ router.patch(
     body('refundAmount')
       .optional()
       .isFloat({ min: 0 })
+      .toFloat()
       .withMessage('Refund amount must be a positive number'),
+    body('overrideReason')
+      .optional()
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Override reason must be between 5 and 500 characters'),
     body('refundMethod')
       .optional()
       .isIn(['original_payment', 'bank_transfer', 'cash', 'credit'])
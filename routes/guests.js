@@ -0,0 +1,91 @@
+const express = require('express')
+const {
+  registerGuest,
+  verifyGuestEmail,
+  resendVerificationEmail,
+  loginGuest,
+  getGuestProfile,
+  updateGuestProfile,
+  getGuestBookings
+} = require('../controllers/guestAccountController')
+const { protectGuest } = require('../middleware/auth')
+const {
+  validateGuestRegistration,
+  validateGuestLogin,
+  validateEmailVerification,
+  validateGuestProfile
+} = require('../middleware/validation')
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler')
+const { query } = require('express-validator')
+
+const router = express.Router()
+
+// Public routes
+router.post(
+  '/register',
+  validateGuestRegistration,
+  handleValidationErrors,
+  asyncHandler(registerGuest)
+)
+
+router.post(
+  '/login',
+  validateGuestLogin,
+  handleValidationErrors,
+  asyncHandler(loginGuest)
+)
+
+router.post(
+  '/verify-email',
+  validateEmailVerification,
+  handleValidationErrors,
+  asyncHandler(verifyGuestEmail)
+)
+
+// Signed-in guest routes
+router.post(
+  '/verify-email/resend',
+  protectGuest,
+  asyncHandler(resendVerificationEmail)
+)
+
+router.get(
+  '/me',
+  protectGuest,
+  asyncHandler(getGuestProfile)
+)
+
+router.put(
+  '/me',
+  protectGuest,
+  validateGuestProfile,
+  handleValidationErrors,
+  asyncHandler(updateGuestProfile)
+)
+
+router.get(
+  '/me/bookings',
+  protectGuest,
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'confirmed', 'checked_in', 'checked_out', 'cancelled', 'no_show'])
+      .withMessage('Invalid booking status'),
+    query('when')
+      .optional()
+      .isIn(['upcoming', 'past'])
+      .withMessage('When must be upcoming or past'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ],
+  handleValidationErrors,
+  asyncHandler(getGuestBookings)
+)
+
+module.exports = router
\ No newline at end of file
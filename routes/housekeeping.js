@@ -0,0 +1,91 @@
+const express = require('express')
+const {
+  getHousekeepingRooms,
+  updateHousekeepingStatus,
+  getHousekeepingTasks,
+  claimHousekeepingTask,
+  completeHousekeepingTask
+} = require('../controllers/housekeepingController')
+const { protect, authorize, checkPermission } = require('../middleware/auth')
+const {
+  validateHousekeepingStatus,
+  validateObjectId
+} = require('../middleware/validation')
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler')
+const { body, query } = require('express-validator')
+
+const router = express.Router()
+
+// Housekeeping staff and their supervisors
+router.use(
+  protect,
+  authorize('admin', 'super_admin', 'manager', 'staff'),
+  checkPermission('manage_housekeeping')
+)
+
+router.get(
+  '/rooms',
+  [
+    query('status')
+      .optional()
+      .isIn(['dirty', 'cleaning', 'clean', 'inspected', 'out_of_order'])
+      .withMessage('Invalid housekeeping status'),
+    query('floor')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Floor must be a positive number'),
+    query('wing')
+      .optional()
+      .isIn(['north', 'south', 'east', 'west', 'central'])
+      .withMessage('Invalid wing')
+  ],
+  handleValidationErrors,
+  asyncHandler(getHousekeepingRooms)
+)
+
+router.patch(
+  '/rooms/:id/status',
+  validateObjectId,
+  validateHousekeepingStatus,
+  handleValidationErrors,
+  asyncHandler(updateHousekeepingStatus)
+)
+
+router.get(
+  '/tasks',
+  [
+    query('status')
+      .optional()
+      .isIn(['open', 'in_progress', 'completed', 'cancelled'])
+      .withMessage('Invalid task status'),
+    query('mine')
+      .optional()
+      .isBoolean()
+      .withMessage('mine must be true or false')
+  ],
+  handleValidationErrors,
+  asyncHandler(getHousekeepingTasks)
+)
+
+router.post(
+  '/tasks/:id/claim',
+  validateObjectId,
+  handleValidationErrors,
+  asyncHandler(claimHousekeepingTask)
+)
+
+router.post(
+  '/tasks/:id/complete',
+  [
+    ...validateObjectId,
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(completeHousekeepingTask)
+)
+
+module.exports = router
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require('express')
+const { handlePaymentWebhook } = require('../controllers/paymentController')
+const { asyncHandler } = require('../middleware/errorHandler')
+
+const router = express.Router()
+
+// Payment provider webhooks; authenticated by their signature, not a login
+router.post('/webhook', asyncHandler(handlePaymentWebhook))
+
+module.exports = router
\ No newline at end of file
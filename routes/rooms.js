@@ -7,12 +7,16 @@ const {
   updateRoom,
   deleteRoom,
   getFeaturedRooms,
-  getRoomAvailability
+  getRoomAvailability,
+  getRoomCalendar,
+  getPropertyCalendar
 } = require('../controllers/roomController')
 const { protect, authorize, checkPermission } = require('../middleware/auth')
 const {
   validateRoom,
   validateRoomQuery,
+  validateCalendarQuery,
+  validateCurrencyQuery,
   validateObjectId
 } = require('../middleware/validation')
 const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler')
@@ -40,6 +44,13 @@ router.get(
   asyncHandler(getFeaturedRooms)
 )
 
+router.get(
+  '/calendar',
+  validateCalendarQuery,
+  handleValidationErrors,
+  asyncHandler(getPropertyCalendar)
+)
+
 router.get(
   '/:id',
   validateObjectId,
@@ -50,10 +61,19 @@ router.get(
 router.get(
   '/:id/availability',
   validateObjectId,
+  validateCurrencyQuery,
   handleValidationErrors,
   asyncHandler(getRoomAvailability)
 )
 
+router.get(
+  '/:id/calendar',
+  validateObjectId,
+  validateCalendarQuery,
+  handleValidationErrors,
+  asyncHandler(getRoomCalendar)
+)
+
 // Protected routes - Admin only
 router.post(
   '/',
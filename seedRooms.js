@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const RoomUnit = require('./models/RoomUnit');
+const { createDefaultUnit } = require('./utils/inventory');
 
 // Simple Room schema for seeding
 const roomSchema = new mongoose.Schema({
@@ -124,17 +126,20 @@ async function seedRooms() {
     await mongoose.connect(mongoUri);
     console.log('Connected to MongoDB');
     
-    // Clear existing rooms
+    // Clear existing rooms and their units
     await Room.deleteMany({});
+    await RoomUnit.deleteMany({});
     console.log('Cleared existing rooms');
     
     // Insert sample rooms
     const rooms = await Room.insertMany(sampleRooms);
     console.log(`Inserted ${rooms.length} sample rooms`);
     
-    rooms.forEach(room => {
-      console.log(`- ${room.name} (${room.type}) - $${room.pricing.basePrice}`);
-    });
+    // Each room needs a unit to be bookable
+    for (const room of rooms) {
+      const unit = await createDefaultUnit(room);
+      console.log(`- ${room.name} (${room.type}) - $${room.pricing.basePrice}, unit ${unit.number}`);
+    }
     
     console.log('Sample rooms created successfully!');
     await mongoose.disconnect();
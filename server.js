@@ -8,6 +8,12 @@ const helmet = require('helmet')
 const compression = require('compression')
 const morgan = require('morgan')
 const rateLimit = require('express-rate-limit')
+const { startHoldExpiryJob } = require('./utils/bookingHolds')
+const { startMaintenanceWatcher } = require('./utils/maintenance')
+const { startNoShowJob } = require('./utils/noShows')
+const { startOverdueBalanceJob } = require('./utils/paymentLedger')
+const { optionalAuth } = require('./middleware/auth')
+const { maintenanceGate } = require('./middleware/maintenance')
 require('dotenv').config()
 
 const app = express()
@@ -67,7 +73,15 @@ app.use((req, res, next) => {
 })
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }))
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes so payment webhook signatures can be checked
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf
+    }
+  }
+}))
 app.use(express.urlencoded({ extended: true, limit: '10mb' }))
 
 // MongoDB connection
@@ -75,15 +89,35 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hotel-res
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully')
+
+  // Release pending bookings whose payment hold has lapsed
+  startHoldExpiryJob(io)
+
+  // Switch scheduled maintenance windows on and off
+  startMaintenanceWatcher(io)
+
+  // Mark guests who never arrived as no-shows
+  startNoShowJob(io)
+
+  // Alert admins to deposits and balances that have gone unpaid
+  startOverdueBalanceJob(io)
+})
 .catch(err => console.error('❌ MongoDB connection error:', err))
 
+// Reject public booking and contact writes during maintenance
+app.use(['/api/bookings', '/api/contacts'], optionalAuth, maintenanceGate)
+
 // Routes
 app.use('/api/rooms', require('./routes/rooms'))
 app.use('/api/bookings', require('./routes/bookings'))
 app.use('/api/contacts', require('./routes/contacts'))
 app.use('/api/admin', require('./routes/admin'))
+app.use('/api/housekeeping', require('./routes/housekeeping'))
+app.use('/api/payments', require('./routes/payments'))
 app.use('/api/auth', require('./routes/auth'))
+app.use('/api/guests', require('./routes/guests'))
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -116,6 +150,11 @@ io.on('connection', (socket) => {
     socket.join('admin-room')
     console.log('🔐 Admin joined admin room')
   })
+
+  socket.on('join-housekeeping', () => {
+    socket.join('housekeeping-room')
+    console.log('🧹 Staff joined housekeeping room')
+  })
   
   socket.on('disconnect', () => {
     console.log('👤 Admin disconnected:', socket.id)
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose')
+const Booking = require('./models/Booking')
+const RoomNight = require('./models/RoomNight')
+const { reserveRoomNights } = require('./utils/inventory')
+require('dotenv').config()
+
+// Backfill room-night inventory for bookings created before it existed.
+// Run syncRoomUnits.js first: rooms without units have no capacity, so every
+// night would be reported as a conflict.
+async function syncRoomNights() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Connected to MongoDB')
+
+    await RoomNight.syncIndexes()
+
+    const bookings = await Booking.find({
+      bookingStatus: { $in: ['pending', 'confirmed', 'checked_in'] },
+      checkOutDate: { $gt: new Date() }
+    })
+    console.log('Active bookings found:', bookings.length)
+
+    let claimed = 0
+    let conflicts = 0
+
+    for (const booking of bookings) {
+      // Already has its inventory
+      if (await RoomNight.exists({ booking: booking._id })) continue
+
+      try {
+        const result = await reserveRoomNights(booking.room, booking._id, booking.checkInDate, booking.checkOutDate)
+
+        if (result.success) {
+          claimed += result.nights.length
+        } else {
+          conflicts += result.conflicts.length
+          console.log(`Conflict: ${booking.bookingId} has no free unit on ${result.conflicts.join(', ')}`)
+        }
+      } catch (error) {
+        console.error(`Failed to sync ${booking.bookingId}:`, error.message)
+      }
+    }
+
+    console.log(`Room nights claimed: ${claimed}, conflicts: ${conflicts}`)
+    await mongoose.disconnect()
+  } catch (error) {
+    console.error('Error:', error)
+  }
+}
+
+syncRoomNights()
\ No newline at end of file
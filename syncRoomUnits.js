@@ -0,0 +1,46 @@
+const mongoose = require('mongoose')
+const Room = require('./models/Room')
+const RoomUnit = require('./models/RoomUnit')
+const RoomNight = require('./models/RoomNight')
+const { createDefaultUnit } = require('./utils/inventory')
+require('dotenv').config()
+
+// Give every room listing created before room units existed a single unit,
+// so it stays bookable, and move room-night inventory to per-unit slots.
+//
+// Upgrading a database from before room units, run in this order:
+//   1. node syncRoomUnits.js   - syncs the RoomNight and RoomUnit indexes and
+//                                creates the units capacity is counted from
+//   2. node syncRoomNights.js  - claims nights for active bookings, which
+//                                needs the units and the { room, date, slot } index
+async function syncRoomUnits() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Connected to MongoDB')
+
+    // Replaces the old unique { room, date } index with { room, date, slot }
+    await RoomNight.syncIndexes()
+    await RoomUnit.syncIndexes()
+
+    const rooms = await Room.find().sort({ createdAt: 1 })
+    console.log('Rooms found:', rooms.length)
+
+    let created = 0
+
+    for (const room of rooms) {
+      const existing = await RoomUnit.countDocuments({ room: room._id })
+      if (existing > 0) continue
+
+      const unit = await createDefaultUnit(room)
+      created++
+      console.log(`Created unit ${unit.number} for ${room.name}`)
+    }
+
+    console.log(`Room units created: ${created}`)
+    await mongoose.disconnect()
+  } catch (error) {
+    console.error('Error:', error)
+  }
+}
+
+syncRoomUnits()
\ No newline at end of file
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose')
+const User = require('./models/User')
+require('dotenv').config()
+
+// Permissions added after accounts already existed. Defaults are only set when
+// an account is created, so these are granted here to every account whose
+// role starts with them today. Other permissions are left alone, so ones an
+// admin removed on purpose stay removed.
+const ADDED_PERMISSIONS = [
+  'manage_housekeeping',
+  'manage_payments'
+]
+
+// Give existing accounts the permissions their role has gained since they
+// were created
+async function syncUserPermissions() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Connected to MongoDB')
+
+    const users = await User.find().select('email role permissions profile.department')
+    console.log('Users found:', users.length)
+
+    let updated = 0
+
+    for (const user of users) {
+      const defaults = User.getDefaultPermissions(user.role, user.profile?.department)
+      const missing = ADDED_PERMISSIONS.filter(permission =>
+        defaults.includes(permission) && !user.permissions.includes(permission)
+      )
+
+      if (missing.length === 0) continue
+
+      // Update in place so the password and other save hooks are not run
+      await User.updateOne({ _id: user._id }, { $addToSet: { permissions: { $each: missing } } })
+      updated++
+      console.log(`Granted ${missing.join(', ')} to ${user.email}`)
+    }
+
+    console.log(`Users updated: ${updated}`)
+    await mongoose.disconnect()
+  } catch (error) {
+    console.error('Error:', error)
+  }
+}
+
+syncUserPermissions()
\ No newline at end of file
@@ -0,0 +1,20 @@
+const assert = require('assert')
+const { toMinorUnits } = require('./utils/paymentProviders/stripe')
+
+// Check the amounts sent to Stripe are in the unit it charges in
+const cases = [
+  { amount: 3704, currency: 'JPY', expected: 3704 },
+  { amount: 1234.56, currency: 'HUF', expected: 123456 },
+  { amount: 49.99, currency: 'EUR', expected: 4999 },
+  { amount: 49.99, currency: 'eur', expected: 4999 },
+  { amount: 5000, currency: 'XOF', expected: 5000 },
+  { amount: 5000, currency: 'ISK', expected: 500000 }
+]
+
+for (const { amount, currency, expected } of cases) {
+  const actual = toMinorUnits(amount, currency)
+  assert.strictEqual(actual, expected, `${amount} ${currency}: expected ${expected}, got ${actual}`)
+  console.log(`${amount} ${currency} -> ${actual}`)
+}
+
+console.log('All Stripe amounts are in the right unit')
\ No newline at end of file
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose')
+const Settings = require('../models/Settings')
+const { calculateTaxLines, summarizeTaxLines } = require('./taxes')
+const { getNightAvailability } = require('./inventory')
+const { roundCurrency } = require('./money')
 
 // Standard API response formatter
 const sendResponse = (res, statusCode, success, message, data = null, meta = null) => {
@@ -220,44 +224,35 @@ const generateRandomPassword = (length = 12) => {
   return password
 }
 
-// Calculate booking pricing
-const calculateBookingPricing = (basePrice, numberOfNights, taxRate = 0.1, serviceFeesRate = 0.05) => {
-  const subtotal = basePrice * numberOfNights
-  const taxes = subtotal * taxRate
-  const fees = subtotal * serviceFeesRate
-  const totalAmount = subtotal + taxes + fees
-  
+// Calculate booking pricing for a flat nightly rate using the tax rule engine
+const calculateBookingPricing = async (basePrice, numberOfNights, { roomType = null, checkInDate = new Date() } = {}) => {
+  const { currency } = await Settings.getCurrent()
+
+  const start = new Date(checkInDate)
+  const nightlyRates = Array.from({ length: numberOfNights }, (_, index) => ({
+    date: new Date(start.getTime() + index * 24 * 60 * 60 * 1000),
+    rate: basePrice
+  }))
+
+  const subtotal = roundCurrency(basePrice * numberOfNights, currency)
+  const taxLines = await calculateTaxLines(roomType, nightlyRates, { currency })
+  const { taxes, fees } = summarizeTaxLines(taxLines, currency)
+
   return {
     pricePerNight: basePrice,
-    subtotal: Math.round(subtotal * 100) / 100,
-    taxes: Math.round(taxes * 100) / 100,
-    fees: Math.round(fees * 100) / 100,
-    totalAmount: Math.round(totalAmount * 100) / 100,
-    currency: 'USD'
+    subtotal,
+    taxes,
+    fees,
+    taxLines,
+    totalAmount: roundCurrency(subtotal + taxes + fees, currency),
+    currency
   }
 }
 
 // Check room availability
 const checkRoomAvailability = async (roomId, checkInDate, checkOutDate, excludeBookingId = null) => {
-  const Booking = require('../models/Booking')
-  
-  const query = {
-    room: roomId,
-    bookingStatus: { $in: ['confirmed', 'checked-in'] },
-    $or: [
-      {
-        checkInDate: { $lt: new Date(checkOutDate) },
-        checkOutDate: { $gt: new Date(checkInDate) }
-      }
-    ]
-  }
-  
-  if (excludeBookingId) {
-    query._id = { $ne: excludeBookingId }
-  }
-  
-  const conflictingBookings = await Booking.find(query)
-  return conflictingBookings.length === 0
+  const availability = await getNightAvailability(roomId, checkInDate, checkOutDate, excludeBookingId)
+  return availability.availableUnits > 0
 }
 
 // Rate limiting helper
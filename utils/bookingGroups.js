@@ -0,0 +1,91 @@
+const Booking = require('../models/Booking')
+const BookingGroup = require('../models/BookingGroup')
+const { reserveRoomNights, releaseRoomNights } = require('./inventory')
+const { roundCurrency } = require('./money')
+
+// Combined rooms, guests, dates and price of a group's bookings, leaving out
+// cancelled rooms. A group whose rooms are all cancelled is cancelled too.
+const summarizeGroup = (bookings) => {
+  const active = bookings.filter(booking => booking.bookingStatus !== 'cancelled')
+  const currency = bookings[0]?.pricing?.currency || 'USD'
+  const sum = (field) => roundCurrency(active.reduce((total, booking) => total + (booking.pricing?.[field] || 0), 0), currency)
+
+  // Rooms modified on their own may arrive or leave on other days
+  const dates = active.length > 0
+    ? {
+        checkInDate: new Date(Math.min(...active.map(booking => booking.checkInDate))),
+        checkOutDate: new Date(Math.max(...active.map(booking => booking.checkOutDate)))
+      }
+    : {}
+
+  return {
+    ...dates,
+    numberOfRooms: active.length,
+    totalGuests: active.reduce((total, booking) => total + booking.numberOfGuests, 0),
+    pricing: {
+      subtotal: sum('subtotal'),
+      taxes: sum('taxes'),
+      fees: sum('fees'),
+      totalAmount: sum('totalAmount'),
+      currency
+    },
+    status: active.length > 0 ? 'active' : 'cancelled'
+  }
+}
+
+// Recalculate a group's totals after one of its rooms changed
+const refreshGroupTotals = async (groupId) => {
+  const group = await BookingGroup.findById(groupId)
+
+  if (!group) {
+    return null
+  }
+
+  const bookings = await Booking.find({ group: group._id }).select('bookingStatus numberOfGuests checkInDate checkOutDate pricing')
+  group.set(summarizeGroup(bookings))
+  await group.save()
+
+  return group
+}
+
+// Claim the nights of every booking in a group, all or nothing.
+// Returns { success } or { success: false, index, conflicts } naming the
+// first room that could not be reserved.
+const reserveGroupNights = async (bookings) => {
+  const reserved = []
+
+  for (const [index, booking] of bookings.entries()) {
+    const reservation = await reserveRoomNights(booking.room, booking._id, booking.checkInDate, booking.checkOutDate)
+
+    if (!reservation.success) {
+      await Promise.all(reserved.map(held => releaseRoomNights(held._id)))
+      return { success: false, index, conflicts: reservation.conflicts }
+    }
+
+    reserved.push(booking)
+  }
+
+  return { success: true }
+}
+
+// Save a group and its bookings once their nights are held. If any save
+// fails, every saved booking and held night is removed again.
+const saveGroupBookings = async (group, bookings) => {
+  try {
+    for (const booking of bookings) {
+      await booking.save()
+    }
+    await group.save()
+  } catch (error) {
+    await Booking.deleteMany({ _id: { $in: bookings.map(booking => booking._id) } })
+    await Promise.all(bookings.map(booking => releaseRoomNights(booking._id)))
+    throw error
+  }
+}
+
+module.exports = {
+  summarizeGroup,
+  refreshGroupTotals,
+  reserveGroupNights,
+  saveGroupBookings
+}
\ No newline at end of file
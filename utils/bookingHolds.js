@@ -0,0 +1,100 @@
+const Booking = require('../models/Booking')
+const { releaseRoomNights } = require('./inventory')
+const { refreshGroupTotals } = require('./bookingGroups')
+const { releasePromotionRedemptions } = require('./promotions')
+
+const DEFAULT_HOLD_MINUTES = 15
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000 // 1 minute
+
+// How long a pending booking holds its room while payment completes
+const getHoldMinutes = () => {
+  const minutes = parseInt(process.env.BOOKING_HOLD_MINUTES, 10)
+  return minutes > 0 ? minutes : DEFAULT_HOLD_MINUTES
+}
+
+// Expiry timestamp for a hold starting now
+const getHoldExpiry = (from = new Date()) => {
+  return new Date(from.getTime() + getHoldMinutes() * 60 * 1000)
+}
+
+// Cancel pending bookings whose hold has lapsed and free their nights
+const releaseExpiredHolds = async (io = null) => {
+  const now = new Date()
+  const expired = await Booking.find({
+    bookingStatus: 'pending',
+    holdExpiresAt: { $lte: now }
+  }).select('_id')
+
+  const released = []
+
+  for (const { _id } of expired) {
+    // Re-check the condition atomically so a payment that completes
+    // between the find and the update wins over the expiry
+    const booking = await Booking.findOneAndUpdate(
+      { _id, bookingStatus: 'pending', holdExpiresAt: { $lte: now } },
+      {
+        $set: {
+          bookingStatus: 'cancelled',
+          'cancellation.isCancelled': true,
+          'cancellation.cancelledAt': now,
+          'cancellation.cancellationReason': 'Payment hold expired',
+          'cancellation.cancelledBy': 'system'
+        },
+        $push: {
+          statusHistory: {
+            from: 'pending',
+            to: 'cancelled',
+            changedAt: now,
+            actor: 'system',
+            notes: 'Payment hold expired'
+          }
+        }
+      },
+      { new: true }
+    )
+
+    if (!booking) continue
+
+    await releaseRoomNights(booking._id)
+    await releasePromotionRedemptions(booking._id)
+    if (booking.group) {
+      await refreshGroupTotals(booking.group)
+    }
+    released.push(booking)
+
+    if (io) {
+      io.to('admin-room').emit('booking-hold-expired', {
+        booking: booking,
+        message: `Hold on booking ${booking.bookingId} expired and room was released`,
+        timestamp: now
+      })
+    }
+  }
+
+  return released
+}
+
+// Periodically sweep for expired holds inside the server process
+const startHoldExpiryJob = (io = null, intervalMs = DEFAULT_SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseExpiredHolds(io)
+      if (released.length > 0) {
+        console.log(`⏱️ Released ${released.length} expired booking hold(s)`)
+      }
+    } catch (error) {
+      console.error('Hold expiry job error:', error)
+    }
+  }, intervalMs)
+
+  // Don't keep the process alive just for this job
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  getHoldMinutes,
+  getHoldExpiry,
+  releaseExpiredHolds,
+  startHoldExpiryJob
+}
\ No newline at end of file
@@ -0,0 +1,228 @@
+const Booking = require('../models/Booking')
+const Room = require('../models/Room')
+const { moveRoomNights, assignUnit, unassignUnit, formatNight } = require('./inventory')
+const { quoteStay } = require('./pricing')
+const { priceInCurrency } = require('./currency')
+const { checkRoomAvailability } = require('./apiHelpers')
+const { roundCurrency } = require('./money')
+const { refreshGroupTotals } = require('./bookingGroups')
+const { keepBookingPromotions, releasePromotionRedemptions } = require('./promotions')
+const { schedulePayments } = require('./paymentLedger')
+
+// Bookings whose room, dates or guests may still be changed
+const MODIFIABLE_STATUSES = ['pending', 'confirmed']
+
+// List the fields that differ between a booking and the requested stay
+const describeChanges = (booking, target) => {
+  const changes = []
+  const currentRoom = String(booking.room?._id || booking.room)
+
+  if (currentRoom !== String(target.room)) {
+    changes.push({ field: 'room', from: currentRoom, to: String(target.room) })
+  }
+
+  if (formatNight(booking.checkInDate) !== formatNight(target.checkInDate)) {
+    changes.push({ field: 'checkInDate', from: formatNight(booking.checkInDate), to: formatNight(target.checkInDate) })
+  }
+
+  if (formatNight(booking.checkOutDate) !== formatNight(target.checkOutDate)) {
+    changes.push({ field: 'checkOutDate', from: formatNight(booking.checkOutDate), to: formatNight(target.checkOutDate) })
+  }
+
+  if (booking.numberOfGuests !== target.numberOfGuests) {
+    changes.push({ field: 'numberOfGuests', from: booking.numberOfGuests, to: target.numberOfGuests })
+  }
+
+  return changes
+}
+
+// Change the room, dates or number of guests on a booking.
+// Availability is re-checked and the stay repriced; nights are moved before the
+// booking is saved and moved back if the save fails. Every successful change is
+// appended to booking.modifications with the next version number; when two
+// changes race, the one saved second is turned away rather than overwriting.
+// Returns { success, status, message, conflicts } on failure and
+// { success, booking, modification, previousTotal, priceDifference } on success.
+const modifyBooking = async (booking, requested, { changedBy, source = 'admin', reason } = {}) => {
+  if (!MODIFIABLE_STATUSES.includes(booking.bookingStatus)) {
+    return { success: false, status: 400, message: `Cannot modify a booking that is ${booking.bookingStatus}` }
+  }
+
+  const original = {
+    room: booking.room?._id || booking.room,
+    checkInDate: booking.checkInDate,
+    checkOutDate: booking.checkOutDate,
+    unit: booking.unit
+  }
+
+  const target = {
+    room: requested.room || original.room,
+    checkInDate: new Date(requested.checkInDate || original.checkInDate),
+    checkOutDate: new Date(requested.checkOutDate || original.checkOutDate),
+    numberOfGuests: requested.numberOfGuests ?? booking.numberOfGuests
+  }
+
+  if (target.checkInDate >= target.checkOutDate) {
+    return { success: false, status: 400, message: 'Check-out date must be after check-in date' }
+  }
+
+  const changes = describeChanges(booking, target)
+
+  if (changes.length === 0) {
+    return { success: false, status: 400, message: 'No changes to apply' }
+  }
+
+  const roomData = await Room.findById(target.room)
+
+  if (!roomData) {
+    return { success: false, status: 404, message: 'Room not found' }
+  }
+
+  if (!roomData.isAvailable) {
+    return { success: false, status: 400, message: 'Room is not available' }
+  }
+
+  // Check occupancy
+  const maxOccupancy = roomData.availability?.maxOccupancy || roomData.maxOccupancy || 2
+  if (target.numberOfGuests > maxOccupancy) {
+    return { success: false, status: 400, message: `Room can accommodate maximum ${maxOccupancy} guests` }
+  }
+
+  // Quick check before pricing; the nights are claimed atomically below
+  const isAvailable = await checkRoomAvailability(target.room, target.checkInDate, target.checkOutDate, booking._id)
+
+  if (!isAvailable) {
+    return { success: false, status: 409, message: 'Room is not available for the selected dates' }
+  }
+
+  // Promo codes the booking was sold with carry over while they still apply
+  const { promotions, dropped } = await keepBookingPromotions(booking, {
+    roomType: roomData.type,
+    checkInDate: target.checkInDate,
+    checkOutDate: target.checkOutDate
+  })
+
+  const quote = await quoteStay(roomData, target.checkInDate, target.checkOutDate, { promotions })
+
+  if (!quote.meetsMinStay) {
+    return { success: false, status: 400, message: `Minimum stay for the selected dates is ${quote.minStay} nights` }
+  }
+
+  if (quote.closedToArrival) {
+    return { success: false, status: 400, message: `Arrivals are closed on ${formatNight(target.checkInDate)}` }
+  }
+
+  // The new price is shown in the guest's currency at today's rate, or in
+  // the settlement currency once that currency is no longer offered
+  let converted = await priceInCurrency(quote, booking.pricing.display?.currency)
+
+  if (!converted.success) {
+    converted = await priceInCurrency(quote)
+  }
+
+  // Claim any new nights before letting go of the old ones
+  const reservation = await moveRoomNights(target.room, booking._id, target.checkInDate, target.checkOutDate)
+
+  if (!reservation.success) {
+    return {
+      success: false,
+      status: 409,
+      message: 'Room is not available for the selected dates',
+      conflicts: reservation.conflicts
+    }
+  }
+
+  // Keep the assigned unit if it is free for the new stay, otherwise a unit
+  // is picked again at check-in
+  if (booking.unit) {
+    const roomChanged = changes.some(change => change.field === 'room')
+    const kept = !roomChanged && (await assignUnit(booking, booking.unit)).success
+
+    if (!kept) {
+      await unassignUnit(booking)
+    }
+  }
+
+  const previousTotal = booking.pricing.totalAmount
+  const priceDifference = roundCurrency(quote.totalAmount - previousTotal, quote.currency)
+
+  booking.room = target.room
+  booking.checkInDate = target.checkInDate
+  booking.checkOutDate = target.checkOutDate
+  booking.numberOfGuests = target.numberOfGuests
+  booking.pricing = {
+    pricePerNight: quote.pricePerNight,
+    subtotal: quote.subtotal,
+    discount: quote.discount,
+    discounts: quote.discounts,
+    taxes: quote.taxes,
+    fees: quote.fees,
+    totalAmount: quote.totalAmount,
+    currency: quote.currency,
+    ratePlan: quote.ratePlan?.id,
+    nightlyRates: quote.nightlyRates,
+    taxLines: quote.taxLines,
+    display: converted.display
+  }
+
+  // Installments follow the new total and arrival date
+  await schedulePayments(booking)
+
+  const version = booking.modifications.length + 1
+
+  booking.modifications.push({
+    version,
+    changedAt: new Date(),
+    changedBy,
+    source,
+    reason,
+    changes,
+    previousTotal,
+    newTotal: quote.totalAmount,
+    priceDifference
+  })
+
+  // Only save over the version this change was based on. A change saved
+  // in the meantime makes this save match nothing.
+  booking.$where = { modifications: { $size: version - 1 } }
+
+  try {
+    await booking.save()
+  } catch (error) {
+    // Put the nights and unit back the way the stored booking has them
+    const saved = await Booking.findById(booking._id).select('room checkInDate checkOutDate unit') || original
+    await moveRoomNights(saved.room, booking._id, saved.checkInDate, saved.checkOutDate)
+    if (saved.unit) {
+      await assignUnit(booking, saved.unit)
+    }
+
+    if (error.name === 'DocumentNotFoundError') {
+      return { success: false, status: 409, message: 'Booking was changed by someone else, please reload and try again' }
+    }
+
+    throw error
+  } finally {
+    booking.$where = undefined
+  }
+
+  if (dropped.length > 0) {
+    await releasePromotionRedemptions(booking._id, dropped)
+  }
+
+  if (booking.group) {
+    await refreshGroupTotals(booking.group)
+  }
+
+  return {
+    success: true,
+    booking,
+    modification: booking.modifications[booking.modifications.length - 1],
+    previousTotal,
+    priceDifference
+  }
+}
+
+module.exports = {
+  MODIFIABLE_STATUSES,
+  modifyBooking
+}
\ No newline at end of file
@@ -0,0 +1,225 @@
+const Settings = require('../models/Settings')
+const emailTemplates = require('./emailTemplates')
+const { trySendTemplateEmail } = require('./mailer')
+const { releaseRoomNights, assignUnit, formatNight } = require('./inventory')
+const { calculateCancellationCharges, calculateNoShowCharges, buildCancellation } = require('./cancellationPolicy')
+const { markUnitDirty } = require('./housekeeping')
+const { refreshGroupTotals } = require('./bookingGroups')
+const { releasePromotionRedemptions } = require('./promotions')
+const { issueInvoice, sendInvoice } = require('./invoices')
+const { requestBookingRefund } = require('./refunds')
+
+// Booking lifecycle: pending -> confirmed -> checked_in -> checked_out,
+// with cancelled and no_show as the other ways out
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['checked_in', 'cancelled', 'no_show'],
+  checked_in: ['checked_out'],
+  checked_out: [],
+  cancelled: [],
+  no_show: []
+}
+
+const BOOKING_STATUSES = Object.keys(STATUS_TRANSITIONS)
+
+// Statuses that can only happen once the arrival date has come
+const ARRIVAL_STATUSES = ['checked_in', 'no_show']
+
+const getAllowedTransitions = (status) => STATUS_TRANSITIONS[status] || []
+
+const canTransition = (from, to) => getAllowedTransitions(from).includes(to)
+
+// Today's date (YYYY-MM-DD) in the hotel's timezone
+const getHotelDate = async (now = new Date()) => {
+  const { timezone } = await Settings.getCurrent()
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone || 'UTC' }).format(now)
+}
+
+// Append an entry to the booking's status history
+const recordStatusChange = (booking, from, to, { changedBy, actor = 'admin', notes, overrideReason } = {}) => {
+  booking.statusHistory.push({
+    from,
+    to,
+    changedAt: new Date(),
+    changedBy,
+    actor,
+    notes,
+    overrideReason
+  })
+}
+
+// Check a status change against the lifecycle and its guards, then apply it to
+// the booking document without saving. Returns { success, status, message }.
+const applyTransition = async (booking, to, options = {}) => {
+  const { actor = 'admin', notes, overrideReason, now = new Date() } = options
+  const from = booking.bookingStatus
+
+  if (!canTransition(from, to)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Cannot change booking from ${from} to ${to}`,
+      allowedTransitions: getAllowedTransitions(from)
+    }
+  }
+
+  if (ARRIVAL_STATUSES.includes(to) && !overrideReason) {
+    const today = await getHotelDate(now)
+
+    if (today < formatNight(booking.checkInDate)) {
+      return {
+        success: false,
+        status: 400,
+        message: `Booking cannot be marked ${to} before the check-in date (${formatNight(booking.checkInDate)}) without an override reason`
+      }
+    }
+  }
+
+  // Every guest checks in to a specific unit
+  if (to === 'checked_in' && !booking.unit) {
+    const assignment = await assignUnit(booking)
+
+    if (!assignment.success) {
+      return {
+        success: false,
+        status: assignment.status,
+        message: `Cannot check in: ${assignment.message}`
+      }
+    }
+  }
+
+  booking.bookingStatus = to
+
+  switch (to) {
+    case 'confirmed':
+      booking.holdExpiresAt = undefined
+      break
+    case 'checked_in':
+      booking.checkInTime = booking.checkInTime || now
+      break
+    case 'checked_out':
+      booking.checkOutTime = booking.checkOutTime || now
+      break
+    case 'cancelled':
+      // Callers that need a custom refund build the cancellation themselves
+      if (!booking.cancellation?.isCancelled) {
+        const charges = await calculateCancellationCharges(booking, now)
+        booking.cancellation = buildCancellation(charges, {
+          reason: notes || 'Cancelled',
+          cancelledBy: actor
+        })
+      }
+      break
+    case 'no_show': {
+      const charges = await calculateNoShowCharges(booking)
+      booking.noShow = {
+        markedAt: now,
+        penaltyAmount: charges.penaltyAmount,
+        refundAmount: charges.refundAmount,
+        policyCode: charges.terms.policy
+      }
+      break
+    }
+  }
+
+  recordStatusChange(booking, from, to, options)
+  return { success: true }
+}
+
+// Run the side effects of a status change once it has been saved
+const runTransitionEffects = async (booking, from, to, io = null) => {
+  await booking.populate('room', 'name type pricePerNight')
+
+  switch (to) {
+    case 'confirmed':
+      await trySendTemplateEmail(booking.guestInfo.email, emailTemplates.bookingConfirmation(booking))
+      break
+    case 'checked_out':
+      // Leaving early frees the remaining nights
+      await releaseRoomNights(booking._id, booking.checkOutTime)
+
+      // The room the guest leaves goes on the cleaning board
+      if (booking.unit) {
+        try {
+          await markUnitDirty(booking.unit, { booking: booking._id, type: 'checkout', io })
+        } catch (error) {
+          console.error(`Housekeeping update failed for booking ${booking.bookingId}:`, error)
+        }
+      }
+
+      // Close the folio with the final invoice and send it to the guest
+      try {
+        const invoice = await issueInvoice(booking)
+        if (!invoice.emailedAt) {
+          await sendInvoice(invoice)
+        }
+      } catch (error) {
+        console.error(`Invoice failed for booking ${booking.bookingId}:`, error)
+      }
+      break
+    case 'cancelled':
+      await releaseRoomNights(booking._id)
+      // Promo code uses go back so the guest can book again with them
+      await releasePromotionRedemptions(booking._id)
+      await trySendTemplateEmail(booking.guestInfo.email, emailTemplates.bookingCancellation(booking))
+      break
+    case 'no_show':
+      // Nights already passed stay on record, the rest go back on sale
+      await releaseRoomNights(booking._id, booking.noShow?.markedAt || new Date())
+      break
+  }
+
+  // Whatever the policy gives back goes into the refund workflow
+  if (['cancelled', 'no_show'].includes(to)) {
+    try {
+      await requestBookingRefund(booking, {
+        requestedBy: booking.statusHistory[booking.statusHistory.length - 1]?.changedBy,
+        io
+      })
+    } catch (error) {
+      console.error(`Refund request failed for booking ${booking.bookingId}:`, error)
+    }
+  }
+
+  // A cancelled room drops out of its group's totals
+  if (booking.group) {
+    await refreshGroupTotals(booking.group)
+  }
+
+  if (io) {
+    io.to('admin-room').emit('booking-updated', {
+      booking: booking,
+      from,
+      to,
+      message: `Booking ${booking.bookingId} status updated to ${to}`,
+      timestamp: new Date()
+    })
+  }
+}
+
+// Apply, save and run the side effects of a status change
+const transitionBooking = async (booking, to, options = {}) => {
+  const from = booking.bookingStatus
+  const result = await applyTransition(booking, to, options)
+
+  if (!result.success) {
+    return result
+  }
+
+  await booking.save()
+  await runTransitionEffects(booking, from, to, options.io)
+
+  return { success: true, booking }
+}
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  BOOKING_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  getHotelDate,
+  recordStatusChange,
+  applyTransition,
+  runTransitionEffects,
+  transitionBooking
+}
\ No newline at end of file
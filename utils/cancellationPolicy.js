@@ -0,0 +1,201 @@
+const Settings = require('../models/Settings')
+const Room = require('../models/Room')
+const RatePlan = require('../models/RatePlan')
+const { roundCurrency } = require('./money')
+
+// Hours before check-in until which a guest may cancel or change for free
+const POLICY_DEADLINE_HOURS = {
+  flexible: 0,
+  '24_hours': 24,
+  '48_hours': 48,
+  '7_days': 168
+}
+
+// Policy used when neither the rate plan nor the room has one, built from
+// the cancellation policy chosen in system settings
+const getDefaultPolicy = (setting) => {
+  if (setting === 'non_refundable') {
+    return {
+      _id: null,
+      code: 'NON_REFUNDABLE',
+      name: 'Non-refundable',
+      isRefundable: false,
+      freeCancellationHours: 0,
+      penaltyType: 'full',
+      penaltyValue: 0,
+      noShowPenaltyType: 'full',
+      noShowPenaltyValue: 0
+    }
+  }
+
+  const hours = POLICY_DEADLINE_HOURS[setting] ?? 24
+
+  return {
+    _id: null,
+    code: setting.toUpperCase(),
+    name: hours > 0 ? `Free cancellation until ${hours} hours before check-in` : 'Free cancellation until check-in',
+    isRefundable: true,
+    freeCancellationHours: hours,
+    penaltyType: 'nights',
+    penaltyValue: 1,
+    noShowPenaltyType: 'nights',
+    noShowPenaltyValue: 1
+  }
+}
+
+// Find the policy that governs a booking: its rate plan's, then its room's,
+// then the default from system settings
+const resolveCancellationPolicy = async (booking) => {
+  if (booking.pricing?.ratePlan) {
+    const ratePlan = await RatePlan.findById(booking.pricing.ratePlan).populate('cancellationPolicy')
+
+    if (ratePlan?.cancellationPolicy?.isActive) {
+      return ratePlan.cancellationPolicy
+    }
+  }
+
+  const room = await Room.findById(booking.room?._id || booking.room).populate('cancellationPolicy')
+
+  if (room?.cancellationPolicy?.isActive) {
+    return room.cancellationPolicy
+  }
+
+  const { bookingSettings } = await Settings.getCurrent()
+  return getDefaultPolicy(bookingSettings.cancellationPolicy)
+}
+
+// Resolve the cancellation terms that apply to a booking.
+// deadline is the last moment the booking may be cancelled or changed for
+// free, or null when it is non-refundable.
+const getCancellationTerms = async (booking) => {
+  const policy = await resolveCancellationPolicy(booking)
+  const hours = policy.freeCancellationHours || 0
+
+  return {
+    policyId: policy._id,
+    policy: policy.code,
+    name: policy.name,
+    description: policy.description,
+    refundable: policy.isRefundable,
+    deadline: policy.isRefundable
+      ? new Date(new Date(booking.checkInDate).getTime() - hours * 60 * 60 * 1000)
+      : null,
+    penaltyType: policy.isRefundable ? policy.penaltyType : 'full',
+    penaltyValue: policy.penaltyValue,
+    noShowPenaltyType: policy.isRefundable ? policy.noShowPenaltyType : 'full',
+    noShowPenaltyValue: policy.noShowPenaltyValue
+  }
+}
+
+// Whether a booking can still be cancelled or changed free of charge
+const isWithinGuestWindow = (terms, now = new Date()) => {
+  return terms.refundable && now <= terms.deadline
+}
+
+// Charge for cancelling outside the free period, never more than the booking total
+const calculatePenalty = (booking, terms) => {
+  const { pricing } = booking
+  let penalty = 0
+
+  switch (terms.penaltyType) {
+    case 'nights': {
+      const nights = Math.min(terms.penaltyValue, booking.numberOfNights)
+      penalty = pricing.nightlyRates?.length
+        ? pricing.nightlyRates.slice(0, nights).reduce((sum, night) => sum + night.rate, 0)
+        : pricing.pricePerNight * nights
+      break
+    }
+    case 'percentage':
+      penalty = pricing.totalAmount * terms.penaltyValue
+      break
+    case 'fixed':
+      penalty = terms.penaltyValue
+      break
+    case 'full':
+      penalty = pricing.totalAmount
+      break
+  }
+
+  return roundCurrency(Math.min(penalty, pricing.totalAmount), pricing.currency)
+}
+
+// Money received for a booking, from its payment ledger. Bookings paid
+// before the ledger existed count as paid in full once payment completed.
+const getAmountPaid = (booking) => {
+  if (booking.ledger?.length > 0) {
+    return roundCurrency(Math.max(0, booking.ledger.reduce((sum, entry) => {
+      if (entry.type === 'charge') return sum + entry.amount
+      if (entry.type === 'refund') return sum - entry.amount
+      return sum
+    }, 0)), booking.pricing.currency)
+  }
+
+  return booking.paymentInfo?.status === 'completed' ? booking.pricing.totalAmount : 0
+}
+
+// Work out what cancelling a booking now would cost and what should be refunded
+const calculateCancellationCharges = async (booking, now = new Date()) => {
+  const terms = await getCancellationTerms(booking)
+  const withinFreePeriod = isWithinGuestWindow(terms, now)
+
+  const penaltyAmount = withinFreePeriod ? 0 : calculatePenalty(booking, terms)
+  const amountPaid = getAmountPaid(booking)
+
+  return {
+    terms,
+    withinFreePeriod,
+    amountPaid,
+    penaltyAmount,
+    refundAmount: roundCurrency(Math.max(0, amountPaid - penaltyAmount), booking.pricing.currency)
+  }
+}
+
+// Work out the no-show penalty for a booking and what remains to be refunded
+const calculateNoShowCharges = async (booking) => {
+  const terms = await getCancellationTerms(booking)
+  const penaltyAmount = calculatePenalty(booking, {
+    penaltyType: terms.noShowPenaltyType,
+    penaltyValue: terms.noShowPenaltyValue
+  })
+  const amountPaid = getAmountPaid(booking)
+
+  return {
+    terms,
+    amountPaid,
+    penaltyAmount,
+    refundAmount: roundCurrency(Math.max(0, amountPaid - penaltyAmount), booking.pricing.currency)
+  }
+}
+
+// Build the cancellation record stored on a booking. A refund amount that
+// differs from the calculated one is recorded as an override, rounded to the
+// booking's currency.
+const buildCancellation = (charges, { reason, cancelledBy, refundAmount, refundMethod, overrideReason, overriddenBy, currency } = {}) => {
+  const isOverride = refundAmount !== undefined && refundAmount !== charges.refundAmount
+
+  return {
+    isCancelled: true,
+    cancelledAt: new Date(),
+    cancellationReason: reason,
+    cancelledBy,
+    refundAmount: isOverride ? roundCurrency(refundAmount, currency) : charges.refundAmount,
+    refundMethod: refundMethod || 'original_payment',
+    penaltyAmount: charges.penaltyAmount,
+    policy: charges.terms.policyId,
+    policyCode: charges.terms.policy,
+    calculatedRefundAmount: charges.refundAmount,
+    override: isOverride ? { reason: overrideReason, overriddenBy } : undefined
+  }
+}
+
+module.exports = {
+  getDefaultPolicy,
+  resolveCancellationPolicy,
+  getCancellationTerms,
+  isWithinGuestWindow,
+  calculatePenalty,
+  getAmountPaid,
+  calculateCancellationCharges,
+  calculateNoShowCharges,
+  buildCancellation
+}
\ No newline at end of file
@@ -0,0 +1,91 @@
+const ExchangeRateTable = require('../models/ExchangeRateTable')
+const { roundCurrency } = require('./money')
+
+// Units of one currency per unit of another in a rate table, crossing through
+// the table's base currency. Null when the table has no rate for either.
+const getExchangeRate = (table, from, to) => {
+  if (from === to) return 1
+  if (!table) return null
+
+  const rateOf = (currency) => currency === table.baseCurrency
+    ? 1
+    : table.rates.find(line => line.currency === currency)?.rate
+
+  const fromRate = rateOf(from)
+  const toRate = rateOf(to)
+
+  if (!fromRate || !toRate) return null
+
+  return Number((toRate / fromRate).toPrecision(10))
+}
+
+// Exchange rate from the settlement currency to the one a guest asked to see.
+// Returns { success, currency, exchangeRate, rateTable } or { success: false, status, message }.
+const resolveDisplayCurrency = async (currency, settlementCurrency) => {
+  const displayCurrency = (currency || settlementCurrency).toUpperCase()
+
+  if (displayCurrency === settlementCurrency) {
+    return { success: true, currency: displayCurrency, exchangeRate: 1, rateTable: null }
+  }
+
+  const table = await ExchangeRateTable.getCurrent()
+  const exchangeRate = getExchangeRate(table, settlementCurrency, displayCurrency)
+
+  if (!exchangeRate) {
+    return {
+      success: false,
+      status: 400,
+      message: `Prices are not available in ${displayCurrency}`
+    }
+  }
+
+  return { success: true, currency: displayCurrency, exchangeRate, rateTable: table._id }
+}
+
+// Convert a settlement amount for display, rounded for the display currency
+const convertAmount = (amount, { currency, exchangeRate }) => {
+  return roundCurrency((amount || 0) * exchangeRate, currency)
+}
+
+// A stay's price in the display currency. The guest is charged the settlement
+// amounts; the display total is the sum of the converted lines so the
+// breakdown a guest sees adds up.
+const buildDisplayPricing = (pricing, rate) => {
+  const subtotal = convertAmount(pricing.subtotal, rate)
+  const discount = convertAmount(pricing.discount, rate)
+  const taxes = convertAmount(pricing.taxes, rate)
+  const fees = convertAmount(pricing.fees, rate)
+
+  return {
+    currency: rate.currency,
+    exchangeRate: rate.exchangeRate,
+    rateTable: rate.rateTable,
+    pricePerNight: convertAmount(pricing.pricePerNight, rate),
+    subtotal,
+    discount,
+    taxes,
+    fees,
+    totalAmount: roundCurrency(subtotal - discount + taxes + fees, rate.currency),
+    convertedAt: new Date()
+  }
+}
+
+// Price a quote in the guest's currency, or the settlement currency if none
+// was asked for. Returns { success, display } or { success: false, status, message }.
+const priceInCurrency = async (pricing, currency) => {
+  const rate = await resolveDisplayCurrency(currency, pricing.currency)
+
+  if (!rate.success) {
+    return rate
+  }
+
+  return { success: true, display: buildDisplayPricing(pricing, rate) }
+}
+
+module.exports = {
+  getExchangeRate,
+  resolveDisplayCurrency,
+  convertAmount,
+  buildDisplayPricing,
+  priceInCurrency
+}
\ No newline at end of file
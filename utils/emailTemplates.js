@@ -56,6 +56,12 @@ const emailTemplates = {
                   <td style="padding: 5px 0; color: #666;">Room Rate (${booking.numberOfNights} nights):</td>
                   <td style="padding: 5px 0; color: #333; text-align: right;">$${booking.pricing.subtotal.toFixed(2)}</td>
                 </tr>
+                ${booking.pricing.discount > 0 ? `
+                <tr>
+                  <td style="padding: 5px 0; color: #666;">Discount (${booking.pricing.discounts.map(line => line.code).join(', ')}):</td>
+                  <td style="padding: 5px 0; color: #333; text-align: right;">-$${booking.pricing.discount.toFixed(2)}</td>
+                </tr>
+                ` : ''}
                 <tr>
                   <td style="padding: 5px 0; color: #666;">Taxes & Fees:</td>
                   <td style="padding: 5px 0; color: #333; text-align: right;">$${(booking.pricing.taxes + booking.pricing.fees).toFixed(2)}</td>
@@ -144,6 +150,148 @@ const emailTemplates = {
     }
   },
 
+  // Secure link for a guest to manage their booking
+  bookingAccessLink: (booking, link) => {
+    return {
+      subject: `Manage Your Booking - ${booking.confirmationNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f9fa;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Manage Your Booking</h1>
+            <p style="color: #e8f4fd; margin: 10px 0 0 0; font-size: 16px;">Confirmation ${booking.confirmationNumber}</p>
+          </div>
+          
+          <div style="padding: 30px; background-color: white;">
+            <p style="color: #333; font-size: 16px;">Dear ${booking.guestInfo.firstName},</p>
+            <p style="color: #333; margin-bottom: 20px;">Use the button below to view, change or cancel your reservation. The link is personal to you and expires in 24 hours.</p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${link}" style="display: inline-block; background-color: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-size: 16px;">Manage Booking</a>
+            </div>
+            
+            <p style="color: #666; font-size: 14px;">If you didn't request this link, you can safely ignore this email.</p>
+          </div>
+          
+          <div style="background-color: #343a40; padding: 20px; text-align: center;">
+            <p style="color: #adb5bd; margin: 0; font-size: 14px;">Thank you for choosing Luxury Hotel</p>
+            <p style="color: #6c757d; margin: 10px 0 0 0; font-size: 12px;">© 2024 Luxury Hotel. All rights reserved.</p>
+          </div>
+        </div>
+      `
+    }
+  },
+
+  // Booking modification email
+  bookingModification: (booking, priceDifference) => {
+    return {
+      subject: `Booking Updated - ${booking.confirmationNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f9fa;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Booking Updated</h1>
+            <p style="color: #e8f4fd; margin: 10px 0 0 0; font-size: 16px;">Your reservation has been changed</p>
+          </div>
+          
+          <div style="padding: 30px; background-color: white;">
+            <p style="color: #333; font-size: 16px;">Dear ${booking.guestInfo.firstName},</p>
+            <p style="color: #333; margin-bottom: 20px;">Your booking with confirmation number <strong>${booking.confirmationNumber}</strong> has been updated. Here are your new details:</p>
+            
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="color: #333; margin: 0 0 15px 0;">Updated Booking Details</h3>
+              <p><strong>Room:</strong> ${booking.room?.name || 'N/A'}</p>
+              <p><strong>Check-in:</strong> ${new Date(booking.checkInDate).toLocaleDateString()}</p>
+              <p><strong>Check-out:</strong> ${new Date(booking.checkOutDate).toLocaleDateString()}</p>
+              <p><strong>Guests:</strong> ${booking.numberOfGuests}</p>
+              <p><strong>New Total:</strong> $${booking.pricing.totalAmount.toFixed(2)}</p>
+            </div>
+            
+            ${priceDifference ? `
+              <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; border-left: 4px solid #ffc107; margin: 20px 0;">
+                <p style="color: #856404; margin: 0;"><strong>Price difference:</strong> ${priceDifference > 0 ? '+' : '-'}$${Math.abs(priceDifference).toFixed(2)}</p>
+              </div>
+            ` : ''}
+            
+            <p style="color: #333; margin: 20px 0;">If you did not make this change, please contact us immediately.</p>
+          </div>
+          
+          <div style="background-color: #343a40; padding: 20px; text-align: center;">
+            <p style="color: #adb5bd; margin: 0; font-size: 14px;">We look forward to hosting you!</p>
+            <p style="color: #6c757d; margin: 10px 0 0 0; font-size: 12px;">© 2024 Luxury Hotel. All rights reserved.</p>
+          </div>
+        </div>
+      `
+    }
+  },
+
+  // Refund paid out to the guest
+  refundProcessed: (booking, refund) => {
+    const methods = {
+      original_payment: 'The refund will be credited to your original payment method.',
+      bank_transfer: 'The refund has been sent to your bank account.',
+      cash: 'The refund has been paid to you in cash.',
+      credit: 'The refund has been kept as credit for your next stay with us.'
+    }
+
+    return {
+      subject: `Refund Processed - ${booking.confirmationNumber || booking.bookingId}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f9fa;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Refund Processed</h1>
+          </div>
+          
+          <div style="padding: 30px; background-color: white;">
+            <p style="color: #333; font-size: 16px;">Dear ${booking.guestInfo.firstName},</p>
+            <p style="color: #333; margin-bottom: 20px;">We have processed a refund for your booking <strong>${booking.confirmationNumber || booking.bookingId}</strong>.</p>
+            
+            <div style="background-color: #d4edda; padding: 20px; border-radius: 8px; border-left: 4px solid #28a745; margin: 20px 0;">
+              <p style="color: #155724; margin: 5px 0;"><strong>Refund Amount:</strong> ${refund.amount.toFixed(2)} ${refund.currency}</p>
+              <p style="color: #155724; margin: 5px 0;">${methods[refund.method]}</p>
+            </div>
+          </div>
+          
+          <div style="background-color: #343a40; padding: 20px; text-align: center;">
+            <p style="color: #6c757d; margin: 0; font-size: 12px;">© 2024 Luxury Hotel. All rights reserved.</p>
+          </div>
+        </div>
+      `
+    }
+  },
+
+  // Final invoice after check-out; the invoice itself is attached as a PDF
+  guestInvoice: (invoice) => {
+    return {
+      subject: `Your Invoice - ${invoice.invoiceNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f9fa;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Thank You for Staying</h1>
+            <p style="color: #e8f4fd; margin: 10px 0 0 0; font-size: 16px;">Your invoice is attached</p>
+          </div>
+          
+          <div style="padding: 30px; background-color: white;">
+            <p style="color: #333; font-size: 16px;">Dear ${invoice.guest.name},</p>
+            <p style="color: #333; margin-bottom: 20px;">Please find attached the invoice for your stay from ${new Date(invoice.stay.checkInDate).toLocaleDateString()} to ${new Date(invoice.stay.checkOutDate).toLocaleDateString()}.</p>
+            
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Invoice Number:</strong> ${invoice.invoiceNumber}</p>
+              <p><strong>Total:</strong> ${invoice.totals.total.toFixed(2)} ${invoice.currency}</p>
+              <p><strong>Paid:</strong> ${invoice.totals.paid.toFixed(2)} ${invoice.currency}</p>
+              <p><strong>Balance Due:</strong> ${invoice.totals.balanceDue.toFixed(2)} ${invoice.currency}</p>
+            </div>
+            
+            <p style="color: #333; margin: 20px 0;">If you have any questions about your invoice, please reply to this email.</p>
+          </div>
+          
+          <div style="background-color: #343a40; padding: 20px; text-align: center;">
+            <p style="color: #adb5bd; margin: 0; font-size: 14px;">We hope to welcome you back soon!</p>
+            <p style="color: #6c757d; margin: 10px 0 0 0; font-size: 12px;">© 2024 Luxury Hotel. All rights reserved.</p>
+          </div>
+        </div>
+      `
+    }
+  },
+
   // Contact form response
   contactResponse: (contact, response) => {
     return {
@@ -234,6 +382,37 @@ const emailTemplates = {
     }
   },
 
+  // Guest account email verification
+  guestEmailVerification: (guest, link) => {
+    return {
+      subject: 'Confirm Your Email - Luxury Hotel',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f9fa;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Confirm Your Email</h1>
+            <p style="color: #e8f4fd; margin: 10px 0 0 0; font-size: 16px;">One last step to set up your account</p>
+          </div>
+          
+          <div style="padding: 30px; background-color: white;">
+            <p style="color: #333; font-size: 16px;">Dear ${guest.firstName},</p>
+            <p style="color: #333; margin-bottom: 20px;">Please confirm this is your email address. Once confirmed, every booking made with it will appear in your account. The link expires in 24 hours.</p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${link}" style="display: inline-block; background-color: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-size: 16px;">Confirm Email</a>
+            </div>
+            
+            <p style="color: #666; font-size: 14px;">If you didn't create an account, you can safely ignore this email.</p>
+          </div>
+          
+          <div style="background-color: #343a40; padding: 20px; text-align: center;">
+            <p style="color: #adb5bd; margin: 0; font-size: 14px;">Thank you for choosing Luxury Hotel</p>
+            <p style="color: #6c757d; margin: 10px 0 0 0; font-size: 12px;">© 2024 Luxury Hotel. All rights reserved.</p>
+          </div>
+        </div>
+      `
+    }
+  },
+
   // Newsletter subscription confirmation
   newsletterWelcome: (email) => {
     return {
@@ -311,6 +490,38 @@ const emailTemplates = {
         </div>
       `
     }
+  },
+
+  // Admin alert for bookings with overdue installments
+  adminOverduePayments: (bookings) => {
+    return {
+      subject: `Overdue Payments - ${bookings.length} booking(s)`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #dc3545; padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">Overdue Payments</h1>
+          </div>
+          
+          <div style="padding: 20px; background-color: white;">
+            ${bookings.map(booking => `
+            <div style="background-color: #f8f9fa; padding: 15px; border-radius: 8px; margin-bottom: 15px;">
+              <h3 style="margin: 0 0 10px 0; color: #333;">${booking.guestName} - ${booking.bookingId}</h3>
+              <p><strong>Room:</strong> ${booking.room || 'Not available'}</p>
+              <p><strong>Check-in:</strong> ${new Date(booking.checkInDate).toDateString()}</p>
+              ${booking.installments.map(installment => `
+              <p><strong>${installment.name}:</strong> $${installment.amount.toFixed(2)} due ${new Date(installment.dueDate).toDateString()}</p>
+              `).join('')}
+              <p><strong>Balance Due:</strong> <span style="color: #dc3545; font-weight: bold;">$${booking.balanceDue.toFixed(2)}</span></p>
+            </div>
+            `).join('')}
+            
+            <div style="text-align: center; margin: 20px 0;">
+              <a href="${process.env.FRONTEND_URL}/admin?section=bookings" style="display: inline-block; background-color: #007bff; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px;">View in Admin Panel</a>
+            </div>
+          </div>
+        </div>
+      `
+    }
   }
 }
 
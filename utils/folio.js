@@ -0,0 +1,122 @@
+const Settings = require('../models/Settings')
+const { roundCurrency } = require('./money')
+
+const FOLIO_CATEGORIES = ['minibar', 'spa', 'room_service', 'restaurant', 'laundry', 'telephone', 'parking', 'other']
+
+// Bookings that can still run up charges; the folio closes with the invoice
+const OPEN_FOLIO_STATUSES = ['confirmed', 'checked_in']
+
+// Net amount, tax and total of a folio line, rounded to the booking's currency
+const priceFolioItem = ({ quantity = 1, unitPrice, taxTreatment = 'exclusive', taxRate = 0 }, currency) => {
+  const gross = roundCurrency(quantity * unitPrice, currency)
+
+  switch (taxTreatment) {
+    case 'inclusive': {
+      const amount = roundCurrency(gross / (1 + taxRate), currency)
+      return { amount, tax: roundCurrency(gross - amount, currency), total: gross }
+    }
+    case 'exempt':
+      return { amount: gross, tax: 0, total: gross }
+    default: {
+      const tax = roundCurrency(gross * taxRate, currency)
+      return { amount: gross, tax, total: roundCurrency(gross + tax, currency) }
+    }
+  }
+}
+
+// Add a charge to a booking's folio without saving. Taxed lines without
+// a rate of their own use the hotel's standard tax rate.
+// Returns { success, item } or { success: false, status, message }.
+const postFolioItem = async (booking, item, { postedBy } = {}) => {
+  if (!OPEN_FOLIO_STATUSES.includes(booking.bookingStatus)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Charges cannot be posted to a ${booking.bookingStatus} booking`
+    }
+  }
+
+  const taxTreatment = item.taxTreatment || 'exclusive'
+  let taxRate = taxTreatment === 'exempt' ? 0 : item.taxRate
+
+  if (taxRate === undefined) {
+    const settings = await Settings.getCurrent()
+    taxRate = settings.paymentSettings.taxRate
+  }
+
+  const line = {
+    category: item.category,
+    description: item.description,
+    quantity: item.quantity || 1,
+    unitPrice: item.unitPrice,
+    taxTreatment,
+    taxRate
+  }
+
+  booking.folio.push({
+    ...line,
+    ...priceFolioItem(line, booking.pricing.currency),
+    postedAt: new Date(),
+    postedBy
+  })
+
+  return { success: true, item: booking.folio[booking.folio.length - 1] }
+}
+
+// Void a folio line without saving; it stays on record but is no longer owed.
+// Returns { success, item } or { success: false, status, message }.
+const voidFolioItem = (booking, itemId, { reason, voidedBy } = {}) => {
+  const item = booking.folio.id(itemId)
+
+  if (!item) {
+    return { success: false, status: 404, message: 'Folio item not found' }
+  }
+
+  if (item.voided?.isVoided) {
+    return { success: false, status: 400, message: 'Folio item is already voided' }
+  }
+
+  if (!OPEN_FOLIO_STATUSES.includes(booking.bookingStatus)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Charges on a ${booking.bookingStatus} booking cannot be voided`
+    }
+  }
+
+  item.voided = {
+    isVoided: true,
+    reason,
+    voidedAt: new Date(),
+    voidedBy
+  }
+
+  return { success: true, item }
+}
+
+// Totals of the folio lines that still stand, overall and per category
+const summarizeFolio = (booking) => {
+  const { currency } = booking.pricing
+  const items = booking.folio.filter(item => !item.voided?.isVoided)
+  const byCategory = {}
+
+  for (const item of items) {
+    byCategory[item.category] = roundCurrency((byCategory[item.category] || 0) + item.total, currency)
+  }
+
+  return {
+    amount: roundCurrency(items.reduce((sum, item) => sum + item.amount, 0), currency),
+    tax: roundCurrency(items.reduce((sum, item) => sum + item.tax, 0), currency),
+    total: roundCurrency(items.reduce((sum, item) => sum + item.total, 0), currency),
+    byCategory
+  }
+}
+
+module.exports = {
+  FOLIO_CATEGORIES,
+  OPEN_FOLIO_STATUSES,
+  priceFolioItem,
+  postFolioItem,
+  voidFolioItem,
+  summarizeFolio
+}
\ No newline at end of file
@@ -0,0 +1,83 @@
+const RoomUnit = require('../models/RoomUnit')
+const HousekeepingTask = require('../models/HousekeepingTask')
+
+const HOUSEKEEPING_STATUSES = ['dirty', 'cleaning', 'clean', 'inspected', 'out_of_order']
+
+// Tasks still waiting for or being worked on by a housekeeper
+const ACTIVE_TASK_STATUSES = ['open', 'in_progress']
+
+// Send a housekeeping change to the admin dashboard and the housekeeping board
+const emitHousekeepingUpdate = (io, payload) => {
+  if (!io) return
+
+  io.to(['admin-room', 'housekeeping-room']).emit('housekeeping-updated', {
+    ...payload,
+    timestamp: new Date()
+  })
+}
+
+// Set a unit's housekeeping status without saving. Out of order units are
+// taken out of service so they are neither sold nor assigned, and go back
+// into service when they leave out_of_order.
+const applyHousekeepingStatus = (unit, status, { updatedBy, notes } = {}) => {
+  const previous = unit.housekeeping?.status
+
+  if (status === 'out_of_order') {
+    unit.status = 'out_of_service'
+  } else if (previous === 'out_of_order') {
+    unit.status = 'available'
+  }
+
+  unit.housekeeping = {
+    status,
+    updatedAt: new Date(),
+    updatedBy,
+    notes
+  }
+
+  return previous
+}
+
+// Mark a unit dirty and queue a cleaning task for it, unless one is already
+// waiting. Out of order units are left alone until they are signed off.
+// Returns { unit, task }, or null when the unit no longer exists.
+const markUnitDirty = async (unitId, { booking, type = 'checkout', updatedBy, notes, io } = {}) => {
+  const unit = await RoomUnit.findById(unitId)
+
+  if (!unit) {
+    return null
+  }
+
+  if (unit.housekeeping?.status === 'out_of_order') {
+    return { unit, task: null }
+  }
+
+  applyHousekeepingStatus(unit, 'dirty', { updatedBy, notes })
+  await unit.save()
+
+  const task = await HousekeepingTask.findOne({ unit: unit._id, status: { $in: ACTIVE_TASK_STATUSES } }) ||
+    await HousekeepingTask.create({
+      unit: unit._id,
+      room: unit.room,
+      booking,
+      type,
+      createdBy: updatedBy,
+      notes
+    })
+
+  emitHousekeepingUpdate(io, {
+    unit,
+    task,
+    message: `Room ${unit.number} needs cleaning`
+  })
+
+  return { unit, task }
+}
+
+module.exports = {
+  HOUSEKEEPING_STATUSES,
+  ACTIVE_TASK_STATUSES,
+  emitHousekeepingUpdate,
+  applyHousekeepingStatus,
+  markUnitDirty
+}
\ No newline at end of file
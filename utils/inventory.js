@@ -0,0 +1,499 @@
+const RoomNight = require('../models/RoomNight')
+const RoomUnit = require('../models/RoomUnit')
+
+const DAY_MS = 1000 * 60 * 60 * 24
+
+// Normalize a date to midnight UTC so every night has a single canonical key
+const toNightDate = (date) => {
+  const d = new Date(date)
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()))
+}
+
+// Format a night as YYYY-MM-DD
+const formatNight = (date) => toNightDate(date).toISOString().slice(0, 10)
+
+// List every night between check-in (inclusive) and check-out (exclusive)
+const getStayNights = (checkInDate, checkOutDate) => {
+  const nights = []
+  const end = toNightDate(checkOutDate)
+
+  for (let night = toNightDate(checkInDate); night < end; night = new Date(night.getTime() + DAY_MS)) {
+    nights.push(night)
+  }
+
+  return nights
+}
+
+// Number of units of a room type that can currently be sold
+const getRoomCapacity = async (roomId) => {
+  return RoomUnit.countDocuments({ room: roomId, status: 'available' })
+}
+
+// Give a room type its first unit so it can be booked. Units are numbered by
+// floor (101, 102, ... 201, 202, ...) skipping numbers already taken; a
+// number taken in the meantime is retried with the next one.
+const createDefaultUnit = async (room) => {
+  const floor = room.location?.floor || 1
+  const usedNumbers = new Set(await RoomUnit.distinct('number', { floor }))
+  let sequence = 1
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    while (usedNumbers.has(`${floor}${String(sequence).padStart(2, '0')}`)) {
+      sequence++
+    }
+    const number = `${floor}${String(sequence).padStart(2, '0')}`
+
+    try {
+      return await RoomUnit.create({
+        room: room._id,
+        number,
+        floor,
+        wing: room.location?.wing,
+        status: 'available'
+      })
+    } catch (error) {
+      if (error.code !== 11000) throw error
+      usedNumbers.add(number)
+    }
+  }
+
+  throw new Error(`No free unit number on floor ${floor}`)
+}
+
+// Sellable units per room type, keyed by room id
+const getRoomCapacities = async () => {
+  const counts = await RoomUnit.aggregate([
+    { $match: { status: 'available' } },
+    { $group: { _id: '$room', units: { $sum: 1 } } }
+  ])
+
+  return new Map(counts.map(count => [count._id.toString(), count.units]))
+}
+
+// Claim a set of nights of one room type for a booking.
+// Each night takes the first free slot below the room's unit count; the unique
+// { room, date, slot } index settles races. Either every night is claimed, or
+// the nights this call did claim are removed again and the full nights returned.
+const claimNights = async (roomId, bookingId, nights) => {
+  if (nights.length === 0) {
+    return { success: true, nights, conflicts: [], claimed: [] }
+  }
+
+  const capacity = await getRoomCapacity(roomId)
+  const existing = await RoomNight.find({ room: roomId, date: { $in: nights } }).select('date slot')
+
+  const takenSlots = new Map()
+  existing.forEach(night => {
+    const key = formatNight(night.date)
+    if (!takenSlots.has(key)) takenSlots.set(key, new Set())
+    takenSlots.get(key).add(night.slot)
+  })
+
+  const claimed = []
+  const conflicts = []
+
+  try {
+    for (const date of nights) {
+      const taken = takenSlots.get(formatNight(date)) || new Set()
+      let placed = false
+
+      // Count every sold slot so a night stays full after a unit goes out of service
+      if (taken.size < capacity) {
+        for (let slot = 0; slot < capacity && !placed; slot++) {
+          if (taken.has(slot)) continue
+
+          try {
+            const night = await RoomNight.create({ room: roomId, date, slot, booking: bookingId })
+            claimed.push(night._id)
+            placed = true
+          } catch (error) {
+            // Another booking took this slot since we looked, try the next one
+            if (error.code !== 11000) throw error
+          }
+        }
+      }
+
+      if (!placed) {
+        conflicts.push(formatNight(date))
+      }
+    }
+  } catch (error) {
+    await RoomNight.deleteMany({ _id: { $in: claimed } })
+    throw error
+  }
+
+  if (conflicts.length > 0) {
+    // Roll back whatever this call managed to claim
+    await RoomNight.deleteMany({ _id: { $in: claimed } })
+    return { success: false, nights, conflicts }
+  }
+
+  return { success: true, nights, conflicts: [], claimed }
+}
+
+// Atomically claim every night of a stay for a booking
+const reserveRoomNights = async (roomId, bookingId, checkInDate, checkOutDate) => {
+  return claimNights(roomId, bookingId, getStayNights(checkInDate, checkOutDate))
+}
+
+// Move a booking's held nights to a new room and/or dates.
+// Nights the booking already holds are kept, new ones are claimed first and
+// only then are the nights it no longer needs released, so a failed move
+// leaves the original reservation untouched.
+const moveRoomNights = async (roomId, bookingId, checkInDate, checkOutDate) => {
+  const held = await RoomNight.find({ booking: bookingId })
+  const heldKeys = new Set(held.map(night => `${night.room}:${formatNight(night.date)}`))
+
+  const wanted = getStayNights(checkInDate, checkOutDate)
+  const wantedKeys = new Set(wanted.map(night => `${roomId}:${formatNight(night)}`))
+
+  const toClaim = wanted.filter(night => !heldKeys.has(`${roomId}:${formatNight(night)}`))
+  const claim = await claimNights(roomId, bookingId, toClaim)
+
+  if (!claim.success) {
+    return { success: false, nights: wanted, conflicts: claim.conflicts }
+  }
+
+  const toRelease = held.filter(night => !wantedKeys.has(`${night.room}:${formatNight(night.date)}`))
+  if (toRelease.length > 0) {
+    await RoomNight.deleteMany({ _id: { $in: toRelease.map(night => night._id) } })
+  }
+
+  return { success: true, nights: wanted, conflicts: [] }
+}
+
+// Hold a unit's nights for a maintenance block. Unlike a booking, a block
+// takes every night it can; nights the unit is already assigned on, or on
+// which every unit of its room type is sold, are returned as conflicts.
+// Returns { blocked, conflicts: [{ date, reason }] }.
+const blockUnitNights = async (unit, blockId, nights) => {
+  const capacity = await getRoomCapacity(unit.room)
+  const existing = await RoomNight.find({ room: unit.room, date: { $in: nights } }).select('date slot unit')
+
+  const takenSlots = new Map()
+  const unitTaken = new Set()
+  existing.forEach(night => {
+    const key = formatNight(night.date)
+    if (!takenSlots.has(key)) takenSlots.set(key, new Set())
+    takenSlots.get(key).add(night.slot)
+    if (night.unit && night.unit.equals(unit._id)) unitTaken.add(key)
+  })
+
+  const blocked = []
+  const conflicts = []
+
+  for (const date of nights) {
+    const key = formatNight(date)
+
+    if (unitTaken.has(key)) {
+      conflicts.push({ date, reason: 'unit_assigned' })
+      continue
+    }
+
+    const taken = takenSlots.get(key) || new Set()
+    let placed = false
+    let unitConflict = false
+
+    for (let slot = 0; slot < capacity && !placed && !unitConflict; slot++) {
+      if (taken.has(slot)) continue
+
+      try {
+        await RoomNight.create({ room: unit.room, date, slot, unit: unit._id, block: blockId })
+        placed = true
+      } catch (error) {
+        if (error.code !== 11000) throw error
+
+        // Either the unit was assigned or the slot sold since we looked
+        unitConflict = Boolean(error.keyPattern?.unit)
+      }
+    }
+
+    if (placed) {
+      blocked.push(date)
+    } else {
+      conflicts.push({ date, reason: unitConflict ? 'unit_assigned' : 'sold_out' })
+    }
+  }
+
+  return { blocked, conflicts }
+}
+
+// Release nights held by a maintenance block, optionally only from a given night onward
+const releaseBlockNights = async (blockId, fromDate = null) => {
+  const filter = { block: blockId }
+
+  if (fromDate) {
+    filter.date = { $gte: toNightDate(fromDate) }
+  }
+
+  const result = await RoomNight.deleteMany(filter)
+  return result.deletedCount
+}
+
+// Release nights held by a booking, optionally only from a given night onward
+const releaseRoomNights = async (bookingId, fromDate = null) => {
+  const filter = { booking: bookingId }
+
+  if (fromDate) {
+    filter.date = { $gte: toNightDate(fromDate) }
+  }
+
+  const result = await RoomNight.deleteMany(filter)
+  return result.deletedCount
+}
+
+// Units sold and still free on each night of a stay, optionally ignoring one booking
+const getNightAvailability = async (roomId, checkInDate, checkOutDate, excludeBookingId = null) => {
+  const filter = {
+    room: roomId,
+    date: { $gte: toNightDate(checkInDate), $lt: toNightDate(checkOutDate) }
+  }
+
+  if (excludeBookingId) {
+    filter.booking = { $ne: excludeBookingId }
+  }
+
+  const [totalUnits, held] = await Promise.all([
+    getRoomCapacity(roomId),
+    RoomNight.find(filter).select('date block')
+  ])
+
+  const reservedByNight = {}
+  const blockedByNight = {}
+  held.forEach(night => {
+    const key = formatNight(night.date)
+    reservedByNight[key] = (reservedByNight[key] || 0) + 1
+    if (night.block) {
+      blockedByNight[key] = (blockedByNight[key] || 0) + 1
+    }
+  })
+
+  // Reserved counts every held night; blocked is the share held for maintenance
+  const nights = getStayNights(checkInDate, checkOutDate).map(date => {
+    const key = formatNight(date)
+    const reserved = reservedByNight[key] || 0
+    return { date: key, reserved, blocked: blockedByNight[key] || 0, available: Math.max(0, totalUnits - reserved) }
+  })
+
+  return {
+    totalUnits,
+    availableUnits: nights.length > 0 ? Math.min(...nights.map(night => night.available)) : totalUnits,
+    nights,
+    soldOutNights: nights.filter(night => night.available === 0).map(night => night.date)
+  }
+}
+
+// Units reserved, blocked for maintenance and still free on each night of a
+// range, for several room types at once. Returns a Map of room id to
+// { totalUnits, nights: [{ date, reserved, blocked, available }] }.
+const getInventoryCalendar = async (roomIds, from, to) => {
+  const [capacities, usage] = await Promise.all([
+    getRoomCapacities(),
+    RoomNight.aggregate([
+      { $match: { room: { $in: roomIds }, date: { $gte: toNightDate(from), $lt: toNightDate(to) } } },
+      {
+        $group: {
+          _id: { room: '$room', date: '$date' },
+          reserved: { $sum: 1 },
+          blocked: { $sum: { $cond: [{ $ifNull: ['$block', false] }, 1, 0] } }
+        }
+      }
+    ])
+  ])
+
+  const usageByNight = new Map(
+    usage.map(night => [`${night._id.room}:${formatNight(night._id.date)}`, night])
+  )
+  const dates = getStayNights(from, to).map(formatNight)
+
+  return new Map(roomIds.map(roomId => {
+    const totalUnits = capacities.get(roomId.toString()) || 0
+
+    const nights = dates.map(date => {
+      const { reserved = 0, blocked = 0 } = usageByNight.get(`${roomId}:${date}`) || {}
+      return { date, reserved, blocked, available: Math.max(0, totalUnits - reserved) }
+    })
+
+    return [roomId.toString(), { totalUnits, nights }]
+  }))
+}
+
+// Room types with at least one unit free on every night between check-in and check-out
+const getAvailableRoomIds = async (checkInDate, checkOutDate) => {
+  const [capacities, usage] = await Promise.all([
+    getRoomCapacities(),
+    RoomNight.aggregate([
+      { $match: { date: { $gte: toNightDate(checkInDate), $lt: toNightDate(checkOutDate) } } },
+      { $group: { _id: { room: '$room', date: '$date' }, reserved: { $sum: 1 } } }
+    ])
+  ])
+
+  const soldOut = new Set(
+    usage
+      .filter(night => night.reserved >= (capacities.get(night._id.room.toString()) || 0))
+      .map(night => night._id.room.toString())
+  )
+
+  return [...capacities.keys()].filter(roomId => !soldOut.has(roomId))
+}
+
+// Assign a unit to every night a booking holds. Without a unit id, the first
+// unit of the booked room type that is free for the whole stay is used.
+// Sets booking.unit but leaves saving the booking to the caller.
+// Returns { success, status, message, unit }.
+const assignUnit = async (booking, unitId = null) => {
+  const nights = await RoomNight.find({ booking: booking._id })
+
+  if (nights.length === 0) {
+    return { success: false, status: 400, message: 'Booking holds no room nights to assign' }
+  }
+
+  const filter = { room: nights[0].room, status: 'available' }
+  if (unitId) {
+    filter._id = unitId
+  }
+
+  const candidates = await RoomUnit.find(filter).sort({ number: 1 })
+
+  if (unitId && candidates.length === 0) {
+    return { success: false, status: 400, message: 'Room unit is not an available unit of the booked room type' }
+  }
+
+  const busyUnits = await RoomNight.distinct('unit', {
+    unit: { $in: candidates.map(unit => unit._id) },
+    date: { $in: nights.map(night => night.date) },
+    booking: { $ne: booking._id }
+  })
+  const busy = new Set(busyUnits.map(id => id.toString()))
+  const previousUnit = booking.unit
+
+  for (const unit of candidates) {
+    if (busy.has(unit._id.toString())) continue
+
+    try {
+      await RoomNight.updateMany({ booking: booking._id }, { $set: { unit: unit._id } })
+      booking.unit = unit._id
+      return { success: true, unit }
+    } catch (error) {
+      if (error.code !== 11000) throw error
+
+      // Taken since we looked: restore the previous assignment and try the next unit
+      await RoomNight.updateMany(
+        { booking: booking._id },
+        previousUnit ? { $set: { unit: previousUnit } } : { $unset: { unit: 1 } }
+      )
+    }
+  }
+
+  return {
+    success: false,
+    status: 409,
+    message: unitId ? 'Room unit is already occupied on some of these nights' : 'No room unit is free for the whole stay'
+  }
+}
+
+// Move the nights a booking holds between two dates (check-out style, end
+// exclusive) onto one unit. Nights already sold under the unit's room type only
+// change unit; nights of another type first claim a slot of the unit's type and
+// give up their old slot once the unit is set, so a failed move leaves the stay
+// as it was. Returns { success, status, message, conflicts, nights } where
+// nights lists the date, room and unit each moved night had before.
+const moveNightsToUnit = async (bookingId, unit, fromDate, toDate) => {
+  const nights = await RoomNight.find({
+    booking: bookingId,
+    date: { $gte: toNightDate(fromDate), $lt: toNightDate(toDate) }
+  }).sort({ date: 1 })
+
+  if (nights.length === 0) {
+    return { success: false, status: 400, message: 'Booking holds no room nights in that date range' }
+  }
+
+  const dates = nights.map(night => night.date)
+
+  // Same overlap check as a new booking: the unit must be free on every night
+  const occupied = await RoomNight.find({
+    unit: unit._id,
+    date: { $in: dates },
+    booking: { $ne: bookingId }
+  }).select('date')
+
+  if (occupied.length > 0) {
+    return {
+      success: false,
+      status: 409,
+      message: 'Room unit is already occupied on some of these nights',
+      conflicts: occupied.map(night => formatNight(night.date))
+    }
+  }
+
+  const sameType = nights.filter(night => night.room.equals(unit.room))
+  const otherType = nights.filter(night => !night.room.equals(unit.room))
+
+  const claim = await claimNights(unit.room, bookingId, otherType.map(night => night.date))
+
+  if (!claim.success) {
+    return {
+      success: false,
+      status: 409,
+      message: 'Room type of this unit is sold out on some of these nights',
+      conflicts: claim.conflicts
+    }
+  }
+
+  try {
+    await RoomNight.updateMany(
+      { _id: { $in: [...sameType.map(night => night._id), ...claim.claimed] } },
+      { $set: { unit: unit._id } }
+    )
+  } catch (error) {
+    // Undo the claim and put back whatever units were changed before the failure
+    await RoomNight.deleteMany({ _id: { $in: claim.claimed } })
+    if (sameType.length > 0) {
+      await RoomNight.bulkWrite(sameType.map(night => ({
+        updateOne: {
+          filter: { _id: night._id },
+          update: night.unit ? { $set: { unit: night.unit } } : { $unset: { unit: 1 } }
+        }
+      })))
+    }
+
+    if (error.code !== 11000) throw error
+
+    return { success: false, status: 409, message: 'Room unit was taken on some of these nights', conflicts: [] }
+  }
+
+  if (otherType.length > 0) {
+    await RoomNight.deleteMany({ _id: { $in: otherType.map(night => night._id) } })
+  }
+
+  return {
+    success: true,
+    nights: nights.map(night => ({ date: night.date, room: night.room, unit: night.unit }))
+  }
+}
+
+// Remove a booking's unit assignment, e.g. after its room or dates change
+const unassignUnit = async (booking) => {
+  await RoomNight.updateMany({ booking: booking._id }, { $unset: { unit: 1 } })
+  booking.unit = undefined
+}
+
+module.exports = {
+  toNightDate,
+  formatNight,
+  getStayNights,
+  getRoomCapacity,
+  createDefaultUnit,
+  claimNights,
+  reserveRoomNights,
+  moveRoomNights,
+  blockUnitNights,
+  releaseBlockNights,
+  releaseRoomNights,
+  getNightAvailability,
+  getInventoryCalendar,
+  getAvailableRoomIds,
+  assignUnit,
+  moveNightsToUnit,
+  unassignUnit
+}
\ No newline at end of file
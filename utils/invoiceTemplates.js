@@ -0,0 +1,241 @@
+// Invoice rendering. Both formats are built from the Invoice document alone,
+// so a reissued copy always matches the original.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const formatMoney = (amount, currency) => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0)
+}
+
+const formatDate = (date) => {
+  return date ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' }) : ''
+}
+
+// Summary rows shown under the line items, skipping empty ones
+const buildTotalRows = (invoice) => {
+  const { totals } = invoice
+
+  return [
+    ['Room charges', totals.subtotal],
+    totals.discount > 0 && ['Discounts', -totals.discount],
+    ['Taxes', totals.taxes],
+    totals.fees > 0 && ['Fees', totals.fees],
+    totals.incidentals > 0 && ['Incidentals', totals.incidentals],
+    totals.adjustments !== 0 && ['Adjustments', totals.adjustments],
+    ['Total', totals.total],
+    ['Paid', -totals.paid],
+    ['Balance due', totals.balanceDue]
+  ].filter(Boolean)
+}
+
+const renderInvoiceHtml = (invoice) => {
+  const money = (amount) => formatMoney(amount, invoice.currency)
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; color: #333; margin: 0; background-color: #f8f9fa;">
+    <div style="max-width: 800px; margin: 0 auto; background-color: white;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px;">
+        <h1 style="color: white; margin: 0; font-size: 28px;">Luxury Hotel</h1>
+        <p style="color: #e8f4fd; margin: 10px 0 0 0; font-size: 16px;">Invoice ${escapeHtml(invoice.invoiceNumber)}</p>
+      </div>
+
+      <div style="padding: 30px;">
+        <table style="width: 100%; border-collapse: collapse; margin-bottom: 25px;">
+          <tr>
+            <td style="vertical-align: top; width: 50%;">
+              <h3 style="margin: 0 0 10px 0; font-size: 16px;">Billed to</h3>
+              <p style="margin: 3px 0;">${escapeHtml(invoice.guest.name)}</p>
+              <p style="margin: 3px 0;">${escapeHtml(invoice.guest.email)}</p>
+              ${invoice.guest.address ? `<p style="margin: 3px 0;">${escapeHtml(invoice.guest.address)}</p>` : ''}
+            </td>
+            <td style="vertical-align: top; width: 50%;">
+              <h3 style="margin: 0 0 10px 0; font-size: 16px;">Stay</h3>
+              <p style="margin: 3px 0;"><strong>Booking:</strong> ${escapeHtml(invoice.bookingId)}</p>
+              <p style="margin: 3px 0;"><strong>Room:</strong> ${escapeHtml(invoice.stay.room || 'N/A')}${invoice.stay.unit ? ` (${escapeHtml(invoice.stay.unit)})` : ''}</p>
+              <p style="margin: 3px 0;"><strong>Dates:</strong> ${formatDate(invoice.stay.checkInDate)} - ${formatDate(invoice.stay.checkOutDate)}</p>
+              <p style="margin: 3px 0;"><strong>Issued:</strong> ${formatDate(invoice.issuedAt)}</p>
+            </td>
+          </tr>
+        </table>
+
+        <table style="width: 100%; border-collapse: collapse; margin-bottom: 25px;">
+          <tr style="background-color: #f8f9fa;">
+            <th style="padding: 8px; text-align: left;">Date</th>
+            <th style="padding: 8px; text-align: left;">Description</th>
+            <th style="padding: 8px; text-align: right;">Qty</th>
+            <th style="padding: 8px; text-align: right;">Amount</th>
+            <th style="padding: 8px; text-align: right;">Tax</th>
+            <th style="padding: 8px; text-align: right;">Total</th>
+          </tr>
+          ${invoice.lines.map(line => `
+          <tr style="border-bottom: 1px solid #eee;">
+            <td style="padding: 8px;">${formatDate(line.date)}</td>
+            <td style="padding: 8px;">${escapeHtml(line.description)}</td>
+            <td style="padding: 8px; text-align: right;">${line.quantity}</td>
+            <td style="padding: 8px; text-align: right;">${money(line.amount)}</td>
+            <td style="padding: 8px; text-align: right;">${line.tax ? money(line.tax) : ''}</td>
+            <td style="padding: 8px; text-align: right;">${money(line.total)}</td>
+          </tr>
+          `).join('')}
+        </table>
+
+        <table style="width: 50%; margin-left: auto; border-collapse: collapse;">
+          ${buildTotalRows(invoice).map(([label, amount]) => `
+          <tr>
+            <td style="padding: 5px 0; color: #666;">${label}</td>
+            <td style="padding: 5px 0; text-align: right;${label === 'Balance due' ? ' font-weight: bold;' : ''}">${money(amount)}</td>
+          </tr>
+          `).join('')}
+        </table>
+
+        ${invoice.payments.length > 0 ? `
+        <h3 style="margin: 25px 0 10px 0; font-size: 16px;">Payments</h3>
+        <table style="width: 100%; border-collapse: collapse;">
+          ${invoice.payments.map(payment => `
+          <tr style="border-bottom: 1px solid #eee;">
+            <td style="padding: 5px 0;">${formatDate(payment.postedAt)}</td>
+            <td style="padding: 5px 0;">${escapeHtml(payment.description || payment.type)}${payment.method ? ` (${escapeHtml(payment.method.replace('_', ' '))})` : ''}</td>
+            <td style="padding: 5px 0; text-align: right;">${money(payment.type === 'refund' ? -payment.amount : payment.amount)}</td>
+          </tr>
+          `).join('')}
+        </table>
+        ` : ''}
+      </div>
+
+      <div style="background-color: #333; padding: 20px; text-align: center;">
+        <p style="color: #ccc; margin: 0; font-size: 12px;">Thank you for staying with Luxury Hotel</p>
+      </div>
+    </div>
+  </body>
+</html>`
+}
+
+// Minimal PDF writer: A4 pages of text in the standard Helvetica and Courier
+// fonts, which every viewer has built in, so no font files are embedded.
+const PAGE_WIDTH = 595
+const PAGE_HEIGHT = 842
+const MARGIN = 50
+const LINE_HEIGHT = 14
+
+// Text as a PDF string literal in WinAnsi; characters outside it become '?'
+const pdfString = (text) => {
+  const latin1 = String(text ?? '')
+    .replace(/\u20ac/g, '\x80')
+    .replace(/[^\x20-\xff]/g, '?')
+  return '(' + latin1.replace(/[\\()]/g, match => '\\' + match) + ')'
+}
+
+// Fixed-width columns for the Courier table rows
+const column = (text, width, alignRight = false) => {
+  const value = String(text ?? '')
+  const clipped = value.length > width ? value.slice(0, width - 1) + '.' : value
+  return alignRight ? clipped.padStart(width) : clipped.padEnd(width)
+}
+
+const renderInvoicePdf = (invoice) => {
+  const money = (amount) => formatMoney(amount, invoice.currency)
+  const pages = [[]]
+  let y = PAGE_HEIGHT - MARGIN
+
+  const write = (text, { font = 'F1', size = 10, x = MARGIN, gap = LINE_HEIGHT } = {}) => {
+    if (y < MARGIN + gap) {
+      pages.push([])
+      y = PAGE_HEIGHT - MARGIN
+    }
+
+    pages[pages.length - 1].push(`BT /${font} ${size} Tf ${x} ${y} Td ${pdfString(text)} Tj ET`)
+    y -= gap
+  }
+
+  const row = (date, description, quantity, amount, total) => {
+    write(
+      column(date, 13) + column(description, 36) + column(quantity, 4, true) + column(amount, 14, true) + column(total, 14, true),
+      { font: 'F3', size: 8, gap: 12 }
+    )
+  }
+
+  write('Luxury Hotel', { font: 'F2', size: 20, gap: 26 })
+  write(`Invoice ${invoice.invoiceNumber}`, { font: 'F2', size: 12, gap: 18 })
+  write(`Issued ${formatDate(invoice.issuedAt)}`, { gap: 24 })
+
+  write('Billed to', { font: 'F2', size: 11 })
+  write(invoice.guest.name)
+  write(invoice.guest.email)
+  if (invoice.guest.address) write(invoice.guest.address)
+  y -= 10
+
+  write('Stay', { font: 'F2', size: 11 })
+  write(`Booking ${invoice.bookingId}`)
+  write(`Room ${invoice.stay.room || 'N/A'}${invoice.stay.unit ? ` (${invoice.stay.unit})` : ''}`)
+  write(`${formatDate(invoice.stay.checkInDate)} - ${formatDate(invoice.stay.checkOutDate)}, ${invoice.stay.numberOfNights} night(s)`, { gap: 24 })
+
+  row('Date', 'Description', 'Qty', 'Amount', 'Total')
+  invoice.lines.forEach(line => {
+    row(formatDate(line.date), line.description, line.quantity, money(line.amount), money(line.total))
+  })
+  y -= 10
+
+  buildTotalRows(invoice).forEach(([label, amount]) => {
+    write(column(label, 53) + column(money(amount), 28, true), { font: 'F3', size: 8, gap: 12 })
+  })
+
+  if (invoice.payments.length > 0) {
+    y -= 10
+    write('Payments', { font: 'F2', size: 11 })
+    invoice.payments.forEach(payment => {
+      row(
+        formatDate(payment.postedAt),
+        payment.description || payment.type,
+        '',
+        '',
+        money(payment.type === 'refund' ? -payment.amount : payment.amount)
+      )
+    })
+  }
+
+  // Objects 1-5 are fixed; each page then takes a page and a content object
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((page, index) => `${6 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'
+  ]
+
+  pages.forEach((commands, index) => {
+    const content = commands.join('\n')
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${7 + index * 2} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    )
+  })
+
+  let pdf = '%PDF-1.4\n'
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1')
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+
+  const xref = Buffer.byteLength(pdf, 'latin1')
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+
+  return Buffer.from(pdf, 'latin1')
+}
+
+module.exports = {
+  renderInvoiceHtml,
+  renderInvoicePdf
+}
\ No newline at end of file
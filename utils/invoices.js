@@ -0,0 +1,210 @@
+const Booking = require('../models/Booking')
+const Invoice = require('../models/Invoice')
+const { roundCurrency } = require('./money')
+const { summarizeFolio } = require('./folio')
+const { renderInvoiceHtml, renderInvoicePdf } = require('./invoiceTemplates')
+const emailTemplates = require('./emailTemplates')
+const { trySendTemplateEmail } = require('./mailer')
+
+const formatAddress = (address = {}) => {
+  return [address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ')
+}
+
+// Invoice lines for the stay: every night, discounts, taxes and fees, then
+// the incidental charges that were not voided
+const buildInvoiceLines = (booking) => {
+  const { pricing } = booking
+  const lines = []
+
+  pricing.nightlyRates.forEach(night => {
+    lines.push({
+      category: 'room',
+      description: `${booking.room?.name || 'Room'} - night`,
+      date: night.date,
+      unitPrice: night.rate,
+      amount: night.rate,
+      total: night.rate
+    })
+  })
+
+  // Bookings priced before nightly rates were recorded
+  if (pricing.nightlyRates.length === 0) {
+    lines.push({
+      category: 'room',
+      description: `${booking.room?.name || 'Room'} - ${booking.numberOfNights} night(s)`,
+      date: booking.checkInDate,
+      quantity: booking.numberOfNights,
+      unitPrice: pricing.pricePerNight,
+      amount: pricing.subtotal,
+      total: pricing.subtotal
+    })
+  }
+
+  pricing.discounts.forEach(discount => {
+    lines.push({
+      category: 'discount',
+      description: `Discount ${discount.code}`,
+      amount: -discount.amount,
+      total: -discount.amount
+    })
+  })
+
+  if (pricing.taxLines.length > 0) {
+    pricing.taxLines.forEach(line => {
+      lines.push({
+        category: line.category,
+        description: line.name,
+        amount: line.amount,
+        total: line.amount
+      })
+    })
+  } else {
+    if (pricing.taxes > 0) {
+      lines.push({ category: 'tax', description: 'Taxes', amount: pricing.taxes, total: pricing.taxes })
+    }
+    if (pricing.fees > 0) {
+      lines.push({ category: 'fee', description: 'Service fee', amount: pricing.fees, total: pricing.fees })
+    }
+  }
+
+  booking.folio
+    .filter(item => !item.voided?.isVoided)
+    .forEach(item => {
+      lines.push({
+        category: item.category,
+        description: item.description,
+        date: item.postedAt,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        amount: item.amount,
+        tax: item.tax,
+        total: item.total
+      })
+    })
+
+  booking.ledger
+    .filter(entry => entry.type === 'adjustment')
+    .forEach(entry => {
+      lines.push({
+        category: 'adjustment',
+        description: entry.description || 'Adjustment',
+        date: entry.postedAt,
+        amount: entry.amount,
+        total: entry.amount
+      })
+    })
+
+  return lines
+}
+
+// Invoice document fields copied from a booking. The room and unit should
+// be populated.
+const buildInvoiceData = (booking) => {
+  booking.refreshPayments()
+
+  const folio = summarizeFolio(booking)
+  const adjustments = booking.ledger
+    .filter(entry => entry.type === 'adjustment')
+    .reduce((sum, entry) => sum + entry.amount, 0)
+
+  return {
+    booking: booking._id,
+    bookingId: booking.bookingId,
+    confirmationNumber: booking.confirmationNumber,
+    currency: booking.pricing.currency,
+    guest: {
+      name: `${booking.guestInfo.firstName} ${booking.guestInfo.lastName}`,
+      email: booking.guestInfo.email,
+      phone: booking.guestInfo.phone,
+      address: formatAddress(booking.guestInfo.address)
+    },
+    stay: {
+      room: booking.room?.name,
+      unit: booking.unit?.number,
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+      numberOfNights: booking.numberOfNights,
+      numberOfGuests: booking.numberOfGuests
+    },
+    lines: buildInvoiceLines(booking),
+    totals: {
+      subtotal: booking.pricing.subtotal,
+      discount: booking.pricing.discount || 0,
+      taxes: roundCurrency(booking.pricing.taxes + folio.tax, booking.pricing.currency),
+      fees: booking.pricing.fees,
+      incidentals: folio.amount,
+      adjustments: roundCurrency(adjustments, booking.pricing.currency),
+      total: booking.paymentSummary.amountDue,
+      paid: booking.paymentSummary.amountPaid,
+      balanceDue: booking.paymentSummary.balanceDue
+    },
+    payments: booking.ledger
+      .filter(entry => entry.type !== 'adjustment')
+      .map(entry => ({
+        type: entry.type,
+        amount: entry.amount,
+        method: entry.method,
+        description: entry.description,
+        postedAt: entry.postedAt
+      }))
+  }
+}
+
+// Issue the final invoice for a booking. A booking only ever has one, so
+// calling this again returns the invoice already issued.
+const issueInvoice = async (booking, { issuedBy } = {}) => {
+  const existing = await Invoice.findOne({ booking: booking._id })
+
+  if (existing) {
+    return existing
+  }
+
+  await booking.populate([
+    { path: 'room', select: 'name type' },
+    { path: 'unit', select: 'number' }
+  ])
+
+  let invoice
+
+  try {
+    invoice = await Invoice.create({ ...buildInvoiceData(booking), issuedBy })
+  } catch (error) {
+    // Issued concurrently by another request
+    if (error.code === 11000) {
+      return Invoice.findOne({ booking: booking._id })
+    }
+    throw error
+  }
+
+  booking.invoice = invoice._id
+  await Booking.updateOne({ _id: booking._id }, { invoice: invoice._id })
+
+  return invoice
+}
+
+// Email an invoice with its PDF attached, by default to the guest
+const sendInvoice = async (invoice, to = invoice.guest.email) => {
+  const sent = await trySendTemplateEmail(to, emailTemplates.guestInvoice(invoice), [{
+    filename: `${invoice.invoiceNumber}.pdf`,
+    content: renderInvoicePdf(invoice),
+    contentType: 'application/pdf'
+  }])
+
+  if (sent) {
+    invoice.emailedAt = new Date()
+    invoice.emailedTo = to
+    await invoice.save()
+  }
+
+  return sent
+}
+
+module.exports = {
+  buildInvoiceData,
+  issueInvoice,
+  sendInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+}
\ No newline at end of file
@@ -0,0 +1,39 @@
+const nodemailer = require('nodemailer')
+
+// Configure nodemailer transporter
+const transporter = nodemailer.createTransport({
+  host: process.env.EMAIL_HOST,
+  port: process.env.EMAIL_PORT,
+  secure: process.env.EMAIL_SECURE === 'true',
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }
+})
+
+// Send an email built by one of the templates in utils/emailTemplates.js
+const sendTemplateEmail = async (to, { subject, html }, attachments = []) => {
+  await transporter.sendMail({
+    from: process.env.EMAIL_FROM,
+    to,
+    subject,
+    html,
+    attachments
+  })
+}
+
+// Send an email without failing the request that triggered it
+const trySendTemplateEmail = async (to, template, attachments = []) => {
+  try {
+    await sendTemplateEmail(to, template, attachments)
+    return true
+  } catch (error) {
+    console.error(`Failed to send "${template.subject}" email:`, error)
+    return false
+  }
+}
+
+module.exports = {
+  sendTemplateEmail,
+  trySendTemplateEmail
+}
\ No newline at end of file
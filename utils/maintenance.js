@@ -0,0 +1,82 @@
+const Settings = require('../models/Settings')
+
+const DEFAULT_RETRY_AFTER_SECONDS = 10 * 60 // 10 minutes
+const DEFAULT_WATCH_INTERVAL_MS = 30 * 1000 // 30 seconds
+
+let lastActive = null
+
+// Work out whether maintenance mode is on, either switched on by an admin
+// or because a scheduled window covers the given moment
+const getMaintenanceStatus = (settings, now = new Date()) => {
+  const window = settings.maintenanceWindows.find(w => w.startsAt <= now && now < w.endsAt)
+
+  if (settings.maintenanceMode) {
+    return {
+      active: true,
+      source: 'manual',
+      message: settings.maintenanceMessage,
+      endsAt: null,
+      retryAfter: DEFAULT_RETRY_AFTER_SECONDS
+    }
+  }
+
+  if (window) {
+    return {
+      active: true,
+      source: 'scheduled',
+      message: window.reason || settings.maintenanceMessage,
+      endsAt: window.endsAt,
+      retryAfter: Math.max(1, Math.ceil((window.endsAt - now) / 1000))
+    }
+  }
+
+  const nextWindow = settings.maintenanceWindows
+    .filter(w => w.startsAt > now)
+    .sort((a, b) => a.startsAt - b.startsAt)[0]
+
+  return {
+    active: false,
+    source: null,
+    message: null,
+    endsAt: null,
+    nextWindow: nextWindow ? { startsAt: nextWindow.startsAt, endsAt: nextWindow.endsAt } : null
+  }
+}
+
+// Compare the current status with the last one seen and tell admins if it flipped
+const checkMaintenanceStatus = async (io = null) => {
+  const settings = await Settings.getCurrent()
+  const status = getMaintenanceStatus(settings)
+
+  if (lastActive !== null && lastActive !== status.active && io) {
+    io.to('admin-room').emit('maintenance-mode-changed', {
+      maintenance: status,
+      message: status.active ? 'Maintenance mode enabled' : 'Maintenance mode disabled',
+      timestamp: new Date()
+    })
+  }
+
+  lastActive = status.active
+  return status
+}
+
+// Periodically check for scheduled windows opening or closing
+const startMaintenanceWatcher = (io = null, intervalMs = DEFAULT_WATCH_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    try {
+      await checkMaintenanceStatus(io)
+    } catch (error) {
+      console.error('Maintenance watcher error:', error)
+    }
+  }, intervalMs)
+
+  // Don't keep the process alive just for this job
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  getMaintenanceStatus,
+  checkMaintenanceStatus,
+  startMaintenanceWatcher
+}
\ No newline at end of file
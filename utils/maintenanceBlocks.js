@@ -0,0 +1,64 @@
+const MaintenanceBlock = require('../models/MaintenanceBlock')
+const RoomNight = require('../models/RoomNight')
+const { getStayNights, blockUnitNights, releaseBlockNights, toNightDate } = require('./inventory')
+
+// Another scheduled block on the same unit sharing at least one night
+const findOverlappingBlock = async (unitId, startDate, endDate, excludeBlockId = null) => {
+  const filter = {
+    unit: unitId,
+    status: 'scheduled',
+    startDate: { $lt: toNightDate(endDate) },
+    endDate: { $gt: toNightDate(startDate) }
+  }
+
+  if (excludeBlockId) {
+    filter._id = { $ne: excludeBlockId }
+  }
+
+  return MaintenanceBlock.findOne(filter)
+}
+
+// Hold a block's nights in the inventory and record the bookings in its way.
+// Nights the block already holds are released first, so this also re-applies
+// a block whose dates changed. Sets block.conflicts and block.hasConflicts
+// but leaves saving the block to the caller.
+const applyMaintenanceBlock = async (block, unit) => {
+  await releaseBlockNights(block._id)
+
+  const { conflicts } = await blockUnitNights(unit, block._id, getStayNights(block.startDate, block.endDate))
+
+  block.conflicts = await Promise.all(conflicts.map(async (conflict) => {
+    const filter = conflict.reason === 'unit_assigned'
+      ? { unit: unit._id, date: conflict.date, booking: { $exists: true } }
+      : { room: unit.room, date: conflict.date, booking: { $exists: true } }
+
+    return {
+      date: conflict.date,
+      reason: conflict.reason,
+      bookings: await RoomNight.distinct('booking', filter)
+    }
+  }))
+  block.hasConflicts = block.conflicts.length > 0
+
+  return block.conflicts
+}
+
+// Let the dashboard know a block was saved, flagging any bookings it overlaps
+const emitMaintenanceBlockUpdate = (io, block, message) => {
+  if (!io) return
+
+  io.to('admin-room').emit('maintenance-block-updated', {
+    block,
+    hasConflicts: block.hasConflicts,
+    message: block.hasConflicts
+      ? `${message}; it overlaps existing bookings on ${block.conflicts.length} night(s)`
+      : message,
+    timestamp: new Date()
+  })
+}
+
+module.exports = {
+  findOverlappingBlock,
+  applyMaintenanceBlock,
+  emitMaintenanceBlockUpdate
+}
\ No newline at end of file
@@ -0,0 +1,20 @@
+// Digits after the decimal point a currency is priced in, from ISO 4217:
+// none for JPY or KRW, three for BHD, two for most others
+const getCurrencyDecimals = (currency) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits
+  } catch (error) {
+    return 2
+  }
+}
+
+// Round an amount to the smallest unit of its currency
+const roundCurrency = (amount, currency) => {
+  const factor = 10 ** getCurrencyDecimals(currency)
+  return Math.round(amount * factor) / factor
+}
+
+module.exports = {
+  getCurrencyDecimals,
+  roundCurrency
+}
\ No newline at end of file
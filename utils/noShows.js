@@ -0,0 +1,118 @@
+const Booking = require('../models/Booking')
+const Settings = require('../models/Settings')
+const { toNightDate } = require('./inventory')
+const { roundCurrency } = require('./money')
+const { transitionBooking } = require('./bookingStatus')
+
+const DAY_MS = 1000 * 60 * 60 * 24
+const HOUR_MS = 1000 * 60 * 60
+const DEFAULT_CUTOFF_HOUR = 6
+const DEFAULT_SWEEP_INTERVAL_MS = 15 * 60 * 1000 // 15 minutes
+
+// Current wall-clock time in the hotel's timezone, expressed as a UTC
+// timestamp so it lines up with night dates stored as UTC midnight
+const getHotelWallClock = (timezone, now = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now)
+
+  const get = (type) => parseInt(parts.find(part => part.type === type).value, 10)
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'))
+}
+
+// Latest arrival night whose no-show cutoff has passed. A guest due on
+// day D becomes a no-show at the cutoff hour on day D + 1, hotel time.
+const getLastNoShowNight = (settings, now = new Date()) => {
+  const cutoffHour = settings.bookingSettings?.noShowCutoffHour ?? DEFAULT_CUTOFF_HOUR
+  const wallClock = getHotelWallClock(settings.timezone || 'UTC', now)
+
+  return toNightDate(new Date(wallClock - DAY_MS - cutoffHour * HOUR_MS))
+}
+
+// Mark confirmed bookings whose guest never checked in as no-shows.
+// The status transition applies the no-show penalty and releases the nights.
+const processNoShows = async (io = null) => {
+  const settings = await Settings.getCurrent()
+  const lastNight = getLastNoShowNight(settings)
+
+  const candidates = await Booking.find({
+    bookingStatus: 'confirmed',
+    checkInTime: null,
+    checkInDate: { $lt: new Date(lastNight.getTime() + DAY_MS) }
+  }).select('_id')
+
+  const processed = []
+
+  for (const { _id } of candidates) {
+    try {
+      // Re-read so a guest checked in since the query is left alone
+      const booking = await Booking.findOne({ _id, bookingStatus: 'confirmed', checkInTime: null })
+
+      if (!booking) continue
+
+      const result = await transitionBooking(booking, 'no_show', {
+        actor: 'system',
+        notes: 'Guest did not arrive by the no-show cutoff',
+        io
+      })
+
+      if (result.success) {
+        processed.push(booking)
+      }
+    } catch (error) {
+      console.error(`No-show processing failed for booking ${_id}:`, error)
+    }
+  }
+
+  if (processed.length > 0 && io) {
+    const totalPenalty = roundCurrency(processed.reduce((sum, booking) => sum + (booking.noShow?.penaltyAmount || 0), 0), settings.currency)
+
+    io.to('admin-room').emit('no-shows-processed', {
+      count: processed.length,
+      totalPenalty,
+      bookings: processed.map(booking => ({
+        id: booking._id,
+        bookingId: booking.bookingId,
+        confirmationNumber: booking.confirmationNumber,
+        guestName: booking.guestFullName,
+        room: booking.room?.name,
+        checkInDate: booking.checkInDate,
+        penaltyAmount: booking.noShow?.penaltyAmount || 0
+      })),
+      message: `${processed.length} booking(s) marked as no-show`,
+      timestamp: new Date()
+    })
+  }
+
+  return processed
+}
+
+// Periodically look for no-shows inside the server process
+const startNoShowJob = (io = null, intervalMs = DEFAULT_SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    try {
+      const processed = await processNoShows(io)
+      if (processed.length > 0) {
+        console.log(`🚫 Marked ${processed.length} booking(s) as no-show`)
+      }
+    } catch (error) {
+      console.error('No-show job error:', error)
+    }
+  }, intervalMs)
+
+  // Don't keep the process alive just for this job
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  getLastNoShowNight,
+  processNoShows,
+  startNoShowJob
+}
\ No newline at end of file
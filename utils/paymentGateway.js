@@ -0,0 +1,42 @@
+const fake = require('./paymentProviders/fake')
+const stripe = require('./paymentProviders/stripe')
+
+// Every provider implements the same interface:
+//   name
+//   createPayment({ amount, currency, paymentToken, bookingId, description, idempotencyKey })
+//     -> { transactionId, status, cardLastFour, cardBrand, clientSecret, failureMessage }
+//        status is completed, processing, requires_action or failed
+//   refundPayment({ transactionId, amount, currency, reason, bookingId, idempotencyKey })
+//     -> { refundId, status, failureMessage }
+//        status is processed or failed
+//   verifyWebhook(rawBody, headers) -> parsed event, or null if the signature is invalid
+//   parseWebhookEvent(event) -> { eventId, type, transactionId, bookingId, status }
+const PROVIDERS = {
+  fake,
+  stripe
+}
+
+// The provider named by PAYMENT_PROVIDER, or null while card payments are
+// taken offline and recorded by staff
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    return null
+  }
+
+  const provider = PROVIDERS[name]
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`)
+  }
+
+  // The fake provider approves any test token, so it must never take real bookings
+  if (provider === fake && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider cannot be used in production')
+  }
+
+  return provider
+}
+
+module.exports = {
+  getPaymentProvider
+}
\ No newline at end of file
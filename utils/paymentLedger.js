@@ -0,0 +1,268 @@
+const Booking = require('../models/Booking')
+const RatePlan = require('../models/RatePlan')
+const Settings = require('../models/Settings')
+const { toNightDate } = require('./inventory')
+const { roundCurrency } = require('./money')
+const emailTemplates = require('./emailTemplates')
+const { trySendTemplateEmail } = require('./mailer')
+
+const DAY_MS = 1000 * 60 * 60 * 24
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 60 * 1000 // hourly
+
+// Used for rate plans without a payment schedule: everything up front
+const DEFAULT_PAYMENT_SCHEDULE = [
+  { name: 'Full payment', dueAt: 'booking', amountType: 'remaining' }
+]
+
+// When an installment falls due. Bookings made after a before-arrival
+// deadline owe that installment straight away.
+const getDueDate = (rule, checkInDate, now) => {
+  const arrival = toNightDate(checkInDate)
+
+  switch (rule.dueAt) {
+    case 'before_arrival': {
+      const dueDate = new Date(arrival.getTime() - (rule.daysBeforeArrival ?? 7) * DAY_MS)
+      return dueDate > now ? dueDate : now
+    }
+    case 'check_in':
+      return arrival
+    default:
+      return now
+  }
+}
+
+// Installments for a booking total from a rate plan's payment rules, in due
+// order. Whatever the rules leave of the total is collected on arrival.
+// Installments are rounded to the currency the guest is charged in.
+const buildPaymentSchedule = (rules, { totalAmount, currency, nightlyRates = [], checkInDate, now = new Date() }) => {
+  const schedule = []
+  let remaining = roundCurrency(totalAmount, currency)
+
+  for (const rule of rules.length > 0 ? rules : DEFAULT_PAYMENT_SCHEDULE) {
+    let amount
+
+    if (rule.incidentals) {
+      amount = rule.value
+    } else {
+      switch (rule.amountType) {
+        case 'percentage':
+          amount = totalAmount * rule.value
+          break
+        case 'nights':
+          amount = nightlyRates.slice(0, rule.value).reduce((sum, night) => sum + night.rate, 0)
+          break
+        case 'fixed':
+          amount = rule.value
+          break
+        default:
+          amount = remaining
+      }
+
+      amount = roundCurrency(Math.min(amount, remaining), currency)
+      remaining = roundCurrency(remaining - amount, currency)
+    }
+
+    if (!(amount > 0)) continue
+
+    schedule.push({
+      name: rule.name,
+      dueAt: rule.dueAt,
+      dueDate: getDueDate(rule, checkInDate, now),
+      amount: roundCurrency(amount, currency),
+      incidentals: Boolean(rule.incidentals)
+    })
+  }
+
+  if (remaining > 0) {
+    schedule.push({
+      name: 'Balance',
+      dueAt: 'check_in',
+      dueDate: toNightDate(checkInDate),
+      amount: remaining,
+      incidentals: false
+    })
+  }
+
+  return schedule.sort((a, b) => a.dueDate - b.dueDate)
+}
+
+// Lay out a booking's installments from its rate plan. Run again whenever
+// the booking is repriced; money already received is re-allocated on save.
+const schedulePayments = async (booking, now = new Date()) => {
+  const ratePlan = booking.pricing?.ratePlan
+    ? await RatePlan.findById(booking.pricing.ratePlan).select('paymentSchedule')
+    : null
+
+  booking.paymentSchedule = buildPaymentSchedule(ratePlan?.paymentSchedule || [], {
+    totalAmount: booking.pricing.totalAmount,
+    currency: booking.pricing.currency,
+    nightlyRates: booking.pricing.nightlyRates,
+    checkInDate: booking.checkInDate,
+    now
+  })
+  booking.refreshPayments(now)
+
+  return booking.paymentSchedule
+}
+
+// Amount of the schedule that has fallen due and not been paid yet. Only
+// incidental deposits may take the guest into credit.
+const getAmountDueNow = (booking, now = new Date()) => {
+  booking.refreshPayments(now)
+
+  const sumOf = (installments) => installments.reduce((sum, installment) => sum + installment.amount, 0)
+  const dueByNow = sumOf(booking.paymentSchedule.filter(installment => installment.dueDate <= now))
+  const incidentals = sumOf(booking.paymentSchedule.filter(installment => installment.incidentals))
+
+  return roundCurrency(Math.max(0, Math.min(
+    booking.paymentSummary.balanceDue + incidentals,
+    dueByNow - booking.paymentSummary.amountPaid
+  )), booking.pricing.currency)
+}
+
+// Add a transaction to a booking's ledger and refresh its balance.
+// The caller saves the booking.
+const postLedgerEntry = (booking, entry) => {
+  booking.ledger.push({
+    ...entry,
+    amount: roundCurrency(entry.amount, booking.pricing.currency),
+    postedAt: new Date()
+  })
+  booking.refreshPayments()
+
+  return booking.ledger[booking.ledger.length - 1]
+}
+
+// Bookings paid before the ledger existed have no entry for the money taken.
+// Post it as an opening charge before the first entry that counts against
+// it, such as a refund, so what was paid is not read from the ledger as 0.
+// The caller saves the booking.
+const postOpeningCharge = (booking) => {
+  if (booking.ledger.length > 0 || booking.paymentInfo?.status !== 'completed') {
+    return null
+  }
+
+  return postLedgerEntry(booking, {
+    type: 'charge',
+    amount: booking.pricing.totalAmount,
+    method: booking.paymentInfo.method,
+    provider: booking.paymentInfo.provider,
+    transactionId: booking.paymentInfo.transactionId,
+    description: 'Payment received before the ledger was kept',
+    actor: 'system'
+  })
+}
+
+// Net amount charged under a provider transaction, less what was refunded
+const getNetCharged = (booking, transactionId) => {
+  return roundCurrency(booking.ledger
+    .filter(entry => !transactionId || entry.transactionId === transactionId)
+    .reduce((sum, entry) => {
+      if (entry.type === 'charge') return sum + entry.amount
+      if (entry.type === 'refund') return sum - entry.amount
+      return sum
+    }, 0), booking.pricing.currency)
+}
+
+// Flag installments that have gone overdue and alert admins once per installment
+const processOverdueBalances = async (io = null, now = new Date()) => {
+  const candidates = await Booking.find({
+    bookingStatus: { $in: ['pending', 'confirmed', 'checked_in'] },
+    paymentSchedule: {
+      $elemMatch: {
+        status: { $ne: 'paid' },
+        overdueAlertedAt: null,
+        dueDate: { $lte: now }
+      }
+    }
+  }).populate('room', 'name type')
+
+  const alerted = []
+
+  for (const booking of candidates) {
+    try {
+      booking.refreshPayments(now)
+
+      const overdue = booking.paymentSchedule.filter(installment =>
+        installment.status === 'overdue' && !installment.overdueAlertedAt
+      )
+
+      if (overdue.length === 0) continue
+
+      overdue.forEach(installment => {
+        installment.overdueAlertedAt = now
+      })
+      await booking.save()
+
+      alerted.push({ booking, installments: overdue })
+    } catch (error) {
+      console.error(`Overdue balance check failed for booking ${booking.bookingId}:`, error)
+    }
+  }
+
+  if (alerted.length === 0) {
+    return alerted
+  }
+
+  const summary = alerted.map(({ booking, installments }) => ({
+    id: booking._id,
+    bookingId: booking.bookingId,
+    confirmationNumber: booking.confirmationNumber,
+    guestName: booking.guestFullName,
+    guestEmail: booking.guestInfo.email,
+    room: booking.room?.name,
+    checkInDate: booking.checkInDate,
+    balanceDue: booking.paymentSummary.balanceDue,
+    installments: installments.map(installment => ({
+      name: installment.name,
+      dueDate: installment.dueDate,
+      amount: installment.amount
+    }))
+  }))
+
+  if (io) {
+    io.to('admin-room').emit('payments-overdue', {
+      count: summary.length,
+      bookings: summary,
+      message: `${summary.length} booking(s) have overdue payments`,
+      timestamp: now
+    })
+  }
+
+  const settings = await Settings.getCurrent()
+
+  if (settings.emailNotifications && process.env.ADMIN_EMAIL) {
+    await trySendTemplateEmail(process.env.ADMIN_EMAIL, emailTemplates.adminOverduePayments(summary))
+  }
+
+  return alerted
+}
+
+// Periodically look for overdue installments inside the server process
+const startOverdueBalanceJob = (io = null, intervalMs = DEFAULT_SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    try {
+      const alerted = await processOverdueBalances(io)
+      if (alerted.length > 0) {
+        console.log(`💳 Flagged overdue payments on ${alerted.length} booking(s)`)
+      }
+    } catch (error) {
+      console.error('Overdue balance job error:', error)
+    }
+  }, intervalMs)
+
+  // Don't keep the process alive just for this job
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  buildPaymentSchedule,
+  schedulePayments,
+  getAmountDueNow,
+  postLedgerEntry,
+  postOpeningCharge,
+  getNetCharged,
+  processOverdueBalances,
+  startOverdueBalanceJob
+}
\ No newline at end of file
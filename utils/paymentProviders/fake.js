@@ -0,0 +1,155 @@
+const crypto = require('crypto')
+
+// In-process payment provider for development and tests. No money moves and
+// no network calls are made. The outcome is chosen by the payment token:
+//   tok_fake_<4 digits>  charge succeeds, the digits become the card's last four
+//   tok_fake_pending     charge stays processing until a webhook settles it
+//   tok_fake_decline     charge is declined
+// Refunds succeed for any payment this provider made.
+// Webhooks are signed with an HMAC of the raw body in x-fake-signature, and
+// signWebhook builds such a request so tests can drive the webhook endpoint.
+// Requires FAKE_PAYMENT_WEBHOOK_SECRET for webhooks; without it every webhook
+// is rejected.
+
+const name = 'fake'
+
+const getWebhookSecret = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET
+
+const createTransactionId = () => 'fake_pi_' + crypto.randomBytes(12).toString('hex')
+
+// Charges already made, by idempotency key, so a retried request is not charged twice
+const charges = new Map()
+
+const createPayment = async ({ amount, paymentToken, idempotencyKey }) => {
+  if (idempotencyKey && charges.has(idempotencyKey)) {
+    return charges.get(idempotencyKey)
+  }
+
+  let result
+
+  if (paymentToken === 'tok_fake_decline') {
+    result = {
+      transactionId: createTransactionId(),
+      status: 'failed',
+      failureMessage: 'Your card was declined'
+    }
+  } else if (paymentToken === 'tok_fake_pending') {
+    result = {
+      transactionId: createTransactionId(),
+      status: 'processing'
+    }
+  } else if (/^tok_fake_\d{4}$/.test(paymentToken)) {
+    result = {
+      transactionId: createTransactionId(),
+      status: 'completed',
+      cardLastFour: paymentToken.slice(-4),
+      cardBrand: 'visa'
+    }
+  } else {
+    result = {
+      status: 'failed',
+      failureMessage: 'Invalid payment token'
+    }
+  }
+
+  result.amount = amount
+
+  if (idempotencyKey) {
+    charges.set(idempotencyKey, result)
+  }
+
+  return result
+}
+
+// Refunds already made, by idempotency key
+const refunds = new Map()
+
+const refundPayment = async ({ transactionId, amount, idempotencyKey }) => {
+  if (idempotencyKey && refunds.has(idempotencyKey)) {
+    return refunds.get(idempotencyKey)
+  }
+
+  const result = /^fake_pi_/.test(transactionId || '')
+    ? { refundId: 'fake_re_' + crypto.randomBytes(12).toString('hex'), status: 'processed', amount }
+    : { status: 'failed', failureMessage: 'No such payment', amount }
+
+  if (idempotencyKey) {
+    refunds.set(idempotencyKey, result)
+  }
+
+  return result
+}
+
+const computeSignature = (payload, secret) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex')
+}
+
+// The parsed event if the signature matches the raw body, otherwise null
+const verifyWebhook = (rawBody, headers) => {
+  const signature = headers['x-fake-signature']
+  const secret = getWebhookSecret()
+
+  if (!rawBody || typeof signature !== 'string' || !secret) {
+    return null
+  }
+
+  const expected = Buffer.from(computeSignature(rawBody, secret))
+  const received = Buffer.from(signature)
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null
+  }
+
+  try {
+    return JSON.parse(rawBody.toString())
+  } catch (error) {
+    return null
+  }
+}
+
+const EVENT_STATUSES = {
+  'payment.processing': 'processing',
+  'payment.succeeded': 'completed',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+}
+
+// Normalize an event to { eventId, type, transactionId, bookingId, status }.
+// status is null for events that do not change a payment.
+const parseWebhookEvent = (event) => {
+  return {
+    eventId: event.id,
+    type: event.type,
+    transactionId: event.data?.transactionId,
+    bookingId: event.data?.bookingId,
+    status: EVENT_STATUSES[event.type] || null
+  }
+}
+
+// Body and headers of a signed webhook request, for tests
+const signWebhook = (event) => {
+  const secret = getWebhookSecret()
+
+  if (!secret) {
+    throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET is not set')
+  }
+
+  const body = JSON.stringify({ id: 'fake_evt_' + crypto.randomBytes(8).toString('hex'), ...event })
+
+  return {
+    body,
+    headers: {
+      'content-type': 'application/json',
+      'x-fake-signature': computeSignature(body, secret)
+    }
+  }
+}
+
+module.exports = {
+  name,
+  createPayment,
+  refundPayment,
+  verifyWebhook,
+  parseWebhookEvent,
+  signWebhook
+}
\ No newline at end of file
@@ -0,0 +1,226 @@
+const crypto = require('crypto')
+const { getCurrencyDecimals } = require('../money')
+
+// Stripe adapter. Cards are tokenized in the browser with Stripe.js, so the
+// server only ever sees a PaymentMethod id (pm_...), never the card number.
+// Requires STRIPE_SECRET_KEY, and STRIPE_WEBHOOK_SECRET for webhooks.
+
+const name = 'stripe'
+
+const API_URL = 'https://api.stripe.com/v1'
+
+// Seconds a webhook signature stays valid, to limit replayed requests
+const SIGNATURE_TOLERANCE = 300
+
+// Stripe's documented exceptions to ISO 4217 decimals for charges: HUF and
+// TWD are sent as two-decimal amounts, and ISK and UGX, though zero-decimal,
+// are sent multiplied by 100 for backwards compatibility
+const STRIPE_CURRENCY_DECIMALS = {
+  HUF: 2,
+  TWD: 2,
+  ISK: 2,
+  UGX: 2
+}
+
+// Amount in the smallest unit Stripe expects, e.g. cents for EUR and yen for
+// JPY. Follows the same decimals the ledger rounds amounts to.
+const toMinorUnits = (amount, currency) => {
+  const code = currency.toUpperCase()
+  const decimals = STRIPE_CURRENCY_DECIMALS[code] ?? getCurrencyDecimals(code)
+
+  return Math.round(amount * 10 ** decimals)
+}
+
+// Form-encode nested parameters the way the Stripe API expects
+const encodeParams = (params, prefix = null, form = new URLSearchParams()) => {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue
+
+    const field = prefix ? `${prefix}[${key}]` : key
+
+    if (Array.isArray(value)) {
+      value.forEach(item => form.append(`${field}[]`, item))
+    } else if (typeof value === 'object') {
+      encodeParams(value, field, form)
+    } else {
+      form.append(field, String(value))
+    }
+  }
+
+  return form
+}
+
+const request = async (path, params, { idempotencyKey } = {}) => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new Error('STRIPE_SECRET_KEY is not configured')
+  }
+
+  const headers = {
+    Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+    'Content-Type': 'application/x-www-form-urlencoded'
+  }
+
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey
+  }
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers,
+    body: encodeParams(params),
+    signal: AbortSignal.timeout(15000)
+  })
+
+  return { ok: response.ok, body: await response.json() }
+}
+
+const INTENT_STATUSES = {
+  succeeded: 'completed',
+  processing: 'processing',
+  requires_action: 'requires_action',
+  requires_confirmation: 'processing',
+  requires_capture: 'processing',
+  requires_payment_method: 'failed',
+  canceled: 'failed'
+}
+
+// Charge a tokenized card with a confirmed PaymentIntent
+const createPayment = async ({ amount, currency, paymentToken, bookingId, description, idempotencyKey }) => {
+  const { ok, body } = await request('/payment_intents', {
+    amount: toMinorUnits(amount, currency),
+    currency: currency.toLowerCase(),
+    payment_method: paymentToken,
+    confirm: true,
+    description,
+    metadata: { bookingId },
+    automatic_payment_methods: { enabled: true, allow_redirects: 'never' },
+    expand: ['latest_charge']
+  }, { idempotencyKey })
+
+  // Declines come back as errors that still carry the PaymentIntent
+  if (!ok) {
+    if (body.error?.type !== 'card_error') {
+      throw new Error(body.error?.message || 'Payment provider request failed')
+    }
+
+    return {
+      transactionId: body.error.payment_intent?.id,
+      status: 'failed',
+      failureMessage: body.error.message
+    }
+  }
+
+  const card = body.latest_charge?.payment_method_details?.card
+
+  return {
+    transactionId: body.id,
+    status: INTENT_STATUSES[body.status] || 'processing',
+    cardLastFour: card?.last4,
+    cardBrand: card?.brand,
+    clientSecret: body.status === 'requires_action' ? body.client_secret : undefined,
+    failureMessage: body.last_payment_error?.message
+  }
+}
+
+// Refund part or all of a PaymentIntent. Stripe accepts card refunds as
+// pending and settles them later; once accepted they count as processed.
+const refundPayment = async ({ transactionId, amount, currency, reason, bookingId, idempotencyKey }) => {
+  const { ok, body } = await request('/refunds', {
+    payment_intent: transactionId,
+    amount: toMinorUnits(amount, currency),
+    metadata: { bookingId, reason }
+  }, { idempotencyKey })
+
+  if (!ok) {
+    if (body.error?.type !== 'invalid_request_error') {
+      throw new Error(body.error?.message || 'Payment provider request failed')
+    }
+
+    return { status: 'failed', failureMessage: body.error.message }
+  }
+
+  return {
+    refundId: body.id,
+    status: ['failed', 'canceled'].includes(body.status) ? 'failed' : 'processed',
+    failureMessage: body.failure_reason
+  }
+}
+
+// The parsed event if the Stripe-Signature header matches the raw body and
+// is recent enough, otherwise null
+const verifyWebhook = (rawBody, headers) => {
+  const header = headers['stripe-signature']
+  const secret = process.env.STRIPE_WEBHOOK_SECRET
+
+  if (!rawBody || typeof header !== 'string' || !secret) {
+    return null
+  }
+
+  const parts = header.split(',').map(part => part.split('='))
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1])
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value)
+
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE) {
+    return null
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody.toString()}`).digest('hex')
+  )
+
+  const matches = signatures.some(signature => {
+    const received = Buffer.from(signature)
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected)
+  })
+
+  if (!matches) {
+    return null
+  }
+
+  try {
+    return JSON.parse(rawBody.toString())
+  } catch (error) {
+    return null
+  }
+}
+
+const EVENT_STATUSES = {
+  'payment_intent.processing': 'processing',
+  'payment_intent.succeeded': 'completed',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'failed'
+}
+
+// Normalize an event to { eventId, type, transactionId, bookingId, status }.
+// status is null for events that do not change a payment.
+const parseWebhookEvent = (event) => {
+  const object = event.data?.object || {}
+
+  if (event.type === 'charge.refunded') {
+    return {
+      eventId: event.id,
+      type: event.type,
+      transactionId: object.payment_intent,
+      bookingId: object.metadata?.bookingId,
+      // Partial refunds leave the payment completed
+      status: object.amount_refunded >= object.amount ? 'refunded' : null
+    }
+  }
+
+  return {
+    eventId: event.id,
+    type: event.type,
+    transactionId: object.id,
+    bookingId: object.metadata?.bookingId,
+    status: EVENT_STATUSES[event.type] || null
+  }
+}
+
+module.exports = {
+  name,
+  createPayment,
+  refundPayment,
+  verifyWebhook,
+  parseWebhookEvent,
+  toMinorUnits
+}
\ No newline at end of file
@@ -0,0 +1,298 @@
+const Booking = require('../models/Booking')
+const PaymentEvent = require('../models/PaymentEvent')
+const { reserveRoomNights } = require('./inventory')
+const { recordStatusChange, applyTransition, runTransitionEffects } = require('./bookingStatus')
+const { getAmountDueNow, postLedgerEntry, getNetCharged } = require('./paymentLedger')
+const { roundCurrency } = require('./money')
+
+const PAYMENT_STATUSES = ['pending', 'processing', 'completed', 'failed', 'refunded']
+
+// Methods charged online through the payment provider
+const CARD_METHODS = ['credit_card', 'debit_card']
+
+// Events stuck in processing this long are assumed lost and handled again
+const STALE_EVENT_MS = 5 * 60 * 1000
+
+// Record a completed payment in the ledger. An online payment in flight is
+// recorded for the amount that was charged, once per transaction; otherwise
+// the given amount, or whatever has fallen due, is recorded.
+const recordCompletedPayment = (booking, { amount, transactionId, changedBy }) => {
+  const inFlight = booking.paymentInfo.amount > 0
+  const reference = transactionId || (inFlight ? booking.paymentInfo.transactionId : undefined)
+
+  if (reference && booking.ledger.some(entry => entry.type === 'charge' && entry.transactionId === reference)) {
+    return null
+  }
+
+  const value = amount ?? (inFlight ? booking.paymentInfo.amount : getAmountDueNow(booking))
+  booking.paymentInfo.amount = undefined
+
+  if (!(value > 0)) {
+    return null
+  }
+
+  return postLedgerEntry(booking, {
+    type: 'charge',
+    amount: value,
+    method: booking.paymentInfo.method,
+    provider: booking.paymentInfo.provider,
+    transactionId: reference,
+    description: 'Payment received',
+    postedBy: changedBy,
+    actor: changedBy ? 'staff' : 'system'
+  })
+}
+
+// Record a full refund of a transaction, or of everything paid without one
+const recordRefundedPayment = (booking, { transactionId, changedBy }) => {
+  const reference = transactionId || booking.paymentInfo.transactionId
+  const refundable = getNetCharged(booking, reference)
+
+  if (!(refundable > 0)) {
+    return null
+  }
+
+  return postLedgerEntry(booking, {
+    type: 'refund',
+    amount: refundable,
+    method: booking.paymentInfo.method,
+    provider: booking.paymentInfo.provider,
+    transactionId: reference,
+    description: 'Payment refunded',
+    postedBy: changedBy,
+    actor: changedBy ? 'staff' : 'system'
+  })
+}
+
+// Set a booking's payment status and follow it through the lifecycle:
+// the payment is recorded in the ledger, a completed payment confirms a
+// pending booking, and wins back a booking whose hold expired if its room
+// is still free.
+// Returns { success, booking } or { success: false, status, message, conflicts }.
+const applyPaymentStatus = async (booking, status, { amount, transactionId, paymentDate, changedBy, io } = {}) => {
+  // Clear the hold atomically so the expiry job can't release a booking
+  // that is being paid; if the job got there first, pick up its changes
+  if (status === 'completed' && booking.bookingStatus === 'pending') {
+    const held = await Booking.updateOne(
+      { _id: booking._id, bookingStatus: 'pending' },
+      { $unset: { holdExpiresAt: 1 } }
+    )
+
+    if (held.matchedCount === 0) {
+      booking = await Booking.findById(booking._id)
+    }
+  }
+
+  if (status === 'completed') {
+    recordCompletedPayment(booking, { amount, transactionId, changedBy })
+  } else if (status === 'refunded') {
+    recordRefundedPayment(booking, { transactionId, changedBy })
+  }
+
+  // Update payment info
+  booking.paymentInfo.status = status
+
+  if (transactionId) {
+    booking.paymentInfo.transactionId = transactionId
+  }
+
+  if (paymentDate) {
+    booking.paymentInfo.paymentDate = new Date(paymentDate)
+  } else if (status === 'completed') {
+    booking.paymentInfo.paymentDate = new Date()
+  }
+
+  // A payment that lands after the hold expired has to win the room back
+  const holdExpired = booking.bookingStatus === 'cancelled' &&
+    booking.cancellation?.cancellationReason === 'Payment hold expired'
+
+  if (status === 'completed' && holdExpired) {
+    const reservation = await reserveRoomNights(booking.room, booking._id, booking.checkInDate, booking.checkOutDate)
+
+    if (!reservation.success) {
+      return {
+        success: false,
+        status: 409,
+        message: 'Booking hold expired and the room is no longer available for the selected dates',
+        conflicts: reservation.conflicts
+      }
+    }
+
+    // The only way back out of cancelled, so it bypasses the lifecycle
+    recordStatusChange(booking, 'cancelled', 'pending', {
+      changedBy,
+      actor: 'system',
+      notes: 'Payment completed after hold expired'
+    })
+    booking.bookingStatus = 'pending'
+    booking.cancellation = { isCancelled: false }
+  }
+
+  // Auto-confirm booking if payment is completed
+  const confirming = status === 'completed' && booking.bookingStatus === 'pending'
+
+  if (confirming) {
+    await applyTransition(booking, 'confirmed', {
+      changedBy,
+      actor: 'system',
+      notes: 'Payment completed'
+    })
+  }
+
+  await booking.save()
+
+  if (confirming) {
+    await runTransitionEffects(booking, 'pending', 'confirmed', io)
+  }
+
+  return { success: true, booking }
+}
+
+// Whether a provider event should change a payment. Events can arrive out
+// of order or late, so a settled payment is never stepped back, and only a
+// completed payment can be refunded.
+const isPaymentStatusChange = (current, next) => {
+  if (current === next) return false
+  if (next === 'refunded') return current === 'completed'
+  return !['completed', 'refunded'].includes(current)
+}
+
+// Charge what has fallen due on bookings paid together, such as their
+// deposits, with one tokenized card payment through the provider. The
+// outcome is recorded on every booking; a completed charge confirms them
+// straight away, otherwise a webhook settles it later.
+// Returns { status, amount, clientSecret, failureMessage }.
+const chargeBookings = async (provider, bookings, paymentToken, { reference, description, io } = {}) => {
+  const dueNow = bookings.map(booking => getAmountDueNow(booking))
+  const amount = roundCurrency(dueNow.reduce((total, due) => total + due, 0), bookings[0].pricing.currency)
+
+  // Nothing is due until later in the schedule
+  if (amount <= 0) {
+    return { status: 'not_required', amount: 0 }
+  }
+
+  const result = await provider.createPayment({
+    amount,
+    currency: bookings[0].pricing.currency,
+    paymentToken,
+    bookingId: reference,
+    description,
+    // Retrying the same booking never charges the card twice
+    idempotencyKey: `booking-${reference}`
+  })
+
+  for (const [index, booking] of bookings.entries()) {
+    booking.paymentInfo.provider = provider.name
+    booking.paymentInfo.amount = dueNow[index]
+    booking.paymentInfo.transactionId = result.transactionId
+    booking.paymentInfo.cardLastFour = result.cardLastFour || ''
+    booking.paymentInfo.cardBrand = result.cardBrand
+    booking.paymentInfo.failureMessage = result.failureMessage
+    booking.paymentInfo.status = result.status === 'failed' ? 'failed' : 'processing'
+    await booking.save()
+
+    if (result.status === 'completed') {
+      await applyPaymentStatus(booking, 'completed', { io })
+    }
+  }
+
+  return {
+    status: result.status,
+    amount,
+    clientSecret: result.clientSecret,
+    failureMessage: result.failureMessage
+  }
+}
+
+// Claim a webhook event for processing. Returns the event record, or null
+// when the event was already handled or is being handled right now.
+const claimPaymentEvent = async (provider, parsed) => {
+  try {
+    return await PaymentEvent.create({
+      provider: provider.name,
+      eventId: parsed.eventId,
+      type: parsed.type,
+      transactionId: parsed.transactionId
+    })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+  }
+
+  // Redelivery of an event that failed or was abandoned mid-way
+  return PaymentEvent.findOneAndUpdate(
+    {
+      provider: provider.name,
+      eventId: parsed.eventId,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_EVENT_MS) } }
+      ]
+    },
+    { $set: { status: 'processing' }, $unset: { error: 1 } },
+    { new: true }
+  )
+}
+
+// Apply a verified webhook event to the bookings it pays for, once.
+// Returns { duplicate } for events already handled, otherwise { event, results }.
+const processPaymentEvent = async (provider, event, { io } = {}) => {
+  const parsed = provider.parseWebhookEvent(event)
+  const record = await claimPaymentEvent(provider, parsed)
+
+  if (!record) {
+    return { duplicate: true }
+  }
+
+  try {
+    const results = []
+
+    if (parsed.status) {
+      const filter = parsed.transactionId
+        ? { 'paymentInfo.transactionId': parsed.transactionId }
+        : { bookingId: parsed.bookingId }
+      const bookings = parsed.transactionId || parsed.bookingId ? await Booking.find(filter) : []
+
+      for (const booking of bookings) {
+        if (!isPaymentStatusChange(booking.paymentInfo.status, parsed.status)) continue
+
+        const result = await applyPaymentStatus(booking, parsed.status, {
+          transactionId: parsed.transactionId,
+          io
+        })
+
+        // Money arrived for a room that is gone; staff have to refund it
+        if (!result.success && io) {
+          io.to('admin-room').emit('payment-conflict', {
+            booking,
+            message: `Payment received for booking ${booking.bookingId}: ${result.message}`,
+            timestamp: new Date()
+          })
+        }
+
+        results.push({ booking: booking._id, success: result.success, message: result.message })
+      }
+
+      record.bookings = results.map(result => result.booking)
+    }
+
+    record.status = parsed.status ? 'processed' : 'ignored'
+    record.processedAt = new Date()
+    await record.save()
+
+    return { event: record, results }
+  } catch (error) {
+    record.status = 'failed'
+    record.error = error.message
+    await record.save()
+    throw error
+  }
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  CARD_METHODS,
+  applyPaymentStatus,
+  isPaymentStatusChange,
+  chargeBookings,
+  processPaymentEvent
+}
\ No newline at end of file
@@ -0,0 +1,162 @@
+const RatePlan = require('../models/RatePlan')
+const Settings = require('../models/Settings')
+const { toNightDate, formatNight, getStayNights } = require('./inventory')
+const { calculateTaxLines, summarizeTaxLines } = require('./taxes')
+const { calculateDiscounts } = require('./promotions')
+const { roundCurrency } = require('./money')
+
+// Whether a night falls within an inclusive date range
+const coversNight = (range, night) => {
+  return toNightDate(range.startDate) <= night && night <= toNightDate(range.endDate)
+}
+
+// Base price of a room when no rate plan applies
+const getRoomBasePrice = (room) => {
+  return room.pricePerNight || room.pricing?.basePrice || 100
+}
+
+// Resolve the rate and arrival restrictions for a single night.
+// Date-range overrides win over seasons, which win over the plan's base rate.
+const resolveNight = (ratePlan, night) => {
+  const isWeekend = ratePlan.weekendDays.includes(night.getUTCDay())
+  const override = [...ratePlan.overrides].reverse().find(range => coversNight(range, night))
+
+  if (override) {
+    return {
+      rate: override.nightlyRate,
+      source: 'override',
+      isWeekend,
+      minStay: override.minStay,
+      closedToArrival: Boolean(override.closedToArrival)
+    }
+  }
+
+  const season = ratePlan.seasons.find(range => coversNight(range, night))
+
+  if (season) {
+    return {
+      rate: isWeekend && season.weekendRate != null ? season.weekendRate : season.nightlyRate,
+      source: season.name,
+      isWeekend,
+      minStay: season.minStay,
+      closedToArrival: Boolean(season.closedToArrival)
+    }
+  }
+
+  return {
+    rate: isWeekend && ratePlan.weekendRate != null ? ratePlan.weekendRate : ratePlan.baseRate,
+    source: 'base',
+    isWeekend,
+    minStay: undefined,
+    closedToArrival: false
+  }
+}
+
+// Rate and restrictions for every night in a range, as shown on a calendar.
+// minStay and closedToArrival apply to stays arriving on that night.
+const buildRateCalendar = (ratePlan, room, from, to) => {
+  return getStayNights(from, to).map(night => {
+    if (!ratePlan) {
+      return {
+        date: formatNight(night),
+        rate: getRoomBasePrice(room),
+        source: 'room',
+        isWeekend: false,
+        minStay: 1,
+        closedToArrival: false
+      }
+    }
+
+    const resolved = resolveNight(ratePlan, night)
+
+    return {
+      date: formatNight(night),
+      ...resolved,
+      minStay: resolved.minStay || ratePlan.minStay || 1
+    }
+  })
+}
+
+// Night-by-night rates for a stay, from the room type's active rate plan
+const getNightlyRates = async (room, checkInDate, checkOutDate) => {
+  const ratePlan = await RatePlan.findActiveForRoomType(room.type)
+  const nights = getStayNights(checkInDate, checkOutDate)
+
+  if (!ratePlan) {
+    const rate = getRoomBasePrice(room)
+    return {
+      ratePlan: null,
+      minStay: 1,
+      closedToArrival: false,
+      nightlyRates: nights.map(night => ({
+        date: formatNight(night),
+        rate,
+        source: 'room',
+        isWeekend: false
+      }))
+    }
+  }
+
+  const nightlyRates = nights.map(night => ({
+    date: formatNight(night),
+    ...resolveNight(ratePlan, night)
+  }))
+
+  // Minimum stay and closed to arrival are governed by the arrival night
+  const minStay = nightlyRates[0]?.minStay || ratePlan.minStay || 1
+  const closedToArrival = Boolean(nightlyRates[0]?.closedToArrival)
+
+  return {
+    ratePlan,
+    minStay,
+    closedToArrival,
+    nightlyRates: nightlyRates.map(({ minStay, closedToArrival, ...night }) => night)
+  }
+}
+
+// Full price quote for a stay: nightly breakdown, discounts, taxes, fees and
+// total. Promotions must already be checked against the stay.
+const quoteStay = async (room, checkInDate, checkOutDate, { promotions = [] } = {}) => {
+  const { ratePlan, minStay, closedToArrival, nightlyRates } = await getNightlyRates(room, checkInDate, checkOutDate)
+  const { currency } = await Settings.getCurrent()
+  const numberOfNights = nightlyRates.length
+
+  // Totals are rounded to the settlement currency's smallest unit
+  const subtotal = roundCurrency(nightlyRates.reduce((sum, night) => sum + night.rate, 0), currency)
+  const { discounts, discount } = calculateDiscounts(promotions, subtotal, currency)
+
+  // Percentage taxes are charged on what the guest actually pays for the room
+  const factor = subtotal > 0 ? (subtotal - discount) / subtotal : 1
+  const taxedRates = discount > 0
+    ? nightlyRates.map(night => ({ ...night, rate: night.rate * factor }))
+    : nightlyRates
+
+  const taxLines = await calculateTaxLines(room.type, taxedRates, { currency })
+  const { taxes, fees } = summarizeTaxLines(taxLines, currency)
+  const totalAmount = roundCurrency(subtotal - discount + taxes + fees, currency)
+
+  return {
+    ratePlan: ratePlan ? { id: ratePlan._id, code: ratePlan.code, name: ratePlan.name } : null,
+    minStay,
+    meetsMinStay: numberOfNights >= minStay,
+    closedToArrival,
+    numberOfNights,
+    nightlyRates,
+    pricePerNight: numberOfNights > 0 ? roundCurrency(subtotal / numberOfNights, currency) : 0,
+    subtotal,
+    discount,
+    discounts,
+    taxes,
+    fees,
+    taxLines,
+    totalAmount,
+    currency
+  }
+}
+
+module.exports = {
+  getRoomBasePrice,
+  buildRateCalendar,
+  getNightlyRates,
+  quoteStay
+}
\ No newline at end of file
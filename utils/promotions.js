@@ -0,0 +1,243 @@
+const Promotion = require('../models/Promotion')
+const PromotionRedemption = require('../models/PromotionRedemption')
+const { toNightDate, formatNight, getStayNights } = require('./inventory')
+const { roundCurrency } = require('./money')
+
+// Upper-cased, de-duplicated promo codes from a single code and/or a list
+const normalizePromoCodes = (...values) => {
+  const codes = values.flat()
+    .filter(Boolean)
+    .map(code => String(code).trim().toUpperCase())
+    .filter(Boolean)
+
+  return [...new Set(codes)]
+}
+
+// Why a promotion cannot be used for a stay, or null if it can.
+// Promotions a booking already redeemed skip the booking window, usage cap
+// and active checks, so a modified booking keeps a discount it was sold with.
+const checkPromotion = (promotion, { roomType, checkInDate, checkOutDate, now = new Date() }, { redeemed = false } = {}) => {
+  if (!redeemed) {
+    if (!promotion.isActive) {
+      return 'is not active'
+    }
+
+    if (promotion.validFrom && now < promotion.validFrom) {
+      return 'is not valid yet'
+    }
+
+    if (promotion.validTo && now > promotion.validTo) {
+      return 'has expired'
+    }
+
+    if (promotion.maxRedemptions != null && promotion.redemptionCount >= promotion.maxRedemptions) {
+      return 'has reached its usage limit'
+    }
+  }
+
+  const nights = getStayNights(checkInDate, checkOutDate)
+  const firstNight = nights[0]
+  const lastNight = nights[nights.length - 1]
+
+  if ((promotion.stayStartDate && firstNight < toNightDate(promotion.stayStartDate)) ||
+    (promotion.stayEndDate && lastNight > toNightDate(promotion.stayEndDate))) {
+    const from = promotion.stayStartDate ? formatNight(promotion.stayStartDate) : 'any date'
+    const to = promotion.stayEndDate ? formatNight(promotion.stayEndDate) : 'any date'
+    return `is only valid for stays between ${from} and ${to}`
+  }
+
+  if (promotion.roomTypes?.length > 0 && !promotion.roomTypes.includes(roomType)) {
+    return 'does not apply to this room type'
+  }
+
+  if (nights.length < promotion.minNights) {
+    return `requires a minimum stay of ${promotion.minNights} nights`
+  }
+
+  return null
+}
+
+// Look up promo codes and check they can be used together for a stay.
+// Returns { success, promotions } or { success: false, message }.
+const resolvePromotions = async (codes, stay) => {
+  if (codes.length === 0) {
+    return { success: true, promotions: [] }
+  }
+
+  const found = await Promotion.find({ code: { $in: codes } })
+
+  const promotions = []
+
+  for (const code of codes) {
+    const promotion = found.find(candidate => candidate.code === code)
+
+    if (!promotion) {
+      return { success: false, message: 'Invalid promo code' }
+    }
+
+    const reason = checkPromotion(promotion, stay)
+
+    if (reason) {
+      return { success: false, message: `Promo code ${code} ${reason}` }
+    }
+
+    promotions.push(promotion)
+  }
+
+  // Codes only combine when every one of them allows it
+  if (promotions.length > 1) {
+    const exclusive = promotions.find(promotion => !promotion.stackable)
+
+    if (exclusive) {
+      return { success: false, message: `Promo code ${exclusive.code} cannot be combined with other codes` }
+    }
+  }
+
+  return { success: true, promotions }
+}
+
+// Discount lines for a room subtotal. Every promotion is worked out against
+// the full subtotal, and the combined discount never exceeds it. Amounts are
+// rounded to the settlement currency.
+const calculateDiscounts = (promotions, subtotal, currency) => {
+  const discounts = []
+  let remaining = subtotal
+
+  for (const promotion of promotions) {
+    const amount = promotion.discountType === 'percentage'
+      ? roundCurrency(subtotal * promotion.discountValue, currency)
+      : promotion.discountValue
+
+    const applied = roundCurrency(Math.min(amount, remaining), currency)
+    remaining = roundCurrency(remaining - applied, currency)
+
+    discounts.push({
+      promotion: promotion._id,
+      code: promotion.code,
+      name: promotion.name,
+      discountType: promotion.discountType,
+      discountValue: promotion.discountValue,
+      amount: applied
+    })
+  }
+
+  return {
+    discount: roundCurrency(subtotal - remaining, currency),
+    discounts
+  }
+}
+
+// Take one use of a promotion for a booking, respecting both usage caps
+const redeemPromotion = async (line, bookingId, email) => {
+  // The global cap is enforced by the update filter itself
+  const promotion = await Promotion.findOneAndUpdate(
+    {
+      _id: line.promotion,
+      isActive: true,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  )
+
+  if (!promotion) {
+    return { success: false, message: `Promo code ${line.code} is no longer available` }
+  }
+
+  const redemption = { promotion: promotion._id, booking: bookingId, email }
+
+  try {
+    if (!promotion.maxRedemptionsPerEmail) {
+      await PromotionRedemption.create(redemption)
+      return { success: true }
+    }
+
+    // Claim the guest's first free redemption number
+    for (let sequence = 0; sequence < promotion.maxRedemptionsPerEmail; sequence++) {
+      try {
+        await PromotionRedemption.create({ ...redemption, sequence })
+        return { success: true }
+      } catch (error) {
+        if (error.code !== 11000) throw error
+      }
+    }
+  } catch (error) {
+    await Promotion.updateOne({ _id: promotion._id }, { $inc: { redemptionCount: -1 } })
+    throw error
+  }
+
+  await Promotion.updateOne({ _id: promotion._id }, { $inc: { redemptionCount: -1 } })
+
+  return { success: false, message: `Promo code ${line.code} has already been used the maximum number of times with this email` }
+}
+
+// Give back a booking's redemptions, optionally only for some promotions.
+// Each redemption is deleted before its count is decremented, so running
+// this twice for the same booking cannot release a use twice.
+const releasePromotionRedemptions = async (bookingId, promotionIds = null) => {
+  const filter = { booking: bookingId }
+
+  if (promotionIds) {
+    filter.promotion = { $in: promotionIds }
+  }
+
+  const redemptions = await PromotionRedemption.find(filter).select('_id promotion')
+
+  for (const redemption of redemptions) {
+    const { deletedCount } = await PromotionRedemption.deleteOne({ _id: redemption._id })
+
+    if (deletedCount > 0) {
+      await Promotion.updateOne(
+        { _id: redemption.promotion, redemptionCount: { $gt: 0 } },
+        { $inc: { redemptionCount: -1 } }
+      )
+    }
+  }
+
+  return redemptions.length
+}
+
+// Redeem every discount line of a booking, all or nothing.
+// Returns { success } or { success: false, message }.
+const redeemPromotions = async (discounts, { bookingId, email }) => {
+  for (const line of discounts || []) {
+    const result = await redeemPromotion(line, bookingId, email.toLowerCase())
+
+    if (!result.success) {
+      await releasePromotionRedemptions(bookingId)
+      return result
+    }
+  }
+
+  return { success: true }
+}
+
+// Promotions a booking was sold with that still apply to its new stay.
+// Returns { promotions, dropped } where dropped lists promotion ids that no
+// longer apply, whose redemptions the caller should release.
+const keepBookingPromotions = async (booking, stay) => {
+  const ids = (booking.pricing?.discounts || []).map(line => line.promotion)
+
+  if (ids.length === 0) {
+    return { promotions: [], dropped: [] }
+  }
+
+  const found = await Promotion.find({ _id: { $in: ids } })
+  const promotions = found.filter(promotion => !checkPromotion(promotion, stay, { redeemed: true }))
+  const dropped = ids.filter(id => !promotions.some(promotion => promotion._id.equals(id)))
+
+  return { promotions, dropped }
+}
+
+module.exports = {
+  normalizePromoCodes,
+  checkPromotion,
+  resolvePromotions,
+  calculateDiscounts,
+  redeemPromotions,
+  releasePromotionRedemptions,
+  keepBookingPromotions
+}
\ No newline at end of file
@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken')
+const { formatNight } = require('./inventory')
+
+const QUOTE_TOKEN_TYPE = 'booking_quote'
+
+const getQuoteSecret = () => process.env.QUOTE_SECRET || process.env.JWT_SECRET || 'fallback-secret'
+
+// Sign a quote so the price shown to the guest can be honoured at booking time
+const signQuote = (stay, quote) => {
+  const payload = {
+    type: QUOTE_TOKEN_TYPE,
+    room: stay.room.toString(),
+    checkInDate: formatNight(stay.checkInDate),
+    checkOutDate: formatNight(stay.checkOutDate),
+    numberOfGuests: Number(stay.numberOfGuests),
+    promoCode: stay.promoCode || null,
+    pricing: quote
+  }
+
+  return jwt.sign(payload, getQuoteSecret(), {
+    expiresIn: process.env.QUOTE_EXPIRE || '30m'
+  })
+}
+
+// Verify a quote token against the stay being booked.
+// Returns { valid, pricing } or { valid: false, message }.
+const verifyQuote = (token, stay) => {
+  let payload
+
+  try {
+    payload = jwt.verify(token, getQuoteSecret())
+  } catch (error) {
+    return {
+      valid: false,
+      message: error.name === 'TokenExpiredError'
+        ? 'Price quote has expired, please request a new quote'
+        : 'Invalid price quote'
+    }
+  }
+
+  if (payload.type !== QUOTE_TOKEN_TYPE) {
+    return { valid: false, message: 'Invalid price quote' }
+  }
+
+  const matches = payload.room === stay.room.toString() &&
+    payload.checkInDate === formatNight(stay.checkInDate) &&
+    payload.checkOutDate === formatNight(stay.checkOutDate) &&
+    payload.numberOfGuests === Number(stay.numberOfGuests) &&
+    payload.promoCode === (stay.promoCode || null)
+
+  if (!matches) {
+    return { valid: false, message: 'Price quote does not match the booking details' }
+  }
+
+  return { valid: true, pricing: payload.pricing, expiresAt: new Date(payload.exp * 1000) }
+}
+
+module.exports = {
+  signQuote,
+  verifyQuote
+}
\ No newline at end of file
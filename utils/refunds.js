@@ -0,0 +1,344 @@
+const Booking = require('../models/Booking')
+const Refund = require('../models/Refund')
+const Settings = require('../models/Settings')
+const { getPaymentProvider } = require('./paymentGateway')
+const { postLedgerEntry, postOpeningCharge } = require('./paymentLedger')
+const { getAmountPaid } = require('./cancellationPolicy')
+const { roundCurrency } = require('./money')
+const emailTemplates = require('./emailTemplates')
+const { trySendTemplateEmail } = require('./mailer')
+
+const REFUND_METHODS = ['original_payment', 'bank_transfer', 'cash', 'credit']
+
+// Refunds that have not been paid out yet but still hold part of the payment
+const OPEN_REFUND_STATUSES = ['requested', 'approved', 'processing', 'failed']
+
+// Refunds that can be paid out
+const PAYABLE_REFUND_STATUSES = ['approved', 'failed']
+
+// Send a refund change to the admin dashboard
+const emitRefundUpdate = (io, refund, message) => {
+  if (!io) return
+
+  io.to('admin-room').emit('refund-updated', {
+    refund,
+    message,
+    timestamp: new Date()
+  })
+}
+
+// Mirror the refund's progress on the cancellation or no-show it came from
+const setBookingRefundStatus = (booking, status) => {
+  if (booking.bookingStatus === 'no_show') {
+    booking.noShow.refundStatus = status
+  } else if (booking.cancellation?.isCancelled) {
+    booking.cancellation.refundStatus = status
+  }
+}
+
+// Whether a refund goes back through the payment provider that took the money
+const isProviderRefund = (refund, booking) => {
+  return refund.method === 'original_payment' &&
+    Boolean(booking.paymentInfo.provider && booking.paymentInfo.transactionId)
+}
+
+// Refunds the hotel pays out without staff handing over money: card refunds
+// through the provider, and credit kept with the hotel
+const canProcessAutomatically = (refund, booking) => {
+  return refund.method === 'credit' || isProviderRefund(refund, booking)
+}
+
+// What is left to refund: money received less refunds already under way
+const getRefundableAmount = async (booking) => {
+  const open = await Refund.find({ booking: booking._id, status: { $in: OPEN_REFUND_STATUSES } })
+  const reserved = open.reduce((sum, refund) => sum + refund.amount, 0)
+
+  return roundCurrency(Math.max(0, getAmountPaid(booking) - reserved), booking.pricing.currency)
+}
+
+// Pay out an approved or failed refund and post it to the booking's ledger.
+// Card refunds go through the payment provider; other methods are paid by
+// staff, who process the refund once the money has been handed over.
+// Returns { success, refund } or { success: false, status, message, refund }.
+const processRefund = async (refund, options = {}) => {
+  if (!PAYABLE_REFUND_STATUSES.includes(refund.status)) {
+    return {
+      success: false,
+      status: 400,
+      message: `A ${refund.status} refund cannot be processed`,
+      refund
+    }
+  }
+
+  // Claim the refund so a second request cannot pay it out again meanwhile
+  const previousStatus = refund.status
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $in: PAYABLE_REFUND_STATUSES } },
+    { status: 'processing' },
+    { new: true }
+  )
+
+  if (!claimed) {
+    return {
+      success: false,
+      status: 409,
+      message: 'Refund is already being processed or has changed, please reload and try again',
+      refund
+    }
+  }
+
+  try {
+    return await payOutRefund(claimed, options)
+  } catch (error) {
+    // Release the claim so the refund can be tried again. A retry reuses the
+    // provider idempotency key, so a payout that went through is not repeated.
+    await Refund.updateOne({ _id: claimed._id, status: 'processing' }, { status: previousStatus })
+    throw error
+  }
+}
+
+// Pay out a refund claimed by processRefund
+const payOutRefund = async (refund, { booking, processedBy, reference, io } = {}) => {
+  booking = booking || await Booking.findById(refund.booking)
+
+  if (isProviderRefund(refund, booking)) {
+    const provider = getPaymentProvider(booking.paymentInfo.provider)
+    refund.attempts += 1
+
+    let result
+
+    try {
+      result = await provider.refundPayment({
+        transactionId: booking.paymentInfo.transactionId,
+        amount: refund.amount,
+        currency: refund.currency,
+        reason: refund.reason,
+        bookingId: booking.bookingId,
+        // A retry after a failure is a new refund attempt at the provider
+        idempotencyKey: `refund-${refund._id}-${refund.attempts}`
+      })
+    } catch (error) {
+      console.error(`Refund failed for booking ${booking.bookingId}:`, error)
+      result = { status: 'failed', failureMessage: 'Payment provider could not be reached' }
+    }
+
+    if (result.status === 'failed') {
+      refund.status = 'failed'
+      refund.failureMessage = result.failureMessage || 'Refund was declined by the payment provider'
+      await refund.save()
+
+      setBookingRefundStatus(booking, 'failed')
+      await booking.save()
+
+      emitRefundUpdate(io, refund, `Refund for booking ${booking.bookingId} failed`)
+
+      return {
+        success: false,
+        status: 502,
+        message: refund.failureMessage,
+        refund
+      }
+    }
+
+    refund.provider = provider.name
+    refund.reference = result.refundId
+    refund.transactionId = booking.paymentInfo.transactionId
+  } else if (reference) {
+    refund.reference = reference
+  }
+
+  refund.status = 'processed'
+  refund.processedAt = new Date()
+  refund.processedBy = processedBy
+  refund.failureMessage = undefined
+
+  // The refund would otherwise be the first entry and read as nothing paid
+  postOpeningCharge(booking)
+
+  // Card refunds are tied to the payment they reverse
+  postLedgerEntry(booking, {
+    type: 'refund',
+    amount: refund.amount,
+    method: refund.method === 'original_payment' ? booking.paymentInfo.method : refund.method,
+    provider: refund.provider,
+    transactionId: refund.transactionId,
+    description: refund.reason ? `Refund: ${refund.reason}` : 'Refund',
+    postedBy: processedBy,
+    actor: processedBy ? 'staff' : 'system'
+  })
+
+  if (booking.paymentInfo.status === 'completed' && getAmountPaid(booking) <= 0) {
+    booking.paymentInfo.status = 'refunded'
+  }
+
+  setBookingRefundStatus(booking, 'processed')
+
+  // The ledger is saved first: until the refund is marked processed it is
+  // counted both there and as open, never in neither
+  await booking.save()
+  await refund.save()
+
+  emitRefundUpdate(io, refund, `Refund of ${refund.amount.toFixed(2)} processed for booking ${booking.bookingId}`)
+  await trySendTemplateEmail(booking.guestInfo.email, emailTemplates.refundProcessed(booking, refund))
+
+  return { success: true, refund }
+}
+
+// Open a refund on a booking. Refunds up to the approval threshold are
+// approved straight away, and paid out when no staff action is needed.
+// Returns { success, refund } or { success: false, status, message }.
+const requestRefund = async (booking, { amount, method = 'original_payment', reason, requestedBy, io } = {}) => {
+  const refundable = await getRefundableAmount(booking)
+
+  if (amount > refundable) {
+    return {
+      success: false,
+      status: 400,
+      message: `Refund cannot exceed the ${refundable.toFixed(2)} still refundable on this booking`
+    }
+  }
+
+  const settings = await Settings.getCurrent()
+  const requiresApproval = amount > settings.paymentSettings.refundApprovalThreshold
+
+  const refund = await Refund.create({
+    booking: booking._id,
+    bookingId: booking.bookingId,
+    amount: roundCurrency(amount, booking.pricing.currency),
+    currency: booking.pricing.currency,
+    method,
+    reason,
+    requiresApproval,
+    requestedBy,
+    status: requiresApproval ? 'requested' : 'approved',
+    approvedAt: requiresApproval ? undefined : new Date()
+  })
+
+  // Requests made at the same time can each see the same amount as still
+  // refundable. Open refunds are counted in the order they were made, and
+  // this one is withdrawn if it takes the total past what was paid.
+  const [current, open] = await Promise.all([
+    Booking.findById(booking._id).select('ledger paymentInfo pricing'),
+    Refund.find({ booking: booking._id, status: { $in: OPEN_REFUND_STATUSES } }).sort({ _id: 1 })
+  ])
+  const earlier = open.slice(0, open.findIndex(other => other._id.equals(refund._id)) + 1)
+  const reserved = roundCurrency(earlier.reduce((sum, other) => sum + other.amount, 0), booking.pricing.currency)
+
+  if (reserved > getAmountPaid(current)) {
+    await Refund.deleteOne({ _id: refund._id })
+
+    return {
+      success: false,
+      status: 409,
+      message: 'Another refund was opened on this booking at the same time, please reload and try again'
+    }
+  }
+
+  setBookingRefundStatus(booking, refund.status)
+  await booking.save()
+
+  emitRefundUpdate(io, refund, requiresApproval
+    ? `Refund of ${refund.amount.toFixed(2)} for booking ${booking.bookingId} needs approval`
+    : `Refund of ${refund.amount.toFixed(2)} requested for booking ${booking.bookingId}`)
+
+  if (!requiresApproval && canProcessAutomatically(refund, booking)) {
+    const result = await processRefund(refund, { booking, io })
+    // A failed payout stays on record to be retried
+    return { success: true, refund: result.refund }
+  }
+
+  return { success: true, refund }
+}
+
+// Start the refund a cancellation or no-show leaves the guest, if any
+const requestBookingRefund = async (booking, { requestedBy, io } = {}) => {
+  const noShow = booking.bookingStatus === 'no_show'
+  const source = noShow ? booking.noShow : booking.cancellation
+
+  if (!(source?.refundAmount > 0) || source.refundStatus) {
+    return null
+  }
+
+  return requestRefund(booking, {
+    amount: source.refundAmount,
+    method: source.refundMethod || 'original_payment',
+    reason: noShow ? 'No-show refund' : `Cancellation: ${source.cancellationReason}`,
+    requestedBy,
+    io
+  })
+}
+
+// Approve a refund that was over the threshold, paying it out if no staff
+// action is needed. The approver must be someone other than the requester.
+const approveRefund = async (refund, { approvedBy, io } = {}) => {
+  if (refund.status !== 'requested') {
+    return {
+      success: false,
+      status: 400,
+      message: `A ${refund.status} refund cannot be approved`
+    }
+  }
+
+  if (approvedBy && refund.requestedBy?.equals(approvedBy)) {
+    return {
+      success: false,
+      status: 403,
+      message: 'A refund must be approved by someone other than the person who requested it'
+    }
+  }
+
+  const booking = await Booking.findById(refund.booking)
+
+  refund.status = 'approved'
+  refund.approvedBy = approvedBy
+  refund.approvedAt = new Date()
+  await refund.save()
+
+  setBookingRefundStatus(booking, 'approved')
+  await booking.save()
+
+  emitRefundUpdate(io, refund, `Refund for booking ${booking.bookingId} approved`)
+
+  if (canProcessAutomatically(refund, booking)) {
+    const result = await processRefund(refund, { booking, processedBy: approvedBy, io })
+    return { success: true, refund: result.refund }
+  }
+
+  return { success: true, refund }
+}
+
+// Turn down a refund that is waiting for approval or failed to pay out
+const rejectRefund = async (refund, { reason, rejectedBy, io } = {}) => {
+  if (!['requested', 'failed'].includes(refund.status)) {
+    return {
+      success: false,
+      status: 400,
+      message: `A ${refund.status} refund cannot be rejected`
+    }
+  }
+
+  const booking = await Booking.findById(refund.booking)
+
+  refund.status = 'rejected'
+  refund.rejectedBy = rejectedBy
+  refund.rejectedAt = new Date()
+  refund.rejectionReason = reason
+  await refund.save()
+
+  setBookingRefundStatus(booking, 'rejected')
+  await booking.save()
+
+  emitRefundUpdate(io, refund, `Refund for booking ${booking.bookingId} rejected`)
+
+  return { success: true, refund }
+}
+
+module.exports = {
+  REFUND_METHODS,
+  getRefundableAmount,
+  requestRefund,
+  requestBookingRefund,
+  approveRefund,
+  rejectRefund,
+  processRefund
+}
\ No newline at end of file
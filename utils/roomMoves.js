@@ -0,0 +1,114 @@
+const Room = require('../models/Room')
+const RoomNight = require('../models/RoomNight')
+const RoomUnit = require('../models/RoomUnit')
+const { moveNightsToUnit, toNightDate, formatNight } = require('./inventory')
+const { getHotelDate } = require('./bookingStatus')
+
+// Bookings whose rooms the front desk may still assign or move
+const MOVABLE_STATUSES = ['pending', 'confirmed', 'checked_in']
+
+// Unit the guest is in tonight, or will be in on the first night of the stay
+const findCurrentUnit = async (bookingId, today) => {
+  const upcoming = await RoomNight.findOne({ booking: bookingId, date: { $gte: toNightDate(today) } }).sort({ date: 1 })
+  const night = upcoming || await RoomNight.findOne({ booking: bookingId }).sort({ date: -1 })
+
+  return night?.unit
+}
+
+// Put a booking, or the nights between fromDate and toDate, in a specific unit.
+// The range defaults to the whole stay, or to the nights still to come for a
+// guest already checked in. A unit of another room type splits the stay across
+// room types; the booking keeps the room type and price it was sold at.
+// Every move is appended to booking.roomMoves and the booking saved.
+// Returns { success, status, message, conflicts } or { success, booking, move }.
+const moveBookingToUnit = async (booking, unitId, { fromDate, toDate, movedBy, reason, now = new Date() } = {}) => {
+  if (!MOVABLE_STATUSES.includes(booking.bookingStatus)) {
+    return { success: false, status: 400, message: `Cannot assign a room to a booking that is ${booking.bookingStatus}` }
+  }
+
+  const unit = await RoomUnit.findById(unitId)
+
+  if (!unit) {
+    return { success: false, status: 404, message: 'Room unit not found' }
+  }
+
+  if (unit.status !== 'available') {
+    return { success: false, status: 400, message: `Room unit ${unit.number} is out of service` }
+  }
+
+  const bookedRoom = booking.room?._id || booking.room
+
+  if (!unit.room.equals(bookedRoom)) {
+    const room = await Room.findById(unit.room)
+    const maxOccupancy = room?.availability?.maxOccupancy || room?.maxOccupancy || 2
+
+    if (booking.numberOfGuests > maxOccupancy) {
+      return { success: false, status: 400, message: `Room unit ${unit.number} can accommodate maximum ${maxOccupancy} guests` }
+    }
+  }
+
+  const today = await getHotelDate(now)
+  const inHouse = booking.bookingStatus === 'checked_in'
+  const checkIn = formatNight(booking.checkInDate)
+  const checkOut = formatNight(booking.checkOutDate)
+
+  const start = fromDate ? formatNight(fromDate) : (inHouse && today > checkIn ? today : checkIn)
+  const end = toDate ? formatNight(toDate) : checkOut
+
+  if (start < checkIn || end > checkOut || start >= end) {
+    return { success: false, status: 400, message: `Dates must fall within the stay (${checkIn} to ${checkOut})` }
+  }
+
+  // Nights already spent in a room stay where they were
+  if (inHouse && start < today) {
+    return { success: false, status: 400, message: 'Nights already stayed cannot be moved' }
+  }
+
+  const result = await moveNightsToUnit(booking._id, unit, start, end)
+
+  if (!result.success) {
+    return result
+  }
+
+  booking.roomMoves.push({
+    type: result.nights.every(night => !night.unit) ? 'assignment' : 'move',
+    fromDate: toNightDate(start),
+    toDate: toNightDate(end),
+    toRoom: unit.room,
+    toUnit: unit._id,
+    nights: result.nights,
+    movedAt: now,
+    movedBy,
+    reason
+  })
+  booking.unit = await findCurrentUnit(booking._id, today)
+
+  await booking.save()
+
+  return {
+    success: true,
+    booking,
+    unit,
+    move: booking.roomMoves[booking.roomMoves.length - 1]
+  }
+}
+
+// Room type and unit for each night a booking holds
+const getBookingRoomPlan = async (bookingId) => {
+  const nights = await RoomNight.find({ booking: bookingId })
+    .populate('room', 'name type')
+    .populate('unit', 'number floor wing')
+    .sort({ date: 1 })
+
+  return nights.map(night => ({
+    date: formatNight(night.date),
+    room: night.room,
+    unit: night.unit || null
+  }))
+}
+
+module.exports = {
+  MOVABLE_STATUSES,
+  moveBookingToUnit,
+  getBookingRoomPlan
+}
\ No newline at end of file
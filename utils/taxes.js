@@ -0,0 +1,124 @@
+const TaxRule = require('../models/TaxRule')
+const Settings = require('../models/Settings')
+const { toNightDate } = require('./inventory')
+const { roundCurrency } = require('./money')
+
+// Applied while no tax rules are configured, from the fallback rates in settings
+const getDefaultTaxRules = (paymentSettings) => [
+  {
+    code: 'TAX',
+    name: 'Tax',
+    jurisdiction: 'default',
+    category: 'tax',
+    calculation: 'percentage',
+    value: paymentSettings.taxRate,
+    roomTypes: []
+  },
+  {
+    code: 'SERVICE',
+    name: 'Service fee',
+    jurisdiction: 'default',
+    category: 'fee',
+    calculation: 'per_stay',
+    value: paymentSettings.serviceFee,
+    roomTypes: []
+  }
+]
+
+// Active rules for the property's jurisdiction, or the defaults if none exist
+const getActiveTaxRules = async () => {
+  const { paymentSettings } = await Settings.getCurrent()
+  const filter = { isActive: true }
+
+  if (paymentSettings.taxJurisdiction) {
+    filter.jurisdiction = paymentSettings.taxJurisdiction
+  }
+
+  const rules = await TaxRule.find(filter).sort({ category: -1, code: 1 }).lean()
+  return rules.length > 0 ? rules : getDefaultTaxRules(paymentSettings)
+}
+
+// Whether a rule is in force for a given night
+const isEffectiveOn = (rule, night) => {
+  return (!rule.effectiveFrom || toNightDate(rule.effectiveFrom) <= night) &&
+    (!rule.effectiveTo || night <= toNightDate(rule.effectiveTo))
+}
+
+// Whether a rule covers a room type
+const appliesToRoomType = (rule, roomType) => {
+  return !rule.roomTypes || rule.roomTypes.length === 0 || rule.roomTypes.includes(roomType)
+}
+
+// Itemized tax and fee lines for a stay, given its night-by-night room rates.
+// Effective dates are checked per night, so a rule starting mid-stay only
+// applies to the nights on or after its start; per-stay rules follow arrival.
+// Each line is rounded to the settlement currency, so the lines add up to
+// the totals charged.
+const calculateTaxLines = async (roomType, nightlyRates, { currency, rules = null } = {}) => {
+  const activeRules = rules || await getActiveTaxRules()
+  const lines = []
+
+  if (nightlyRates.length === 0) {
+    return lines
+  }
+
+  const arrival = toNightDate(nightlyRates[0].date)
+
+  for (const rule of activeRules) {
+    if (!appliesToRoomType(rule, roomType)) continue
+
+    const nights = nightlyRates.filter(night => isEffectiveOn(rule, toNightDate(night.date)))
+    let basis
+    let amount
+
+    if (rule.calculation === 'percentage') {
+      if (nights.length === 0) continue
+      basis = nights.reduce((sum, night) => sum + night.rate, 0)
+      amount = basis * rule.value
+    } else if (rule.calculation === 'per_night') {
+      if (nights.length === 0) continue
+      basis = nights.length
+      amount = rule.value * nights.length
+    } else {
+      if (!isEffectiveOn(rule, arrival)) continue
+      basis = 1
+      amount = rule.value
+    }
+
+    lines.push({
+      taxRule: rule._id || null,
+      code: rule.code,
+      name: rule.name,
+      jurisdiction: rule.jurisdiction,
+      category: rule.category,
+      calculation: rule.calculation,
+      value: rule.value,
+      nights: rule.calculation === 'per_stay' ? nightlyRates.length : nights.length,
+      basis: rule.calculation === 'percentage' ? roundCurrency(basis, currency) : basis,
+      amount: roundCurrency(amount, currency)
+    })
+  }
+
+  return lines
+}
+
+// Total taxes and fees from itemized lines
+const summarizeTaxLines = (lines, currency) => {
+  const total = (category) => roundCurrency(
+    lines
+      .filter(line => line.category === category)
+      .reduce((sum, line) => sum + line.amount, 0),
+    currency
+  )
+
+  return {
+    taxes: total('tax'),
+    fees: total('fee')
+  }
+}
+
+module.exports = {
+  getActiveTaxRules,
+  calculateTaxLines,
+  summarizeTaxLines
+}
\ No newline at end of file